@@ -0,0 +1,29 @@
+-- db/migrations/001_auth_sessions.sql
+-- Server-side login sessions backing refresh tokens and logout.
+-- One row per login; the access JWT carries the row id as its `sid` claim.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id                  UUID PRIMARY KEY,
+  role                VARCHAR(50) NOT NULL,
+  student_id          INTEGER REFERENCES students(id) ON DELETE CASCADE,
+  user_id             INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash  VARCHAR(64) NOT NULL,
+  user_agent          TEXT,
+  ip_address          VARCHAR(64),
+  created_at          TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_seen_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  refreshed_at        TIMESTAMP,
+  expires_at          TIMESTAMP NOT NULL,
+  revoked_at          TIMESTAMP,
+  revoked_reason      VARCHAR(50),
+  CONSTRAINT auth_sessions_subject_chk CHECK (
+    (role = 'STUDENT' AND student_id IS NOT NULL AND user_id IS NULL)
+    OR (role <> 'STUDENT' AND user_id IS NOT NULL AND student_id IS NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_student
+  ON auth_sessions (student_id) WHERE revoked_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user
+  ON auth_sessions (user_id) WHERE revoked_at IS NULL;
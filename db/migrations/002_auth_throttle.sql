@@ -0,0 +1,29 @@
+-- db/migrations/002_auth_throttle.sql
+-- Failed-login tracking and lockouts, shared across all API instances.
+-- scope = 'ACCOUNT' -> identifier is '<ROLE>:<lowercased email>'
+-- scope = 'IP'      -> identifier is the client IP address
+
+CREATE TABLE IF NOT EXISTS auth_throttle (
+  scope           VARCHAR(20) NOT NULL,
+  identifier      VARCHAR(320) NOT NULL,
+  failed_count    INTEGER NOT NULL DEFAULT 0,
+  last_failed_at  TIMESTAMP,
+  locked_until    TIMESTAMP,
+  updated_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (scope, identifier)
+);
+
+-- One row per forgot-password request, used for the per-hour email caps
+CREATE TABLE IF NOT EXISTS password_reset_requests (
+  id            BIGSERIAL PRIMARY KEY,
+  account_key   VARCHAR(320) NOT NULL,
+  ip_address    VARCHAR(64),
+  email_sent    BOOLEAN NOT NULL DEFAULT false,
+  requested_at  TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_requests_account
+  ON password_reset_requests (account_key, requested_at);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_requests_ip
+  ON password_reset_requests (ip_address, requested_at);
@@ -0,0 +1,17 @@
+-- db/migrations/003_registration_otp.sql
+-- Email/phone OTP verification state for student registration.
+-- finalize refuses to create the students row until the channels are verified.
+
+ALTER TABLE registration_sessions
+  ADD COLUMN IF NOT EXISTS email_otp_hash          VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS email_otp_expires_at    TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS email_otp_attempts      INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS email_otp_send_count    INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS email_otp_last_sent_at  TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS email_verified_at       TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS phone_otp_hash          VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS phone_otp_expires_at    TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS phone_otp_attempts      INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS phone_otp_send_count    INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS phone_otp_last_sent_at  TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS phone_verified_at       TIMESTAMP;
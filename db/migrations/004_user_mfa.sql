@@ -0,0 +1,20 @@
+-- db/migrations/004_user_mfa.sql
+-- TOTP two-factor authentication for users-table roles (principal, admin, ...)
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS mfa_enabled                   BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS mfa_secret_encrypted          TEXT,
+  ADD COLUMN IF NOT EXISTS mfa_pending_secret_encrypted  TEXT,
+  ADD COLUMN IF NOT EXISTS mfa_enabled_at                TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS mfa_last_used_step            BIGINT;
+
+CREATE TABLE IF NOT EXISTS user_mfa_backup_codes (
+  id          BIGSERIAL PRIMARY KEY,
+  user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash   VARCHAR(64) NOT NULL,
+  used_at     TIMESTAMP,
+  created_at  TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_mfa_backup_codes_user
+  ON user_mfa_backup_codes (user_id);
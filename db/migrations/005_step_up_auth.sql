@@ -0,0 +1,6 @@
+-- db/migrations/005_step_up_auth.sql
+-- Step-up ("recent auth") proof: set when the user re-enters their password
+-- on an existing session; sensitive routes require it to be recent.
+
+ALTER TABLE auth_sessions
+  ADD COLUMN IF NOT EXISTS step_up_at TIMESTAMP;
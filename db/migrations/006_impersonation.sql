@@ -0,0 +1,34 @@
+-- db/migrations/006_impersonation.sql
+-- Admin "view as" support sessions and their per-request audit trail
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id                 BIGSERIAL PRIMARY KEY,
+  admin_user_id      INTEGER NOT NULL REFERENCES users(id),
+  admin_session_id   UUID NOT NULL REFERENCES auth_sessions(id),
+  target_role        VARCHAR(50) NOT NULL,
+  target_student_id  INTEGER REFERENCES students(id),
+  target_user_id     INTEGER REFERENCES users(id),
+  reason             TEXT NOT NULL,
+  ip_address         VARCHAR(64),
+  user_agent         TEXT,
+  started_at         TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at         TIMESTAMP NOT NULL,
+  ended_at           TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_admin
+  ON impersonation_sessions (admin_user_id, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS impersonation_audit_log (
+  id                BIGSERIAL PRIMARY KEY,
+  impersonation_id  BIGINT NOT NULL REFERENCES impersonation_sessions(id) ON DELETE CASCADE,
+  method            VARCHAR(10) NOT NULL,
+  path              TEXT NOT NULL,
+  action            VARCHAR(100),
+  blocked           BOOLEAN NOT NULL DEFAULT false,
+  status_code       INTEGER,
+  created_at        TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_audit_log_session
+  ON impersonation_audit_log (impersonation_id, created_at);
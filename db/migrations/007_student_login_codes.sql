@@ -0,0 +1,21 @@
+-- db/migrations/007_student_login_codes.sql
+-- Passwordless student login: each request emails a 6-digit code and a
+-- one-click link. Either one consumes the row (used_at); both are stored hashed.
+
+CREATE TABLE IF NOT EXISTS student_login_codes (
+  id               UUID PRIMARY KEY,
+  student_id       INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  code_hash        VARCHAR(64) NOT NULL,
+  link_token_hash  VARCHAR(64) NOT NULL,
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  ip_address       VARCHAR(64),
+  created_at       TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at       TIMESTAMP NOT NULL,
+  used_at          TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_login_codes_student
+  ON student_login_codes (student_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_student_login_codes_ip
+  ON student_login_codes (ip_address, created_at);
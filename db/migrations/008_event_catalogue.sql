@@ -0,0 +1,140 @@
+-- db/migrations/008_event_catalogue.sql
+-- Event catalogue + one assignments table, replacing the 25 per-event tables
+-- (event_mime, event_quiz, ...). Adding or retiring an event is now an
+-- INSERT / is_active update on `events`.
+--
+-- The legacy event_* tables are copied into event_assignments below and left
+-- in place; drop them once the new model has been verified in production.
+
+CREATE TABLE IF NOT EXISTS events (
+  id                SERIAL PRIMARY KEY,
+  slug              VARCHAR(100) NOT NULL UNIQUE,
+  name              VARCHAR(200) NOT NULL,
+  category          VARCHAR(50) NOT NULL,
+  min_team_size     INTEGER NOT NULL DEFAULT 1,
+  max_team_size     INTEGER NOT NULL DEFAULT 1,
+  max_accompanists  INTEGER NOT NULL DEFAULT 0,
+  is_active         BOOLEAN NOT NULL DEFAULT true,
+  display_order     INTEGER NOT NULL DEFAULT 0,
+  created_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT events_team_size_chk CHECK (min_team_size >= 1 AND max_team_size >= min_team_size),
+  CONSTRAINT events_accompanists_chk CHECK (max_accompanists >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS event_assignments (
+  id              SERIAL PRIMARY KEY,
+  event_id        INTEGER NOT NULL REFERENCES events(id),
+  college_id      INTEGER NOT NULL REFERENCES colleges(id),
+  person_type     VARCHAR(20) NOT NULL,
+  student_id      INTEGER REFERENCES students(id) ON DELETE CASCADE,
+  accompanist_id  INTEGER REFERENCES accompanists(id) ON DELETE CASCADE,
+  event_type      VARCHAR(20) NOT NULL,
+  full_name       VARCHAR(255),
+  phone           VARCHAR(20),
+  email           VARCHAR(255),
+  created_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT event_assignments_person_chk CHECK (
+    (person_type = 'student' AND student_id IS NOT NULL AND accompanist_id IS NULL)
+    OR (person_type = 'accompanist' AND accompanist_id IS NOT NULL AND student_id IS NULL)
+  ),
+  CONSTRAINT event_assignments_event_type_chk CHECK (event_type IN ('PARTICIPANT', 'ACCOMPANIST')),
+  CONSTRAINT event_assignments_accompanist_role_chk CHECK (
+    person_type = 'student' OR event_type = 'ACCOMPANIST'
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_assignments_student
+  ON event_assignments (event_id, student_id) WHERE student_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_assignments_accompanist
+  ON event_assignments (event_id, accompanist_id) WHERE accompanist_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_event_assignments_college
+  ON event_assignments (college_id, event_id);
+
+-- ============================================================================
+-- Seed: the 25 events previously hardcoded in the routes
+-- ============================================================================
+INSERT INTO events (slug, name, category, min_team_size, max_team_size, max_accompanists, display_order)
+VALUES
+  ('mime',                                   'Mime',                                      'THEATRE',   1, 6,  2, 1),
+  ('mimicry',                                'Mimicry',                                   'THEATRE',   1, 1,  0, 2),
+  ('one_act_play',                           'One Act Play',                              'THEATRE',   1, 9,  3, 3),
+  ('skits',                                  'Skits',                                     'THEATRE',   1, 6,  3, 4),
+  ('debate',                                 'Debate',                                    'LITERARY',  2, 2,  0, 5),
+  ('elocution',                              'Elocution',                                 'LITERARY',  1, 1,  0, 6),
+  ('quiz',                                   'Quiz',                                      'LITERARY',  3, 3,  0, 7),
+  ('cartooning',                             'Cartooning',                                'FINE_ARTS', 1, 1,  0, 8),
+  ('clay_modelling',                         'Clay Modelling',                            'FINE_ARTS', 1, 1,  0, 9),
+  ('collage_making',                         'Collage Making',                            'FINE_ARTS', 1, 1,  0, 10),
+  ('installation',                           'Installation',                              'FINE_ARTS', 1, 4,  0, 11),
+  ('on_spot_painting',                       'On the Spot Painting',                      'FINE_ARTS', 1, 1,  0, 12),
+  ('poster_making',                          'Poster Making',                             'FINE_ARTS', 1, 1,  0, 13),
+  ('rangoli',                                'Rangoli',                                   'FINE_ARTS', 1, 1,  0, 14),
+  ('spot_photography',                       'Spot Photography',                          'FINE_ARTS', 1, 1,  0, 15),
+  ('classical_vocal_solo',                   'Classical Vocal Solo',                      'MUSIC',     1, 1,  2, 16),
+  ('classical_instrumental_percussion',      'Classical Instrumental Solo (Percussion)',  'MUSIC',     1, 1,  2, 17),
+  ('classical_instrumental_non_percussion',  'Classical Instrumental Solo (Non-Percussion)', 'MUSIC',  1, 1,  2, 18),
+  ('light_vocal_solo',                       'Light Vocal Solo',                          'MUSIC',     1, 1,  2, 19),
+  ('western_vocal_solo',                     'Western Vocal Solo',                        'MUSIC',     1, 1,  2, 20),
+  ('group_song_indian',                      'Group Song (Indian)',                       'MUSIC',     1, 6,  3, 21),
+  ('group_song_western',                     'Group Song (Western)',                      'MUSIC',     1, 6,  3, 22),
+  ('folk_orchestra',                         'Folk Orchestra',                            'MUSIC',     1, 9,  3, 23),
+  ('folk_tribal_dance',                      'Folk / Tribal Dance',                       'DANCE',     1, 10, 5, 24),
+  ('classical_dance_solo',                   'Classical Dance Solo',                      'DANCE',     1, 1,  3, 25)
+ON CONFLICT (slug) DO NOTHING;
+
+-- ============================================================================
+-- Backfill from the legacy per-event tables
+-- ============================================================================
+DO $$
+DECLARE
+  legacy RECORD;
+BEGIN
+  FOR legacy IN
+    SELECT * FROM (VALUES
+      ('mime', 'event_mime'),
+      ('mimicry', 'event_mimicry'),
+      ('one_act_play', 'event_one_act_play'),
+      ('skits', 'event_skits'),
+      ('debate', 'event_debate'),
+      ('elocution', 'event_elocution'),
+      ('quiz', 'event_quiz'),
+      ('cartooning', 'event_cartooning'),
+      ('clay_modelling', 'event_clay_modelling'),
+      ('collage_making', 'event_collage_making'),
+      ('installation', 'event_installation'),
+      ('on_spot_painting', 'event_on_spot_painting'),
+      ('poster_making', 'event_poster_making'),
+      ('rangoli', 'event_rangoli'),
+      ('spot_photography', 'event_spot_photography'),
+      ('classical_vocal_solo', 'event_classical_vocal_solo'),
+      ('classical_instrumental_percussion', 'event_classical_instr_percussion'),
+      ('classical_instrumental_non_percussion', 'event_classical_instr_non_percussion'),
+      ('light_vocal_solo', 'event_light_vocal_solo'),
+      ('western_vocal_solo', 'event_western_vocal_solo'),
+      ('group_song_indian', 'event_group_song_indian'),
+      ('group_song_western', 'event_group_song_western'),
+      ('folk_orchestra', 'event_folk_orchestra'),
+      ('folk_tribal_dance', 'event_folk_dance'),
+      ('classical_dance_solo', 'event_classical_dance_solo')
+    ) AS mapping (slug, table_name)
+  LOOP
+    IF to_regclass(legacy.table_name) IS NOT NULL THEN
+      EXECUTE format(
+        'INSERT INTO event_assignments
+           (event_id, college_id, person_type, student_id, accompanist_id, event_type, full_name, phone, email, created_at)
+         SELECT e.id, t.college_id, t.person_type,
+                CASE WHEN t.person_type = ''student'' THEN t.student_id END,
+                CASE WHEN t.person_type = ''accompanist'' THEN t.accompanist_id END,
+                t.event_type, t.full_name, t.phone, t.email, COALESCE(t.created_at, NOW())
+         FROM %I t
+         INNER JOIN events e ON e.slug = %L
+         ON CONFLICT DO NOTHING',
+        legacy.table_name,
+        legacy.slug
+      );
+    END IF;
+  END LOOP;
+END $$;
@@ -0,0 +1,9 @@
+-- db/migrations/009_event_rules.sql
+-- Per-event eligibility rules on top of the catalogue's team size / accompanist limits.
+-- NULL = no restriction.
+--   allowed_accompanist_types: subset of {'student', 'faculty', 'professional'}
+--   allowed_genders:           subset of {'Male', 'Female', 'Other'} (participants only)
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS allowed_accompanist_types TEXT[],
+  ADD COLUMN IF NOT EXISTS allowed_genders           TEXT[];
@@ -0,0 +1,31 @@
+-- db/migrations/010_event_schedule.sql
+-- Admin-managed fest schedule. An event can have several slots (rounds,
+-- stages); everyone assigned to the event is expected at every slot, from
+-- reporting_at (or starts_at) until ends_at. Two slots clash when those
+-- windows overlap.
+
+CREATE TABLE IF NOT EXISTS venues (
+  id          SERIAL PRIMARY KEY,
+  name        VARCHAR(200) NOT NULL UNIQUE,
+  location    VARCHAR(300),
+  capacity    INTEGER,
+  is_active   BOOLEAN NOT NULL DEFAULT true,
+  created_at  TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS event_slots (
+  id            SERIAL PRIMARY KEY,
+  event_id      INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  venue_id      INTEGER NOT NULL REFERENCES venues(id),
+  slot_label    VARCHAR(100),
+  reporting_at  TIMESTAMP,
+  starts_at     TIMESTAMP NOT NULL,
+  ends_at       TIMESTAMP NOT NULL,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT event_slots_time_chk CHECK (ends_at > starts_at),
+  CONSTRAINT event_slots_reporting_chk CHECK (reporting_at IS NULL OR reporting_at <= starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_slots_event ON event_slots (event_id);
+CREATE INDEX IF NOT EXISTS idx_event_slots_venue ON event_slots (venue_id, starts_at);
@@ -0,0 +1,54 @@
+-- db/migrations/011_event_teams.sql
+-- Teams for group events. A college enters at most one team per group event:
+-- the team row holds the name and captain, members are the college's
+-- event_assignments for that event (participants and accompanists), each
+-- with an optional instrument/role and a position in the line-up.
+--
+-- Final approval snapshots each team into final_event_teams /
+-- final_event_team_members, pointing at final_event_participants_master.
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS is_group_event BOOLEAN NOT NULL DEFAULT false;
+
+UPDATE events
+SET is_group_event = true
+WHERE slug IN ('skits', 'one_act_play', 'group_song_indian', 'folk_orchestra', 'folk_tribal_dance')
+  AND is_group_event = false;
+
+ALTER TABLE event_assignments
+  ADD COLUMN IF NOT EXISTS member_role VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS position    INTEGER;
+
+CREATE TABLE IF NOT EXISTS event_teams (
+  id                  SERIAL PRIMARY KEY,
+  event_id            INTEGER NOT NULL REFERENCES events(id),
+  college_id          INTEGER NOT NULL REFERENCES colleges(id),
+  team_name           VARCHAR(150) NOT NULL,
+  captain_student_id  INTEGER REFERENCES students(id) ON DELETE SET NULL,
+  created_at          TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at          TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT event_teams_college_event_key UNIQUE (event_id, college_id)
+);
+
+CREATE TABLE IF NOT EXISTS final_event_teams (
+  id                      SERIAL PRIMARY KEY,
+  college_id              INTEGER NOT NULL REFERENCES colleges(id),
+  event_id                INTEGER NOT NULL REFERENCES events(id),
+  team_name               VARCHAR(150) NOT NULL,
+  captain_participant_id  INTEGER REFERENCES final_event_participants_master(id),
+  created_at              TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT final_event_teams_college_event_key UNIQUE (event_id, college_id)
+);
+
+CREATE TABLE IF NOT EXISTS final_event_team_members (
+  id              SERIAL PRIMARY KEY,
+  final_team_id   INTEGER NOT NULL REFERENCES final_event_teams(id) ON DELETE CASCADE,
+  participant_id  INTEGER NOT NULL REFERENCES final_event_participants_master(id),
+  event_type      VARCHAR(20) NOT NULL,
+  member_role     VARCHAR(100),
+  position        INTEGER,
+  CONSTRAINT final_event_team_members_key UNIQUE (final_team_id, participant_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_final_event_team_members_participant
+  ON final_event_team_members (participant_id);
@@ -0,0 +1,59 @@
+-- db/migrations/012_judging.sql
+-- Judging: JUDGE accounts live in users (role = 'JUDGE', no college).
+--
+-- An entry is what a judge scores: a final_event_teams row for group events,
+-- otherwise a final_event_participants_master row entered as PARTICIPANT.
+-- A judge fills one score sheet per entry (one score per criterion) and
+-- submits it; submitted sheets are locked.
+
+CREATE TABLE IF NOT EXISTS judging_criteria (
+  id               SERIAL PRIMARY KEY,
+  event_id         INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  name             VARCHAR(150) NOT NULL,
+  max_score        NUMERIC(6,2) NOT NULL,
+  weight           NUMERIC(6,3) NOT NULL DEFAULT 1,
+  tie_break_order  INTEGER,
+  display_order    INTEGER NOT NULL DEFAULT 0,
+  created_at       TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT judging_criteria_event_name_key UNIQUE (event_id, name),
+  CONSTRAINT judging_criteria_max_score_chk CHECK (max_score > 0),
+  CONSTRAINT judging_criteria_weight_chk CHECK (weight > 0)
+);
+
+CREATE TABLE IF NOT EXISTS event_judges (
+  event_id       INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  judge_user_id  INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  assigned_by    INTEGER REFERENCES users(id),
+  assigned_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (event_id, judge_user_id)
+);
+
+CREATE TABLE IF NOT EXISTS judge_score_sheets (
+  id              SERIAL PRIMARY KEY,
+  event_id        INTEGER NOT NULL REFERENCES events(id),
+  judge_user_id   INTEGER NOT NULL REFERENCES users(id),
+  participant_id  INTEGER REFERENCES final_event_participants_master(id),
+  final_team_id   INTEGER REFERENCES final_event_teams(id),
+  remarks         TEXT,
+  submitted_at    TIMESTAMP,
+  created_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT judge_score_sheets_entry_chk CHECK (
+    (participant_id IS NOT NULL AND final_team_id IS NULL)
+    OR (participant_id IS NULL AND final_team_id IS NOT NULL)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_judge_score_sheets_participant
+  ON judge_score_sheets (event_id, judge_user_id, participant_id) WHERE participant_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_judge_score_sheets_team
+  ON judge_score_sheets (event_id, judge_user_id, final_team_id) WHERE final_team_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS judge_scores (
+  sheet_id      INTEGER NOT NULL REFERENCES judge_score_sheets(id) ON DELETE CASCADE,
+  criterion_id  INTEGER NOT NULL REFERENCES judging_criteria(id),
+  score         NUMERIC(6,2) NOT NULL,
+  PRIMARY KEY (sheet_id, criterion_id),
+  CONSTRAINT judge_scores_score_chk CHECK (score >= 0)
+);
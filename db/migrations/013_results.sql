@@ -0,0 +1,42 @@
+-- db/migrations/013_results.sql
+-- Published placements (1st/2nd/3rd) per event and the point table that
+-- turns them into college championship standings. Tied entries share a
+-- position, so a position can hold more than one row.
+--   source: 'JUDGING' (taken from aggregated scores) | 'MANUAL' (entered by ADMIN)
+
+CREATE TABLE IF NOT EXISTS placement_points (
+  position  INTEGER PRIMARY KEY,
+  points    INTEGER NOT NULL,
+  CONSTRAINT placement_points_position_chk CHECK (position BETWEEN 1 AND 3),
+  CONSTRAINT placement_points_points_chk CHECK (points >= 0)
+);
+
+INSERT INTO placement_points (position, points)
+VALUES (1, 5), (2, 3), (3, 1)
+ON CONFLICT (position) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS event_results (
+  id              SERIAL PRIMARY KEY,
+  event_id        INTEGER NOT NULL REFERENCES events(id),
+  position        INTEGER NOT NULL,
+  college_id      INTEGER NOT NULL REFERENCES colleges(id),
+  participant_id  INTEGER REFERENCES final_event_participants_master(id),
+  final_team_id   INTEGER REFERENCES final_event_teams(id),
+  entry_name      VARCHAR(255) NOT NULL,
+  score           NUMERIC(10,3),
+  source          VARCHAR(20) NOT NULL,
+  published_by    INTEGER REFERENCES users(id),
+  published_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT event_results_position_chk CHECK (position BETWEEN 1 AND 3),
+  CONSTRAINT event_results_source_chk CHECK (source IN ('JUDGING', 'MANUAL')),
+  CONSTRAINT event_results_entry_chk CHECK (
+    (participant_id IS NOT NULL AND final_team_id IS NULL)
+    OR (participant_id IS NULL AND final_team_id IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_results_event
+  ON event_results (event_id, position);
+
+CREATE INDEX IF NOT EXISTS idx_event_results_college
+  ON event_results (college_id);
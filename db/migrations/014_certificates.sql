@@ -0,0 +1,32 @@
+-- db/migrations/014_certificates.sql
+-- Issued certificates. PDFs are rendered on demand from these rows, so the
+-- verification code is the only thing that has to stay stable.
+--   PARTICIPATION: one per final_event_participants_master row
+--   MERIT:         one per placed participant per event (every PARTICIPANT
+--                  member of a placed team gets their own)
+
+CREATE TABLE IF NOT EXISTS certificates (
+  id                 SERIAL PRIMARY KEY,
+  verification_code  VARCHAR(32) NOT NULL UNIQUE,
+  certificate_type   VARCHAR(20) NOT NULL,
+  participant_id     INTEGER NOT NULL REFERENCES final_event_participants_master(id),
+  college_id         INTEGER NOT NULL REFERENCES colleges(id),
+  event_id           INTEGER REFERENCES events(id),
+  position           INTEGER,
+  recipient_name     VARCHAR(255) NOT NULL,
+  issued_at          TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT certificates_type_chk CHECK (certificate_type IN ('PARTICIPATION', 'MERIT')),
+  CONSTRAINT certificates_merit_chk CHECK (
+    (certificate_type = 'PARTICIPATION' AND event_id IS NULL AND position IS NULL)
+    OR (certificate_type = 'MERIT' AND event_id IS NOT NULL AND position BETWEEN 1 AND 3)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_participation
+  ON certificates (participant_id) WHERE certificate_type = 'PARTICIPATION';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_merit
+  ON certificates (participant_id, event_id) WHERE certificate_type = 'MERIT';
+
+CREATE INDEX IF NOT EXISTS idx_certificates_college
+  ON certificates (college_id);
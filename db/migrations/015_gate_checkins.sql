@@ -0,0 +1,31 @@
+-- db/migrations/015_gate_checkins.sql
+-- Arrival check-in at the fest gate by VOLUNTEER_REGISTRATION users.
+-- One check-in per participant; every scan (accepted or rejected) is logged
+-- so forged / repeated codes can be traced to a desk.
+
+CREATE TABLE IF NOT EXISTS gate_checkins (
+  id                 SERIAL PRIMARY KEY,
+  participant_id     INTEGER NOT NULL UNIQUE REFERENCES final_event_participants_master(id),
+  college_id         INTEGER NOT NULL REFERENCES colleges(id),
+  volunteer_user_id  INTEGER NOT NULL REFERENCES users(id),
+  desk               VARCHAR(50),
+  method             VARCHAR(10) NOT NULL DEFAULT 'QR',
+  checked_in_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT gate_checkins_method_chk CHECK (method IN ('QR', 'MANUAL'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_gate_checkins_college
+  ON gate_checkins (college_id);
+
+CREATE TABLE IF NOT EXISTS gate_scan_log (
+  id                 BIGSERIAL PRIMARY KEY,
+  volunteer_user_id  INTEGER NOT NULL REFERENCES users(id),
+  desk               VARCHAR(50),
+  scanned_text       VARCHAR(512),
+  participant_id     INTEGER REFERENCES final_event_participants_master(id),
+  result             VARCHAR(30) NOT NULL,
+  scanned_at         TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gate_scan_log_scanned_at
+  ON gate_scan_log (scanned_at);
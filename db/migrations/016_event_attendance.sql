@@ -0,0 +1,33 @@
+-- db/migrations/016_event_attendance.sql
+-- Event-level attendance taken by VOLUNTEER_EVENT users at the venue.
+-- Volunteers only work on events they are assigned to. Attendance is kept
+-- per slot (an event with several rounds is marked for each); slot_id is
+-- NULL for events that have no schedule yet.
+
+CREATE TABLE IF NOT EXISTS event_volunteers (
+  event_id           INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  volunteer_user_id  INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  assigned_by        INTEGER REFERENCES users(id),
+  assigned_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (event_id, volunteer_user_id)
+);
+
+CREATE TABLE IF NOT EXISTS event_attendance (
+  id              SERIAL PRIMARY KEY,
+  event_id        INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  slot_id         INTEGER REFERENCES event_slots(id) ON DELETE CASCADE,
+  participant_id  INTEGER NOT NULL REFERENCES final_event_participants_master(id),
+  college_id      INTEGER NOT NULL REFERENCES colleges(id),
+  status          VARCHAR(10) NOT NULL,
+  method          VARCHAR(10) NOT NULL DEFAULT 'MANUAL',
+  marked_by       INTEGER NOT NULL REFERENCES users(id),
+  marked_at       TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT event_attendance_status_chk CHECK (status IN ('PRESENT', 'LATE', 'ABSENT')),
+  CONSTRAINT event_attendance_method_chk CHECK (method IN ('QR', 'MANUAL'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_attendance_entry
+  ON event_attendance (event_id, participant_id, (COALESCE(slot_id, 0)));
+
+CREATE INDEX IF NOT EXISTS idx_event_attendance_slot
+  ON event_attendance (slot_id);
@@ -0,0 +1,79 @@
+-- db/migrations/017_helpdesk.sql
+-- Helpdesk tickets raised by students (students table) or managers and
+-- principals (users table), worked by VOLUNTEER_HELPDESK users and escalated
+-- to ADMIN. Every status change is kept in helpdesk_ticket_history.
+
+CREATE TABLE IF NOT EXISTS helpdesk_tickets (
+  id                    SERIAL PRIMARY KEY,
+  college_id            INTEGER REFERENCES colleges(id),
+  raised_by_student_id  INTEGER REFERENCES students(id),
+  raised_by_user_id     INTEGER REFERENCES users(id),
+  raised_by_role        VARCHAR(30) NOT NULL,
+  contact_name          VARCHAR(255) NOT NULL,
+  contact_email         VARCHAR(255),
+  category              VARCHAR(30) NOT NULL,
+  subject               VARCHAR(200) NOT NULL,
+  description           TEXT NOT NULL,
+  status                VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+  assigned_to           INTEGER REFERENCES users(id),
+  escalated_at          TIMESTAMP,
+  resolved_at           TIMESTAMP,
+  created_at            TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT helpdesk_tickets_status_chk CHECK (status IN ('OPEN', 'IN_PROGRESS', 'ESCALATED', 'RESOLVED')),
+  CONSTRAINT helpdesk_tickets_raiser_chk CHECK (
+    (raised_by_student_id IS NULL) <> (raised_by_user_id IS NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_helpdesk_tickets_status ON helpdesk_tickets (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_helpdesk_tickets_student ON helpdesk_tickets (raised_by_student_id);
+CREATE INDEX IF NOT EXISTS idx_helpdesk_tickets_user ON helpdesk_tickets (raised_by_user_id);
+
+-- Comments by the raiser or staff; internal notes are hidden from the raiser
+CREATE TABLE IF NOT EXISTS helpdesk_ticket_comments (
+  id                 SERIAL PRIMARY KEY,
+  ticket_id          INTEGER NOT NULL REFERENCES helpdesk_tickets(id) ON DELETE CASCADE,
+  author_student_id  INTEGER REFERENCES students(id),
+  author_user_id     INTEGER REFERENCES users(id),
+  author_name        VARCHAR(255) NOT NULL,
+  author_role        VARCHAR(30) NOT NULL,
+  body               TEXT NOT NULL,
+  is_internal        BOOLEAN NOT NULL DEFAULT false,
+  created_at         TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_helpdesk_ticket_comments_ticket ON helpdesk_ticket_comments (ticket_id);
+
+CREATE TABLE IF NOT EXISTS helpdesk_ticket_history (
+  id               SERIAL PRIMARY KEY,
+  ticket_id        INTEGER NOT NULL REFERENCES helpdesk_tickets(id) ON DELETE CASCADE,
+  from_status      VARCHAR(20),
+  to_status        VARCHAR(20) NOT NULL,
+  changed_by_name  VARCHAR(255) NOT NULL,
+  changed_by_role  VARCHAR(30) NOT NULL,
+  note             TEXT,
+  changed_at       TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_helpdesk_ticket_history_ticket ON helpdesk_ticket_history (ticket_id);
+
+CREATE TABLE IF NOT EXISTS helpdesk_ticket_attachments (
+  id           SERIAL PRIMARY KEY,
+  ticket_id    INTEGER NOT NULL REFERENCES helpdesk_tickets(id) ON DELETE CASCADE,
+  blob_url     TEXT NOT NULL,
+  file_name    VARCHAR(255) NOT NULL,
+  size_bytes   INTEGER,
+  uploaded_by  VARCHAR(255) NOT NULL,
+  uploaded_at  TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Pending attachment uploads (same flow as payment_sessions: SAS URL, then finalize)
+CREATE TABLE IF NOT EXISTS helpdesk_upload_sessions (
+  session_id   VARCHAR(64) PRIMARY KEY,
+  ticket_id    INTEGER NOT NULL REFERENCES helpdesk_tickets(id) ON DELETE CASCADE,
+  blob_path    TEXT NOT NULL,
+  file_name    VARCHAR(255) NOT NULL,
+  uploaded_by  VARCHAR(255) NOT NULL,
+  expires_at   TIMESTAMP NOT NULL
+);
@@ -0,0 +1,26 @@
+-- db/migrations/018_checkin_sync.sql
+-- Offline gate scanners: check-ins recorded on a device while the venue
+-- network is down are uploaded later in batches. Each scan carries a
+-- device-generated id, so re-uploading a batch is harmless; the outcome of
+-- every scan (including double entry at another gate) is kept here.
+
+ALTER TABLE gate_checkins
+  ADD COLUMN IF NOT EXISTS device_id VARCHAR(64);
+
+CREATE TABLE IF NOT EXISTS checkin_sync_events (
+  id                 BIGSERIAL PRIMARY KEY,
+  device_id          VARCHAR(64) NOT NULL,
+  client_event_id    VARCHAR(64) NOT NULL,
+  volunteer_user_id  INTEGER NOT NULL REFERENCES users(id),
+  desk               VARCHAR(50),
+  participant_id     INTEGER REFERENCES final_event_participants_master(id),
+  scanned_at         TIMESTAMP NOT NULL,
+  received_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  result             VARCHAR(20) NOT NULL,
+  detail             JSONB,
+  CONSTRAINT checkin_sync_events_client_key UNIQUE (device_id, client_event_id),
+  CONSTRAINT checkin_sync_events_result_chk CHECK (result IN ('PENDING', 'CHECKED_IN', 'DUPLICATE', 'CONFLICT', 'REJECTED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_checkin_sync_events_conflicts
+  ON checkin_sync_events (received_at) WHERE result = 'CONFLICT';
@@ -0,0 +1,25 @@
+-- db/migrations/019_volunteer_shifts.sql
+-- Volunteer roster. A shift puts a volunteer at a location for a time window:
+-- a venue, an event and/or a desk (e.g. "Gate 2"). A volunteer's shifts
+-- may not overlap.
+
+CREATE TABLE IF NOT EXISTS volunteer_shifts (
+  id                 SERIAL PRIMARY KEY,
+  volunteer_user_id  INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  starts_at          TIMESTAMP NOT NULL,
+  ends_at            TIMESTAMP NOT NULL,
+  venue_id           INTEGER REFERENCES venues(id),
+  event_id           INTEGER REFERENCES events(id) ON DELETE SET NULL,
+  desk               VARCHAR(50),
+  duty               VARCHAR(200),
+  created_by         INTEGER REFERENCES users(id),
+  created_at         TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT volunteer_shifts_time_chk CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_volunteer_shifts_volunteer
+  ON volunteer_shifts (volunteer_user_id, starts_at);
+
+CREATE INDEX IF NOT EXISTS idx_volunteer_shifts_venue
+  ON volunteer_shifts (venue_id, starts_at);
@@ -1,7 +1,12 @@
-const jwt = require('jsonwebtoken');
 const pool = require('../db/pool');
+const {
+  isReadOnlyRequest,
+  getActiveImpersonation,
+  recordImpersonatedRequest,
+} = require('../utils/impersonation');
+const { verifyToken } = require('../utils/jwtKeys');
 
-const JWT_SECRET = process.env.JWT_SECRET;
+const LAST_SEEN_UPDATE_SECONDS = 5 * 60;
 
 /**
  * JWT Authentication Middleware
@@ -26,7 +31,7 @@ const authenticate = async (req, res, next) => {
     // Verify and decode token
     let decoded;
     try {
-      decoded = jwt.verify(token, JWT_SECRET);
+      decoded = verifyToken(token);
     } catch (err) {
       if (err.name === 'TokenExpiredError') {
         return res.status(401).json({
@@ -42,6 +47,53 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Tokens are bound to a server-side session; reject if it was logged out
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token. Redirecting to login...',
+        redirect: 'https://vtufest2026.acharyahabba.com/',
+      });
+    }
+
+    const sessionResult = await pool.query(
+      `SELECT revoked_at, expires_at,
+              FLOOR(EXTRACT(EPOCH FROM (NOW() - last_seen_at)))::int AS seconds_since_seen
+       FROM auth_sessions
+       WHERE id = $1`,
+      [decoded.sid]
+    );
+
+    const session = sessionResult.rows[0];
+
+    if (!session || session.revoked_at || new Date() > new Date(session.expires_at)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been logged out. Redirecting to login...',
+        redirect: 'https://vtufest2026.acharyahabba.com/',
+      });
+    }
+
+    // Last-seen telemetry for the device list, written at most every few minutes
+    if (session.seconds_since_seen === null || session.seconds_since_seen > LAST_SEEN_UPDATE_SECONDS) {
+      pool.query('UPDATE auth_sessions SET last_seen_at = NOW() WHERE id = $1', [decoded.sid])
+        .catch((err) => console.error('Session last-seen update error:', err.message));
+    }
+
+    // Admin "view as" token: the session above is the admin's own; the
+    // impersonation row must also still be open
+    let impersonation = null;
+    if (decoded.imp) {
+      impersonation = await getActiveImpersonation(decoded.imp);
+
+      if (!impersonation) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation session has ended.',
+        });
+      }
+    }
+
     // Load user identity based on role
     if (decoded.role === 'STUDENT') {
       // ✅ FIXED: Query students table with correct column names
@@ -87,6 +139,7 @@ const authenticate = async (req, res, next) => {
         full_name: student.full_name,
         email: student.email,
         phone: student.phone,
+        session_id: decoded.sid,
       };
 
     } else {
@@ -131,9 +184,28 @@ const authenticate = async (req, res, next) => {
         full_name: user.full_name,
         email: user.email,
         phone: user.phone,
+        session_id: decoded.sid,
       };
     }
 
+    // Impersonated requests are audited and limited to read-only endpoints
+    if (impersonation) {
+      req.user.read_only = true;
+      req.user.impersonated_by = impersonation.admin_user_id;
+      req.user.impersonation_id = impersonation.id;
+
+      const allowed = isReadOnlyRequest(req);
+      recordImpersonatedRequest(req, res, impersonation.id, !allowed);
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          status: 'READ_ONLY_IMPERSONATION',
+          message: 'This is a read-only support view. Changes are not allowed.',
+        });
+      }
+    }
+
     // Continue to next middleware/route handler
     next();
 
@@ -0,0 +1,71 @@
+const pool = require('../db/pool');
+
+const DEFAULT_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Step-Up (Recent Authentication) Middleware
+ * Factory function that returns middleware requiring the current session to
+ * have re-entered its password via POST /api/auth/step-up within maxAgeSeconds.
+ * Place after auth middleware and requireRole.
+ *
+ * @param {Object} options
+ * @param {Number} options.maxAgeSeconds - How recent the step-up must be (default 300)
+ * @param {Function} options.when - Optional predicate (req) => Boolean; step-up is
+ *   only enforced when it returns true (for multi-action endpoints)
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.post('/', auth, requireRole(['PRINCIPAL']), requireRecentAuth(), handler);
+ *
+ * @example
+ * // Only for one action of a multi-action endpoint
+ * router.post('/', auth, requireRole(['MANAGER']),
+ *   requireRecentAuth({ when: (req) => req.body.action === 'delete_accompanist' }), handler);
+ */
+const requireRecentAuth = ({ maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS, when = null } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (when && !when(req)) {
+        return next();
+      }
+
+      // Check if user object exists (should be set by auth middleware)
+      if (!req.user || !req.user.session_id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required',
+        });
+      }
+
+      const result = await pool.query(
+        `SELECT FLOOR(EXTRACT(EPOCH FROM (NOW() - step_up_at)))::int AS step_up_age_seconds
+         FROM auth_sessions
+         WHERE id = $1`,
+        [req.user.session_id]
+      );
+
+      const age = result.rows[0] ? result.rows[0].step_up_age_seconds : null;
+
+      if (age === null || age > maxAgeSeconds) {
+        return res.status(403).json({
+          success: false,
+          status: 'STEP_UP_REQUIRED',
+          message: 'Please re-enter your password to confirm this action.',
+        });
+      }
+
+      // Recent authentication confirmed, continue to next middleware/handler
+      next();
+    } catch (error) {
+      console.error('Step-up check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to verify recent authentication',
+      });
+    }
+  };
+};
+
+requireRecentAuth.DEFAULT_MAX_AGE_SECONDS = DEFAULT_MAX_AGE_SECONDS;
+
+module.exports = requireRecentAuth;
@@ -0,0 +1,160 @@
+// routes/admin/certificates.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const {
+  issueCollegeCertificates,
+  getCertificateByCode,
+  getCollegeCertificates,
+  renderCertificatePdf,
+  certificateFileName,
+  streamCertificatesZip,
+} = require('../../utils/certificates');
+
+router.use(authenticate);
+router.use(requireRole(['ADMIN']));
+
+// ============================================================================
+// POST /api/admin/certificates
+// Multi-action endpoint to issue and list certificates
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: issue - Create missing certificates for one or all approved colleges
+    // ========================================================================
+    if (action === 'issue') {
+      const { college_id } = req.body;
+
+      if (college_id !== undefined && !Number.isInteger(college_id)) {
+        return notFound(res, 'College');
+      }
+
+      const collegesResult = await pool.query(
+        `SELECT id, college_code
+         FROM colleges
+         WHERE is_final_approved = true
+           AND ($1::int IS NULL OR id = $1)
+         ORDER BY college_code`,
+        [college_id === undefined ? null : college_id]
+      );
+
+      if (college_id !== undefined && collegesResult.rows.length === 0) {
+        return error(res, 'College not found or not final approved', 404);
+      }
+
+      const issued = [];
+
+      for (const college of collegesResult.rows) {
+        const client = await pool.connect();
+
+        try {
+          await client.query('BEGIN');
+          const counts = await issueCollegeCertificates(client, college.id);
+          await client.query('COMMIT');
+
+          issued.push({ college_id: college.id, college_code: college.college_code, ...counts });
+        } catch (txError) {
+          await client.query('ROLLBACK');
+          throw txError;
+        } finally {
+          client.release();
+        }
+      }
+
+      console.log(`Admin ${req.user.id} issued certificates for ${issued.length} college(s)`);
+      return success(res, { colleges: issued }, 'Certificates issued');
+    }
+
+    // ========================================================================
+    // ACTION: list - Certificates of one college
+    // ========================================================================
+    if (action === 'list') {
+      const { college_id } = req.body;
+
+      if (!Number.isInteger(college_id)) {
+        return validationError(res, 'college_id is required');
+      }
+
+      const certificates = await getCollegeCertificates(pool, college_id);
+      return success(res, { certificates });
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Admin certificates error:', err);
+    return error(res, 'Failed to process certificate request', 500);
+  }
+});
+
+// ============================================================================
+// GET /api/admin/certificates/college/:college_id/zip
+// All certificates of a college as one ZIP of PDFs
+// ============================================================================
+router.get('/college/:college_id/zip', async (req, res) => {
+  try {
+    const collegeId = Number(req.params.college_id);
+
+    if (!Number.isInteger(collegeId)) {
+      return notFound(res, 'College');
+    }
+
+    const collegeResult = await pool.query(
+      'SELECT college_code FROM colleges WHERE id = $1',
+      [collegeId]
+    );
+
+    if (collegeResult.rows.length === 0) {
+      return notFound(res, 'College');
+    }
+
+    const certificates = await getCollegeCertificates(pool, collegeId);
+    if (certificates.length === 0) {
+      return error(res, 'No certificates issued for this college yet', 404);
+    }
+
+    await streamCertificatesZip(res, certificates, `certificates_${collegeResult.rows[0].college_code}.zip`);
+
+  } catch (err) {
+    console.error('Certificate ZIP download error:', err);
+    if (!res.headersSent) {
+      return error(res, 'Failed to generate certificates', 500);
+    }
+  }
+});
+
+// ============================================================================
+// GET /api/admin/certificates/:code/pdf
+// One certificate as PDF
+// ============================================================================
+router.get('/:code/pdf', async (req, res) => {
+  try {
+    const certificate = await getCertificateByCode(pool, req.params.code);
+    if (!certificate) {
+      return notFound(res, 'Certificate');
+    }
+
+    const doc = await renderCertificatePdf(certificate);
+    res.type('application/pdf');
+    res.attachment(certificateFileName(certificate));
+    doc.pipe(res);
+
+  } catch (err) {
+    console.error('Certificate download error:', err);
+    if (!res.headersSent) {
+      return error(res, 'Failed to generate certificate', 500);
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+// routes/admin/events.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { ACCOMPANIST_KINDS, GENDERS, listEvents, getEventBySlug } = require('../../utils/events');
+
+const EVENT_CATEGORIES = ['THEATRE', 'LITERARY', 'FINE_ARTS', 'MUSIC', 'DANCE'];
+
+router.use(authenticate);
+router.use(requireRole(['ADMIN']));
+
+/**
+ * Validate catalogue fields shared by create/update
+ * @param {Object} fields - Request body fields (only those present are checked)
+ * @returns {Array<String>} Validation errors
+ */
+const validateEventFields = (fields) => {
+  const errors = [];
+
+  if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (fields.category !== undefined && !EVENT_CATEGORIES.includes(fields.category)) {
+    errors.push(`category must be one of: ${EVENT_CATEGORIES.join(', ')}`);
+  }
+
+  for (const key of ['min_team_size', 'max_team_size', 'max_accompanists', 'display_order']) {
+    if (fields[key] !== undefined && (!Number.isInteger(fields[key]) || fields[key] < 0)) {
+      errors.push(`${key} must be a non-negative integer`);
+    }
+  }
+
+  if (fields.is_group_event !== undefined && typeof fields.is_group_event !== 'boolean') {
+    errors.push('is_group_event must be true or false');
+  }
+
+  if (fields.min_team_size !== undefined && fields.min_team_size < 1) {
+    errors.push('min_team_size must be at least 1');
+  }
+
+  // null clears the restriction
+  const listRules = [
+    ['allowed_accompanist_types', ACCOMPANIST_KINDS],
+    ['allowed_genders', GENDERS],
+  ];
+  for (const [key, allowed] of listRules) {
+    const value = fields[key];
+    if (value !== undefined && value !== null
+      && (!Array.isArray(value) || value.length === 0 || !value.every(v => allowed.includes(v)))) {
+      errors.push(`${key} must be null or a non-empty array of: ${allowed.join(', ')}`);
+    }
+  }
+
+  return errors;
+};
+
+// ============================================================================
+// POST /api/admin/events
+// Multi-action endpoint to manage the event catalogue
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: list - All events including retired ones
+    // ========================================================================
+    if (action === 'list') {
+      const events = await listEvents(pool, { includeInactive: true });
+      return success(res, { events });
+    }
+
+    // ========================================================================
+    // ACTION: create - Add a new event
+    // ========================================================================
+    if (action === 'create') {
+      const {
+        slug,
+        name,
+        category,
+        min_team_size = 1,
+        max_team_size = 1,
+        max_accompanists = 0,
+        allowed_accompanist_types = null,
+        allowed_genders = null,
+        is_group_event = false,
+        display_order = 0,
+      } = req.body;
+
+      if (!slug || !/^[a-z0-9_]+$/.test(slug)) {
+        return validationError(res, 'slug is required (lowercase letters, digits and underscores)');
+      }
+
+      if (name === undefined || category === undefined) {
+        return validationError(res, 'name and category are required');
+      }
+
+      const fields = {
+        name,
+        category,
+        min_team_size,
+        max_team_size,
+        max_accompanists,
+        allowed_accompanist_types,
+        allowed_genders,
+        is_group_event,
+        display_order,
+      };
+      const errors = validateEventFields(fields);
+      if (max_team_size < min_team_size) {
+        errors.push('max_team_size cannot be less than min_team_size');
+      }
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      if (await getEventBySlug(pool, slug)) {
+        return error(res, 'An event with this slug already exists', 409);
+      }
+
+      const result = await pool.query(
+        `INSERT INTO events (
+          slug, name, category, min_team_size, max_team_size, max_accompanists,
+          allowed_accompanist_types, allowed_genders, is_group_event, display_order
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *`,
+        [
+          slug,
+          name.trim(),
+          category,
+          min_team_size,
+          max_team_size,
+          max_accompanists,
+          allowed_accompanist_types,
+          allowed_genders,
+          is_group_event,
+          display_order,
+        ]
+      );
+
+      console.log(`Admin ${req.user.id} created event ${slug}`);
+      return success(res, { event: result.rows[0] }, 'Event created successfully', 201);
+    }
+
+    // ========================================================================
+    // ACTION: update - Edit catalogue fields / rules of an existing event
+    // ========================================================================
+    if (action === 'update') {
+      const { slug } = req.body;
+
+      const event = await getEventBySlug(pool, slug);
+      if (!event) {
+        return notFound(res, 'Event');
+      }
+
+      const updatable = [
+        'name',
+        'category',
+        'min_team_size',
+        'max_team_size',
+        'max_accompanists',
+        'allowed_accompanist_types',
+        'allowed_genders',
+        'is_group_event',
+        'display_order',
+      ];
+      const fields = {};
+      for (const key of updatable) {
+        if (req.body[key] !== undefined) {
+          fields[key] = req.body[key];
+        }
+      }
+
+      if (Object.keys(fields).length === 0) {
+        return validationError(res, `Provide at least one of: ${updatable.join(', ')}`);
+      }
+
+      const errors = validateEventFields(fields);
+      const merged = { ...event, ...fields };
+      if (merged.max_team_size < merged.min_team_size) {
+        errors.push('max_team_size cannot be less than min_team_size');
+      }
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      const keys = Object.keys(fields);
+      const setClause = keys.map((key, index) => `${key} = $${index + 2}`).join(', ');
+
+      const result = await pool.query(
+        `UPDATE events
+         SET ${setClause}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [event.id, ...keys.map(key => (key === 'name' ? fields.name.trim() : fields[key]))]
+      );
+
+      console.log(`Admin ${req.user.id} updated event ${slug}`);
+      return success(res, { event: result.rows[0] }, 'Event updated successfully');
+    }
+
+    // ========================================================================
+    // ACTION: set_active - Retire or re-open an event
+    // ========================================================================
+    if (action === 'set_active') {
+      const { slug, is_active } = req.body;
+
+      if (typeof is_active !== 'boolean') {
+        return validationError(res, 'is_active must be true or false');
+      }
+
+      const result = await pool.query(
+        `UPDATE events
+         SET is_active = $2, updated_at = NOW()
+         WHERE slug = $1
+         RETURNING *`,
+        [slug, is_active]
+      );
+
+      if (result.rows.length === 0) {
+        return notFound(res, 'Event');
+      }
+
+      console.log(`Admin ${req.user.id} set event ${slug} active=${is_active}`);
+      return success(res, { event: result.rows[0] }, is_active ? 'Event re-opened' : 'Event retired');
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Admin events error:', err);
+    return error(res, 'Failed to process event catalogue request', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+// routes/admin/impersonate.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const requireRecentAuth = require('../../middleware/requireRecentAuth');
+const { success, error, validationError, notFound, forbidden } = require('../../utils/response');
+const {
+  buildStudentTokenPayload,
+  buildUserTokenPayload,
+  signAccessToken,
+  getRequestContext,
+} = require('../../utils/authSessions');
+const {
+  IMPERSONATION_TOKEN_EXPIRY,
+  IMPERSONATION_EXPIRY_MINUTES,
+} = require('../../utils/impersonation');
+
+// Admin accounts cannot be viewed-as
+const NON_IMPERSONABLE_ROLES = ['ADMIN', 'SUB_ADMIN'];
+
+router.use(authenticate);
+router.use(requireRole(['ADMIN']));
+
+// Starting an impersonation requires a recent password re-entry (step-up)
+const requireStepUpForStart = requireRecentAuth({
+  when: (req) => req.body.action === 'start',
+});
+
+// ============================================================================
+// POST /api/admin/impersonate
+// Multi-action endpoint for read-only "view as" support sessions
+// ============================================================================
+router.post('/', requireStepUpForStart, async (req, res) => {
+  const { action } = req.body;
+  const { id: admin_user_id, session_id } = req.user;
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: start - Mint a read-only token for a student or user
+    // ========================================================================
+    if (action === 'start') {
+      const { target_type, target_id, reason } = req.body;
+
+      if (!['student', 'user'].includes(target_type)) {
+        return validationError(res, 'target_type must be "student" or "user"');
+      }
+
+      if (!Number.isInteger(target_id)) {
+        return validationError(res, 'target_id must be an integer');
+      }
+
+      if (!reason || typeof reason !== 'string' || reason.trim().length < 5) {
+        return validationError(res, 'A reason (ticket reference or description) is required');
+      }
+
+      let payload;
+      let target;
+
+      if (target_type === 'student') {
+        const result = await pool.query(
+          'SELECT id, usn, full_name, email, college_id, is_active FROM students WHERE id = $1',
+          [target_id]
+        );
+        target = result.rows[0];
+
+        if (!target) {
+          return notFound(res, 'Student');
+        }
+
+        payload = buildStudentTokenPayload(target);
+      } else {
+        const result = await pool.query(
+          'SELECT id, full_name, email, role, college_id, is_active FROM users WHERE id = $1',
+          [target_id]
+        );
+        target = result.rows[0];
+
+        if (!target) {
+          return notFound(res, 'User');
+        }
+
+        if (NON_IMPERSONABLE_ROLES.includes(target.role)) {
+          return forbidden(res, 'Admin accounts cannot be impersonated');
+        }
+
+        payload = buildUserTokenPayload(target);
+      }
+
+      if (!target.is_active) {
+        return error(res, 'Target account is inactive', 400);
+      }
+
+      const context = getRequestContext(req);
+      const expires_at = new Date(Date.now() + IMPERSONATION_EXPIRY_MINUTES * 60 * 1000);
+
+      const insertResult = await pool.query(
+        `INSERT INTO impersonation_sessions (
+          admin_user_id, admin_session_id, target_role, target_student_id, target_user_id,
+          reason, ip_address, user_agent, expires_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id`,
+        [
+          admin_user_id,
+          session_id,
+          payload.role,
+          target_type === 'student' ? target.id : null,
+          target_type === 'user' ? target.id : null,
+          reason.trim(),
+          context.ip_address,
+          context.user_agent,
+          expires_at,
+        ]
+      );
+
+      const impersonation_id = insertResult.rows[0].id;
+
+      // Bound to the admin's own session: admin logout also ends the view
+      const token = signAccessToken(
+        { ...payload, imp: impersonation_id, impersonated_by: admin_user_id, read_only: true },
+        session_id,
+        IMPERSONATION_TOKEN_EXPIRY
+      );
+
+      console.log(`Admin ${admin_user_id} started impersonation ${impersonation_id} of ${payload.role} ${target.id}`);
+
+      return success(res, {
+        impersonation_id,
+        token,
+        read_only: true,
+        expires_at: expires_at.toISOString(),
+        target: {
+          type: target_type,
+          id: target.id,
+          role: payload.role,
+          full_name: target.full_name,
+          email: target.email,
+          college_id: target.college_id,
+        },
+      }, 'Read-only impersonation started', 201);
+    }
+
+    // ========================================================================
+    // ACTION: end - Close an impersonation early
+    // ========================================================================
+    if (action === 'end') {
+      const { impersonation_id } = req.body;
+
+      if (!Number.isInteger(impersonation_id)) {
+        return validationError(res, 'impersonation_id must be an integer');
+      }
+
+      const result = await pool.query(
+        `UPDATE impersonation_sessions
+         SET ended_at = NOW()
+         WHERE id = $1 AND admin_user_id = $2 AND ended_at IS NULL`,
+        [impersonation_id, admin_user_id]
+      );
+
+      if (result.rowCount === 0) {
+        return notFound(res, 'Active impersonation');
+      }
+
+      return success(res, null, 'Impersonation ended');
+    }
+
+    // ========================================================================
+    // ACTION: history - Recent impersonation sessions (all admins)
+    // ========================================================================
+    if (action === 'history') {
+      const result = await pool.query(
+        `SELECT
+          i.id AS impersonation_id,
+          i.admin_user_id,
+          a.full_name AS admin_name,
+          i.target_role,
+          i.target_student_id,
+          i.target_user_id,
+          COALESCE(s.full_name, u.full_name) AS target_name,
+          i.reason,
+          i.ip_address,
+          i.started_at,
+          i.expires_at,
+          i.ended_at,
+          (SELECT COUNT(*) FROM impersonation_audit_log l WHERE l.impersonation_id = i.id) AS request_count,
+          (SELECT COUNT(*) FROM impersonation_audit_log l WHERE l.impersonation_id = i.id AND l.blocked) AS blocked_count
+        FROM impersonation_sessions i
+        INNER JOIN users a ON i.admin_user_id = a.id
+        LEFT JOIN students s ON i.target_student_id = s.id
+        LEFT JOIN users u ON i.target_user_id = u.id
+        ORDER BY i.started_at DESC
+        LIMIT 200`
+      );
+
+      return success(res, { impersonations: result.rows });
+    }
+
+    // ========================================================================
+    // ACTION: audit_log - Every request made with one impersonation token
+    // ========================================================================
+    if (action === 'audit_log') {
+      const { impersonation_id } = req.body;
+
+      if (!Number.isInteger(impersonation_id)) {
+        return validationError(res, 'impersonation_id must be an integer');
+      }
+
+      const result = await pool.query(
+        `SELECT method, path, action, blocked, status_code, created_at
+         FROM impersonation_audit_log
+         WHERE impersonation_id = $1
+         ORDER BY created_at ASC`,
+        [impersonation_id]
+      );
+
+      return success(res, { requests: result.rows });
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Impersonation error:', err);
+    return error(res, 'Failed to process impersonation request', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,359 @@
+// routes/admin/judging.js
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { sendCredentialsEmail } = require('../../utils/mailer');
+const { getEventBySlug } = require('../../utils/events');
+const { getCriteria, computeEventResults } = require('../../utils/judging');
+
+router.use(authenticate);
+router.use(requireRole(['ADMIN']));
+
+// Largest values the NUMERIC(6,2) max_score and NUMERIC(6,3) weight columns hold
+const MAX_CRITERION_SCORE = 9999.99;
+const MAX_CRITERION_WEIGHT = 999.999;
+
+/**
+ * Validate a replacement criteria list
+ * @param {Array} criteria - [{ name, max_score, weight, tie_break_order, display_order }]
+ * @returns {Array<String>} Validation errors
+ */
+const validateCriteria = (criteria) => {
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return ['criteria must be a non-empty array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+  const tieBreakOrders = new Set();
+
+  criteria.forEach((c, index) => {
+    const label = `criteria[${index}]`;
+
+    if (typeof c.name !== 'string' || !c.name.trim() || c.name.trim().length > 150) {
+      errors.push(`${label}.name is required (at most 150 characters)`);
+    } else if (names.has(c.name.trim().toLowerCase())) {
+      errors.push(`${label}.name is duplicated`);
+    } else {
+      names.add(c.name.trim().toLowerCase());
+    }
+
+    if (typeof c.max_score !== 'number' || !(c.max_score > 0) || c.max_score > MAX_CRITERION_SCORE) {
+      errors.push(`${label}.max_score must be a positive number up to ${MAX_CRITERION_SCORE}`);
+    }
+
+    if (c.weight !== undefined && (typeof c.weight !== 'number' || !(c.weight > 0) || c.weight > MAX_CRITERION_WEIGHT)) {
+      errors.push(`${label}.weight must be a positive number up to ${MAX_CRITERION_WEIGHT}`);
+    }
+
+    if (c.tie_break_order !== undefined && c.tie_break_order !== null) {
+      if (!Number.isInteger(c.tie_break_order) || c.tie_break_order < 1) {
+        errors.push(`${label}.tie_break_order must be a positive integer or null`);
+      } else if (tieBreakOrders.has(c.tie_break_order)) {
+        errors.push(`${label}.tie_break_order is duplicated`);
+      } else {
+        tieBreakOrders.add(c.tie_break_order);
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Load a judge account by id
+ * @param {Number} judgeId
+ * @returns {Promise<Object|null>}
+ */
+const getJudge = async (judgeId) => {
+  if (!Number.isInteger(judgeId)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT id, full_name, email, phone, is_active
+     FROM users
+     WHERE id = $1 AND role = 'JUDGE'`,
+    [judgeId]
+  );
+  return result.rows[0] || null;
+};
+
+// ============================================================================
+// POST /api/admin/judging
+// Multi-action endpoint for judge accounts, criteria and results
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: list_judges - Judge accounts with their events
+    // ========================================================================
+    if (action === 'list_judges') {
+      const result = await pool.query(
+        `SELECT
+           u.id,
+           u.full_name,
+           u.email,
+           u.phone,
+           u.is_active,
+           COALESCE(array_agg(e.slug ORDER BY e.display_order) FILTER (WHERE e.id IS NOT NULL), '{}') AS event_slugs
+         FROM users u
+         LEFT JOIN event_judges ej ON ej.judge_user_id = u.id
+         LEFT JOIN events e ON ej.event_id = e.id
+         WHERE u.role = 'JUDGE'
+         GROUP BY u.id
+         ORDER BY u.full_name`
+      );
+
+      return success(res, { judges: result.rows });
+    }
+
+    // ========================================================================
+    // ACTION: create_judge - Create a JUDGE account and email credentials
+    // ========================================================================
+    if (action === 'create_judge') {
+      const { full_name, email, phone } = req.body;
+
+      if (!full_name || !email || !phone) {
+        return validationError(res, 'full_name, email, and phone are required');
+      }
+
+      const normalizedEmail = String(email).trim().toLowerCase();
+
+      const emailCheck = await pool.query('SELECT id FROM users WHERE email = $1', [normalizedEmail]);
+      if (emailCheck.rows.length > 0) {
+        return error(res, 'Email already registered', 409);
+      }
+
+      const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+      const password_hash = await bcrypt.hash(temporaryPassword, 12);
+
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const insertResult = await client.query(
+          `INSERT INTO users (full_name, email, phone, password_hash, role, college_id, is_active, force_password_reset)
+           VALUES ($1, $2, $3, $4, 'JUDGE', NULL, true, true)
+           RETURNING id`,
+          [full_name, normalizedEmail, phone, password_hash]
+        );
+
+        // Account is only kept if the credentials reach the judge
+        await sendCredentialsEmail(normalizedEmail, {
+          subject: 'You have been added as a Judge - VTU Fest 2026',
+          fullName: full_name,
+          roleLine: 'You have been added as a <strong>Judge</strong>.',
+          password: temporaryPassword,
+        });
+
+        await client.query('COMMIT');
+
+        console.log(`Admin ${req.user.id} created judge ${insertResult.rows[0].id}`);
+        return success(res, { judge_id: insertResult.rows[0].id }, 'Judge created. Login credentials emailed.', 201);
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+    }
+
+    // ========================================================================
+    // ACTION: set_judge_active - Disable or re-enable a judge account
+    // ========================================================================
+    if (action === 'set_judge_active') {
+      const { judge_id, is_active } = req.body;
+
+      if (typeof is_active !== 'boolean') {
+        return validationError(res, 'is_active must be true or false');
+      }
+
+      const judge = await getJudge(judge_id);
+      if (!judge) {
+        return notFound(res, 'Judge');
+      }
+
+      await pool.query('UPDATE users SET is_active = $2 WHERE id = $1', [judge.id, is_active]);
+
+      console.log(`Admin ${req.user.id} set judge ${judge.id} active=${is_active}`);
+      return success(res, null, is_active ? 'Judge enabled' : 'Judge disabled');
+    }
+
+    // Remaining actions work on one event
+    const event = await getEventBySlug(pool, req.body.event_slug);
+    if (!event) {
+      return notFound(res, 'Event');
+    }
+
+    // ========================================================================
+    // ACTION: assign_judge - Let a judge score an event
+    // ========================================================================
+    if (action === 'assign_judge') {
+      const judge = await getJudge(req.body.judge_id);
+      if (!judge || !judge.is_active) {
+        return notFound(res, 'Judge');
+      }
+
+      await pool.query(
+        `INSERT INTO event_judges (event_id, judge_user_id, assigned_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (event_id, judge_user_id) DO NOTHING`,
+        [event.id, judge.id, req.user.id]
+      );
+
+      console.log(`Admin ${req.user.id} assigned judge ${judge.id} to ${event.slug}`);
+      return success(res, null, 'Judge assigned to event');
+    }
+
+    // ========================================================================
+    // ACTION: unassign_judge - Only before the judge has submitted any sheet
+    // ========================================================================
+    if (action === 'unassign_judge') {
+      const { judge_id } = req.body;
+
+      if (!Number.isInteger(judge_id)) {
+        return validationError(res, 'judge_id is required');
+      }
+
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        // Row locks make a concurrent submit wait for (and then miss) the deleted sheets
+        const sheetsResult = await client.query(
+          `SELECT submitted_at FROM judge_score_sheets
+           WHERE event_id = $1 AND judge_user_id = $2
+           FOR UPDATE`,
+          [event.id, judge_id]
+        );
+
+        if (sheetsResult.rows.some(sheet => sheet.submitted_at)) {
+          await client.query('ROLLBACK');
+          return error(res, 'Judge has already submitted scores for this event', 409);
+        }
+
+        const result = await client.query(
+          'DELETE FROM event_judges WHERE event_id = $1 AND judge_user_id = $2',
+          [event.id, judge_id]
+        );
+
+        if (result.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return notFound(res, 'Judge assignment');
+        }
+
+        // Drafts of an unassigned judge would never be submitted
+        await client.query(
+          'DELETE FROM judge_score_sheets WHERE event_id = $1 AND judge_user_id = $2',
+          [event.id, judge_id]
+        );
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      console.log(`Admin ${req.user.id} unassigned judge ${judge_id} from ${event.slug}`);
+      return success(res, null, 'Judge removed from event');
+    }
+
+    // ========================================================================
+    // ACTION: list_criteria
+    // ========================================================================
+    if (action === 'list_criteria') {
+      const criteria = await getCriteria(pool, event.id);
+      return success(res, { event_slug: event.slug, criteria });
+    }
+
+    // ========================================================================
+    // ACTION: save_criteria - Replace an event's criteria before scoring starts
+    // ========================================================================
+    if (action === 'save_criteria') {
+      const { criteria } = req.body;
+
+      const errors = validateCriteria(criteria);
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        // Serialize with score saves that read the criteria
+        await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [event.id]);
+
+        const sheets = await client.query(
+          'SELECT 1 FROM judge_score_sheets WHERE event_id = $1 LIMIT 1',
+          [event.id]
+        );
+
+        if (sheets.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return error(res, 'Scoring has started for this event. Criteria can no longer be changed.', 409);
+        }
+
+        await client.query('DELETE FROM judging_criteria WHERE event_id = $1', [event.id]);
+
+        for (const [index, c] of criteria.entries()) {
+          await client.query(
+            `INSERT INTO judging_criteria (event_id, name, max_score, weight, tie_break_order, display_order)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+              event.id,
+              c.name.trim(),
+              c.max_score,
+              c.weight === undefined ? 1 : c.weight,
+              c.tie_break_order === undefined ? null : c.tie_break_order,
+              Number.isInteger(c.display_order) ? c.display_order : index + 1,
+            ]
+          );
+        }
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      console.log(`Admin ${req.user.id} set ${criteria.length} criteria for ${event.slug}`);
+      return success(res, { criteria: await getCriteria(pool, event.id) }, 'Criteria saved successfully');
+    }
+
+    // ========================================================================
+    // ACTION: results - Aggregated, ranked scores of an event
+    // ========================================================================
+    if (action === 'results') {
+      const results = await computeEventResults(pool, event);
+      return success(res, { event_slug: event.slug, event_name: event.name, ...results });
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Admin judging error:', err);
+    return error(res, 'Failed to process judging request', 500);
+  }
+});
+
+module.exports = router;
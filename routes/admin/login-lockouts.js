@@ -0,0 +1,102 @@
+// routes/admin/login-lockouts.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { getAccountKey, unlock } = require('../../utils/loginThrottle');
+
+const LOGIN_ROLES = [
+  'STUDENT',
+  'PRINCIPAL',
+  'MANAGER',
+  'ADMIN',
+  'SUB_ADMIN',
+  'VOLUNTEER_REGISTRATION',
+  'VOLUNTEER_HELPDESK',
+  'VOLUNTEER_EVENT',
+  'JUDGE',
+];
+
+router.use(authenticate);
+router.use(requireRole(['ADMIN']));
+
+// ============================================================================
+// POST /api/admin/login-lockouts
+// Multi-action endpoint to inspect and lift login lockouts
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: list_locked - Accounts/IPs currently locked out
+    // ========================================================================
+    if (action === 'list_locked') {
+      const result = await pool.query(
+        `SELECT scope, identifier, last_failed_at, locked_until
+         FROM auth_throttle
+         WHERE locked_until > NOW()
+         ORDER BY locked_until DESC`
+      );
+
+      return success(res, { lockouts: result.rows });
+    }
+
+    // ========================================================================
+    // ACTION: unlock_account - Clear lockout for role + email
+    // ========================================================================
+    if (action === 'unlock_account') {
+      const { role, email } = req.body;
+
+      if (!role || !email) {
+        return validationError(res, 'role and email are required');
+      }
+
+      const normalizedRole = String(role).toUpperCase();
+      if (!LOGIN_ROLES.includes(normalizedRole)) {
+        return validationError(res, 'Invalid role specified');
+      }
+
+      const cleared = await unlock(pool, 'ACCOUNT', getAccountKey(normalizedRole, email));
+      if (!cleared) {
+        return notFound(res, 'Lockout');
+      }
+
+      console.log(`Admin ${req.user.id} unlocked account ${normalizedRole}:${email}`);
+      return success(res, null, 'Account unlocked successfully');
+    }
+
+    // ========================================================================
+    // ACTION: unlock_ip - Clear lockout for an IP address
+    // ========================================================================
+    if (action === 'unlock_ip') {
+      const { ip } = req.body;
+
+      if (!ip || typeof ip !== 'string') {
+        return validationError(res, 'ip is required');
+      }
+
+      const cleared = await unlock(pool, 'IP', ip.trim());
+      if (!cleared) {
+        return notFound(res, 'Lockout');
+      }
+
+      console.log(`Admin ${req.user.id} unlocked IP ${ip.trim()}`);
+      return success(res, null, 'IP address unlocked successfully');
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Login lockouts error:', err);
+    return error(res, 'Failed to process lockout request', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+// routes/admin/results.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { getEventBySlug } = require('../../utils/events');
+const { getEntryType, getEventEntries, computeEventResults } = require('../../utils/judging');
+const { invalidateResultsCache, getPointTable } = require('../../utils/results');
+const { syncEventMeritCertificates } = require('../../utils/certificates');
+
+router.use(authenticate);
+router.use(requireRole(['ADMIN']));
+
+/**
+ * Top three ranks of the aggregated judging results
+ * @param {Object} judged - From computeEventResults
+ * @returns {Array} [{ position, entry_id, entry_name, college_id, score }]
+ */
+const placementsFromJudging = (judged) => judged.results
+  .filter(entry => entry.rank !== null && entry.rank <= 3)
+  .map(entry => ({
+    position: entry.rank,
+    entry_id: entry.entry_id,
+    entry_name: entry.entry_name,
+    college_id: entry.college_id,
+    score: entry.score,
+  }));
+
+// ============================================================================
+// POST /api/admin/results
+// Multi-action endpoint to publish event placements and edit the point table
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: get_points - Championship points per position
+    // ========================================================================
+    if (action === 'get_points') {
+      return success(res, { point_table: await getPointTable(pool) });
+    }
+
+    // ========================================================================
+    // ACTION: set_points - { points: [{ position, points }] }
+    // ========================================================================
+    if (action === 'set_points') {
+      const { points } = req.body;
+
+      if (!Array.isArray(points) || points.length === 0
+        || !points.every(p => [1, 2, 3].includes(p.position) && Number.isInteger(p.points) && p.points >= 0)) {
+        return validationError(res, 'points must be an array of { position: 1-3, points: non-negative integer }');
+      }
+
+      for (const p of points) {
+        await pool.query(
+          `INSERT INTO placement_points (position, points)
+           VALUES ($1, $2)
+           ON CONFLICT (position) DO UPDATE SET points = EXCLUDED.points`,
+          [p.position, p.points]
+        );
+      }
+
+      invalidateResultsCache();
+
+      console.log(`Admin ${req.user.id} updated the point table`);
+      return success(res, { point_table: await getPointTable(pool) }, 'Point table updated');
+    }
+
+    // Remaining actions work on one event
+    const event = await getEventBySlug(pool, req.body.event_slug);
+    if (!event) {
+      return notFound(res, 'Event');
+    }
+
+    // ========================================================================
+    // ACTION: preview - Placements judging would produce, and what is published
+    // ========================================================================
+    if (action === 'preview') {
+      const judged = await computeEventResults(pool, event);
+
+      const publishedResult = await pool.query(
+        `SELECT position, entry_name, score::float AS score, college_id, source, published_at
+         FROM event_results
+         WHERE event_id = $1
+         ORDER BY position, entry_name`,
+        [event.id]
+      );
+
+      return success(res, {
+        event_slug: event.slug,
+        judging_complete: judged.is_complete,
+        proposed_placements: placementsFromJudging(judged),
+        published_placements: publishedResult.rows,
+      });
+    }
+
+    // ========================================================================
+    // ACTION: publish - From judging (default) or manual placements
+    // ========================================================================
+    if (action === 'publish') {
+      const { placements: manualPlacements } = req.body;
+      let placements;
+      let source;
+
+      if (manualPlacements === undefined) {
+        const judged = await computeEventResults(pool, event);
+
+        if (!judged.is_complete) {
+          return error(res, 'Judging is not complete for this event. Publish manual placements instead.', 400);
+        }
+
+        placements = placementsFromJudging(judged);
+        source = 'JUDGING';
+      } else {
+        if (!Array.isArray(manualPlacements) || manualPlacements.length === 0) {
+          return validationError(res, 'placements must be a non-empty array of { position, entry_id }');
+        }
+
+        const errors = [];
+        const seen = new Set();
+        placements = [];
+
+        for (const { position, entry_id } of manualPlacements) {
+          if (![1, 2, 3].includes(position)) {
+            errors.push(`Invalid position for entry ${entry_id}: must be 1, 2 or 3`);
+            continue;
+          }
+
+          if (seen.has(entry_id)) {
+            errors.push(`Entry ${entry_id} is listed more than once`);
+            continue;
+          }
+          seen.add(entry_id);
+
+          const [entry] = Number.isInteger(entry_id) ? await getEventEntries(pool, event, entry_id) : [];
+          if (!entry) {
+            errors.push(`Entry ${entry_id} is not an entry of ${event.name}`);
+            continue;
+          }
+
+          placements.push({ position, ...entry, score: null });
+        }
+
+        if (errors.length > 0) {
+          return validationError(res, errors);
+        }
+
+        source = 'MANUAL';
+      }
+
+      if (placements.length === 0) {
+        return error(res, 'No placements to publish', 400);
+      }
+
+      const entryIdColumn = getEntryType(event) === 'team' ? 'final_team_id' : 'participant_id';
+      const client = await pool.connect();
+      let certificates;
+
+      try {
+        await client.query('BEGIN');
+
+        await client.query('DELETE FROM event_results WHERE event_id = $1', [event.id]);
+
+        for (const p of placements) {
+          await client.query(
+            `INSERT INTO event_results
+               (event_id, position, college_id, ${entryIdColumn}, entry_name, score, source, published_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [event.id, p.position, p.college_id, p.entry_id, p.entry_name, p.score, source, req.user.id]
+          );
+        }
+
+        certificates = await syncEventMeritCertificates(client, event.id);
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      invalidateResultsCache();
+
+      console.log(`Admin ${req.user.id} published ${event.slug} results (${source})`);
+      return success(res, { event_slug: event.slug, source, placements, certificates }, 'Results published');
+    }
+
+    // ========================================================================
+    // ACTION: unpublish - Withdraw an event's placements
+    // ========================================================================
+    if (action === 'unpublish') {
+      const client = await pool.connect();
+      let certificates;
+
+      try {
+        await client.query('BEGIN');
+
+        const result = await client.query('DELETE FROM event_results WHERE event_id = $1', [event.id]);
+
+        if (result.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return notFound(res, 'Published results');
+        }
+
+        certificates = await syncEventMeritCertificates(client, event.id);
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      invalidateResultsCache();
+
+      console.log(`Admin ${req.user.id} unpublished ${event.slug} results`);
+      return success(res, { event_slug: event.slug, certificates }, 'Results withdrawn');
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Admin results error:', err);
+    return error(res, 'Failed to process results request', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+// routes/admin/schedule.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { getEventBySlug } = require('../../utils/events');
+const { getEventSlots, findVenueConflicts } = require('../../utils/schedule');
+
+router.use(authenticate);
+router.use(requireRole(['ADMIN']));
+
+/**
+ * Parse an optional timestamp field
+ * @param {*} value - ISO string from the request body
+ * @returns {Date|null|undefined} undefined when absent, null when cleared
+ */
+const parseTime = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  return new Date(value);
+};
+
+const isInvalidDate = (value) => value instanceof Date && Number.isNaN(value.getTime());
+
+/**
+ * Validate the times of a slot
+ * @param {Object} slot - { starts_at, ends_at, reporting_at } as Date/null
+ * @returns {Array<String>} Validation errors
+ */
+const validateSlotTimes = ({ starts_at, ends_at, reporting_at }) => {
+  const errors = [];
+
+  for (const [key, value] of Object.entries({ starts_at, ends_at, reporting_at })) {
+    if (isInvalidDate(value)) {
+      errors.push(`${key} must be a valid date-time`);
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (!starts_at || !ends_at) {
+    errors.push('starts_at and ends_at are required');
+  } else if (ends_at <= starts_at) {
+    errors.push('ends_at must be after starts_at');
+  }
+
+  if (reporting_at && starts_at && reporting_at > starts_at) {
+    errors.push('reporting_at cannot be after starts_at');
+  }
+
+  return errors;
+};
+
+/**
+ * Load a venue by id
+ * @param {Number} venueId
+ * @returns {Promise<Object|null>}
+ */
+const getVenue = async (venueId) => {
+  if (!Number.isInteger(venueId)) {
+    return null;
+  }
+
+  const result = await pool.query('SELECT * FROM venues WHERE id = $1', [venueId]);
+  return result.rows[0] || null;
+};
+
+// ============================================================================
+// POST /api/admin/schedule
+// Multi-action endpoint to manage venues and event slots
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: list_venues
+    // ========================================================================
+    if (action === 'list_venues') {
+      const result = await pool.query('SELECT * FROM venues ORDER BY name');
+      return success(res, { venues: result.rows });
+    }
+
+    // ========================================================================
+    // ACTION: create_venue
+    // ========================================================================
+    if (action === 'create_venue') {
+      const { name, location = null, capacity = null } = req.body;
+
+      if (typeof name !== 'string' || !name.trim()) {
+        return validationError(res, 'name is required');
+      }
+
+      if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+        return validationError(res, 'capacity must be a positive integer');
+      }
+
+      const existing = await pool.query('SELECT id FROM venues WHERE name = $1', [name.trim()]);
+      if (existing.rows.length > 0) {
+        return error(res, 'A venue with this name already exists', 409);
+      }
+
+      const result = await pool.query(
+        `INSERT INTO venues (name, location, capacity)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [name.trim(), location, capacity]
+      );
+
+      console.log(`Admin ${req.user.id} created venue ${result.rows[0].id}`);
+      return success(res, { venue: result.rows[0] }, 'Venue created successfully', 201);
+    }
+
+    // ========================================================================
+    // ACTION: update_venue - Edit details or retire a venue
+    // ========================================================================
+    if (action === 'update_venue') {
+      const { venue_id, name, location, capacity, is_active } = req.body;
+
+      const venue = await getVenue(venue_id);
+      if (!venue) {
+        return notFound(res, 'Venue');
+      }
+
+      const errors = [];
+      if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        errors.push('name must be a non-empty string');
+      }
+      if (capacity !== undefined && capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+        errors.push('capacity must be a positive integer');
+      }
+      if (is_active !== undefined && typeof is_active !== 'boolean') {
+        errors.push('is_active must be true or false');
+      }
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      const result = await pool.query(
+        `UPDATE venues
+         SET name = $2, location = $3, capacity = $4, is_active = $5
+         WHERE id = $1
+         RETURNING *`,
+        [
+          venue.id,
+          name !== undefined ? name.trim() : venue.name,
+          location !== undefined ? location : venue.location,
+          capacity !== undefined ? capacity : venue.capacity,
+          is_active !== undefined ? is_active : venue.is_active,
+        ]
+      );
+
+      console.log(`Admin ${req.user.id} updated venue ${venue.id}`);
+      return success(res, { venue: result.rows[0] }, 'Venue updated successfully');
+    }
+
+    // ========================================================================
+    // ACTION: list_slots - All slots, optionally for one event
+    // ========================================================================
+    if (action === 'list_slots') {
+      const { event_slug } = req.body;
+      let eventId = null;
+
+      if (event_slug) {
+        const event = await getEventBySlug(pool, event_slug);
+        if (!event) {
+          return notFound(res, 'Event');
+        }
+        eventId = event.id;
+      }
+
+      const slots = await getEventSlots(pool, eventId);
+      return success(res, { slots });
+    }
+
+    // ========================================================================
+    // ACTION: create_slot - Schedule an event (or one round of it) at a venue
+    // ========================================================================
+    if (action === 'create_slot') {
+      const { event_slug, venue_id, slot_label = null } = req.body;
+      const times = {
+        starts_at: parseTime(req.body.starts_at),
+        ends_at: parseTime(req.body.ends_at),
+        reporting_at: parseTime(req.body.reporting_at),
+      };
+
+      const errors = validateSlotTimes(times);
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      const event = await getEventBySlug(pool, event_slug);
+      if (!event) {
+        return notFound(res, 'Event');
+      }
+
+      const venue = await getVenue(venue_id);
+      if (!venue || !venue.is_active) {
+        return notFound(res, 'Venue');
+      }
+
+      const conflicts = await findVenueConflicts(pool, { venue_id: venue.id, ...times });
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${venue.name} is already booked for an overlapping slot`,
+          conflicts,
+        });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO event_slots (event_id, venue_id, slot_label, reporting_at, starts_at, ends_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [event.id, venue.id, slot_label, times.reporting_at || null, times.starts_at, times.ends_at]
+      );
+
+      console.log(`Admin ${req.user.id} scheduled ${event.slug} at venue ${venue.id}`);
+      return success(res, { slot: result.rows[0] }, 'Slot created successfully', 201);
+    }
+
+    // ========================================================================
+    // ACTION: update_slot - Move a slot in time or to another venue
+    // ========================================================================
+    if (action === 'update_slot') {
+      const { slot_id } = req.body;
+
+      if (!Number.isInteger(slot_id)) {
+        return notFound(res, 'Slot');
+      }
+
+      const slotResult = await pool.query('SELECT * FROM event_slots WHERE id = $1', [slot_id]);
+      if (slotResult.rows.length === 0) {
+        return notFound(res, 'Slot');
+      }
+      const slot = slotResult.rows[0];
+
+      const times = {
+        starts_at: req.body.starts_at !== undefined ? parseTime(req.body.starts_at) : slot.starts_at,
+        ends_at: req.body.ends_at !== undefined ? parseTime(req.body.ends_at) : slot.ends_at,
+        reporting_at: req.body.reporting_at !== undefined ? parseTime(req.body.reporting_at) : slot.reporting_at,
+      };
+
+      const errors = validateSlotTimes(times);
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      let venueId = slot.venue_id;
+      if (req.body.venue_id !== undefined) {
+        const venue = await getVenue(req.body.venue_id);
+        if (!venue || !venue.is_active) {
+          return notFound(res, 'Venue');
+        }
+        venueId = venue.id;
+      }
+
+      const conflicts = await findVenueConflicts(pool, {
+        venue_id: venueId,
+        starts_at: times.starts_at,
+        ends_at: times.ends_at,
+        exclude_slot_id: slot.id,
+      });
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Venue is already booked for an overlapping slot',
+          conflicts,
+        });
+      }
+
+      const result = await pool.query(
+        `UPDATE event_slots
+         SET venue_id = $2, slot_label = $3, reporting_at = $4, starts_at = $5, ends_at = $6, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+          slot.id,
+          venueId,
+          req.body.slot_label !== undefined ? req.body.slot_label : slot.slot_label,
+          times.reporting_at,
+          times.starts_at,
+          times.ends_at,
+        ]
+      );
+
+      console.log(`Admin ${req.user.id} updated slot ${slot.id}`);
+      return success(res, { slot: result.rows[0] }, 'Slot updated successfully');
+    }
+
+    // ========================================================================
+    // ACTION: delete_slot
+    // ========================================================================
+    if (action === 'delete_slot') {
+      const { slot_id } = req.body;
+
+      if (!Number.isInteger(slot_id)) {
+        return notFound(res, 'Slot');
+      }
+
+      const result = await pool.query(
+        'DELETE FROM event_slots WHERE id = $1 RETURNING id',
+        [slot_id]
+      );
+
+      if (result.rows.length === 0) {
+        return notFound(res, 'Slot');
+      }
+
+      console.log(`Admin ${req.user.id} deleted slot ${slot_id}`);
+      return success(res, null, 'Slot deleted successfully');
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Admin schedule error:', err);
+    return error(res, 'Failed to process schedule request', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// routes/admin/sessions.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { resolveAccountRole, findAccountByEmail } = require('../../utils/accountRoles');
+const {
+  listActiveSessions,
+  revokeSession,
+  isSessionId,
+  revokeAllSessions,
+} = require('../../utils/authSessions');
+
+router.use(authenticate);
+router.use(requireRole(['ADMIN']));
+
+/**
+ * Resolve { role, email } from the request body to an account and its session subject
+ * @returns {Promise<Object|null>} { account, subject } or null if not found
+ */
+const loadAccount = async (role, email) => {
+  const resolved = resolveAccountRole(role);
+  const account = await findAccountByEmail(
+    pool,
+    resolved,
+    String(email).trim().toLowerCase(),
+    'id, full_name, email, is_active'
+  );
+
+  if (!account) {
+    return null;
+  }
+
+  return {
+    account: { ...account, role: resolved.role },
+    subject: resolved.role === 'STUDENT'
+      ? { role: resolved.role, student_id: account.id }
+      : { role: resolved.role, user_id: account.id },
+  };
+};
+
+// ============================================================================
+// POST /api/admin/sessions
+// Multi-action endpoint to inspect and sign out any account's devices
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: list_account / revoke_all - by role + email
+    // ========================================================================
+    if (action === 'list_account' || action === 'revoke_all') {
+      const { role, email } = req.body;
+
+      if (!role || !email) {
+        return validationError(res, 'role and email are required');
+      }
+
+      if (!resolveAccountRole(role)) {
+        return validationError(res, 'Invalid role specified');
+      }
+
+      const found = await loadAccount(role, email);
+      if (!found) {
+        return notFound(res, 'Account');
+      }
+
+      if (action === 'list_account') {
+        const sessions = await listActiveSessions(pool, found.subject);
+        return success(res, { account: found.account, sessions });
+      }
+
+      const revoked = await revokeAllSessions(pool, found.subject, 'ADMIN_REVOKED');
+
+      console.log(`Admin ${req.user.id} revoked ${revoked} session(s) of ${found.account.role}:${found.account.email}`);
+      return success(res, { sessions_revoked: revoked }, 'All sessions revoked successfully');
+    }
+
+    // ========================================================================
+    // ACTION: revoke_session - Sign out a single session by id
+    // ========================================================================
+    if (action === 'revoke_session') {
+      const { session_id } = req.body;
+
+      if (!session_id || typeof session_id !== 'string') {
+        return validationError(res, 'session_id is required');
+      }
+
+      if (!isSessionId(session_id)) {
+        return validationError(res, 'Invalid session_id');
+      }
+
+      const revoked = await revokeSession(pool, session_id, 'ADMIN_REVOKED');
+      if (!revoked) {
+        return notFound(res, 'Active session');
+      }
+
+      console.log(`Admin ${req.user.id} revoked session ${session_id}`);
+      return success(res, null, 'Session revoked successfully');
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Admin sessions error:', err);
+    return error(res, 'Failed to process sessions request', 500);
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,16 @@
 // routes/admin/verify-payment.js
+const express = require('express');
+const router = express.Router();
 const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const requireRecentAuth = require('../../middleware/requireRecentAuth');
 
-module.exports = async (req, res) => {
+router.use(authenticate);
+router.use(requireRole(['ADMIN']));
+router.use(requireRecentAuth());
+
+router.post('/', async (req, res) => {
   const user_id = req.user.id;
   const role = req.user.role;
 
@@ -80,4 +89,6 @@ module.exports = async (req, res) => {
   } finally {
     client.release();
   }
-};
\ No newline at end of file
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,550 @@
+// routes/admin/volunteers.js
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { sendCredentialsEmail } = require('../../utils/mailer');
+const { revokeAllSessions } = require('../../utils/authSessions');
+const { getEventBySlug } = require('../../utils/events');
+const { resolveAttendanceSlot, getAttendanceSheet } = require('../../utils/attendance');
+const { VOLUNTEER_ROLES, getShifts, findShiftOverlaps } = require('../../utils/volunteers');
+
+router.use(authenticate);
+router.use(requireRole(['ADMIN', 'SUB_ADMIN']));
+
+const MAX_BULK_VOLUNTEERS = 100;
+
+const ROLE_LABELS = {
+  VOLUNTEER_REGISTRATION: 'Registration Volunteer',
+  VOLUNTEER_HELPDESK: 'Helpdesk Volunteer',
+  VOLUNTEER_EVENT: 'Event Volunteer',
+};
+
+/**
+ * Validate a bulk list of new volunteers
+ * @param {Array} volunteers - [{ full_name, email, phone, role }]
+ * @returns {Array<String>} Validation errors
+ */
+const validateNewVolunteers = (volunteers) => {
+  if (!Array.isArray(volunteers) || volunteers.length === 0 || volunteers.length > MAX_BULK_VOLUNTEERS) {
+    return [`volunteers must be an array of 1-${MAX_BULK_VOLUNTEERS} entries`];
+  }
+
+  const errors = [];
+  const emails = new Set();
+
+  for (const [index, v] of volunteers.entries()) {
+    const label = `Row ${index + 1}`;
+
+    if (!v || !v.full_name || !v.email || !v.phone) {
+      errors.push(`${label}: full_name, email, and phone are required`);
+      continue;
+    }
+
+    if (!VOLUNTEER_ROLES.includes(v.role)) {
+      errors.push(`${label}: role must be one of ${VOLUNTEER_ROLES.join(', ')}`);
+    }
+
+    const email = String(v.email).trim().toLowerCase();
+    if (emails.has(email)) {
+      errors.push(`${label}: ${email} is listed more than once`);
+    }
+    emails.add(email);
+  }
+
+  return errors;
+};
+
+/**
+ * Validate shift fields
+ * @param {Object} shift - { starts_at, ends_at } as Date
+ * @returns {Array<String>} Validation errors
+ */
+const validateShiftTimes = ({ starts_at, ends_at }) => {
+  if (!starts_at || !ends_at || Number.isNaN(starts_at.getTime()) || Number.isNaN(ends_at.getTime())) {
+    return ['starts_at and ends_at must be valid date-times'];
+  }
+
+  return ends_at > starts_at ? [] : ['ends_at must be after starts_at'];
+};
+
+/**
+ * Resolve the optional location of a shift
+ * @param {Object} body - { venue_id, event_slug }
+ * @returns {Promise<Object>} { venue_id, event_id } or { error }
+ */
+const resolveShiftLocation = async ({ venue_id = null, event_slug = null }) => {
+  let eventId = null;
+
+  if (venue_id !== null) {
+    const venueResult = await pool.query('SELECT id FROM venues WHERE id = $1', [venue_id]);
+    if (venueResult.rows.length === 0) {
+      return { error: 'Venue not found' };
+    }
+  }
+
+  if (event_slug) {
+    const event = await getEventBySlug(pool, event_slug);
+    if (!event) {
+      return { error: 'Event not found' };
+    }
+    eventId = event.id;
+  }
+
+  return { venue_id, event_id: eventId };
+};
+
+/**
+ * 409 for shifts that overlap existing ones
+ * @param {Object} res - Express response
+ * @param {Array} overlaps - From findShiftOverlaps
+ */
+const shiftOverlapConflict = (res, overlaps) => res.status(409).json({
+  success: false,
+  message: 'Shift overlaps existing shifts of: '
+    + [...new Set(overlaps.map(o => o.full_name))].join(', '),
+  overlapping_shifts: overlaps,
+});
+
+/**
+ * Load a volunteer account by id
+ * @param {Number} volunteerId
+ * @returns {Promise<Object|null>}
+ */
+const getVolunteer = async (volunteerId) => {
+  if (!Number.isInteger(volunteerId)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT id, full_name, email, phone, role, is_active
+     FROM users
+     WHERE id = $1 AND role = ANY($2)`,
+    [volunteerId, VOLUNTEER_ROLES]
+  );
+  return result.rows[0] || null;
+};
+
+// ============================================================================
+// POST /api/admin/volunteers
+// Multi-action endpoint for volunteer accounts, shift roster and event assignments
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: list_volunteers - Volunteer accounts with their events and shifts
+    // ========================================================================
+    if (action === 'list_volunteers') {
+      const result = await pool.query(
+        `SELECT
+           u.id,
+           u.full_name,
+           u.email,
+           u.phone,
+           u.role,
+           u.is_active,
+           u.force_password_reset AS pending_first_login,
+           COALESCE(array_agg(e.slug ORDER BY e.display_order) FILTER (WHERE e.id IS NOT NULL), '{}') AS event_slugs,
+           (SELECT COUNT(*)::int FROM volunteer_shifts vs
+             WHERE vs.volunteer_user_id = u.id AND vs.ends_at > NOW()) AS upcoming_shifts
+         FROM users u
+         LEFT JOIN event_volunteers ev ON ev.volunteer_user_id = u.id
+         LEFT JOIN events e ON ev.event_id = e.id
+         WHERE u.role = ANY($1)
+         GROUP BY u.id
+         ORDER BY u.role, u.full_name`,
+        [VOLUNTEER_ROLES]
+      );
+
+      return success(res, { volunteers: result.rows });
+    }
+
+    // ========================================================================
+    // ACTION: create_volunteers - Bulk-create accounts and email credentials
+    // { volunteers: [{ full_name, email, phone, role }] }
+    // Each account is only kept if its credentials email is delivered.
+    // ========================================================================
+    if (action === 'create_volunteers') {
+      const { volunteers } = req.body;
+
+      const errors = validateNewVolunteers(volunteers);
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      const results = [];
+
+      for (const v of volunteers) {
+        const full_name = String(v.full_name).trim();
+        const email = String(v.email).trim().toLowerCase();
+        const phone = String(v.phone).trim();
+
+        const emailCheck = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+        if (emailCheck.rows.length > 0) {
+          results.push({ email, status: 'SKIPPED', reason: 'Email already registered' });
+          continue;
+        }
+
+        const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+        const password_hash = await bcrypt.hash(temporaryPassword, 12);
+
+        const client = await pool.connect();
+        let inserted = false;
+
+        try {
+          await client.query('BEGIN');
+
+          const insertResult = await client.query(
+            `INSERT INTO users (full_name, email, phone, password_hash, role, college_id, is_active, force_password_reset)
+             VALUES ($1, $2, $3, $4, $5, NULL, true, true)
+             RETURNING id`,
+            [full_name, email, phone, password_hash, v.role]
+          );
+          inserted = true;
+
+          await sendCredentialsEmail(email, {
+            subject: `You have been added as a ${ROLE_LABELS[v.role]} - VTU Fest 2026`,
+            fullName: full_name,
+            roleLine: `You have been added as a <strong>${ROLE_LABELS[v.role]}</strong>.`,
+            password: temporaryPassword,
+            extraHtml: '<p>Your shifts will appear in your roster once they are scheduled.</p>',
+          });
+
+          await client.query('COMMIT');
+          results.push({ email, status: 'CREATED', user_id: insertResult.rows[0].id });
+        } catch (rowError) {
+          await client.query('ROLLBACK');
+          console.error(`Volunteer ${email} not created:`, rowError.message);
+          results.push({
+            email,
+            status: 'FAILED',
+            reason: inserted ? 'Credentials email could not be sent' : 'Account could not be saved',
+          });
+        } finally {
+          client.release();
+        }
+      }
+
+      const created = results.filter(r => r.status === 'CREATED').length;
+
+      console.log(`${req.user.role} ${req.user.id} created ${created}/${volunteers.length} volunteers`);
+      return success(res, { created, results }, `${created} of ${volunteers.length} volunteers created`);
+    }
+
+    // ========================================================================
+    // ACTION: set_role - Move a volunteer to another volunteer role
+    // ========================================================================
+    if (action === 'set_role') {
+      const { volunteer_id, role } = req.body;
+
+      if (!VOLUNTEER_ROLES.includes(role)) {
+        return validationError(res, `role must be one of: ${VOLUNTEER_ROLES.join(', ')}`);
+      }
+
+      const volunteer = await getVolunteer(volunteer_id);
+      if (!volunteer) {
+        return notFound(res, 'Volunteer');
+      }
+
+      if (volunteer.role === role) {
+        return success(res, null, 'Role unchanged');
+      }
+
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        await client.query('UPDATE users SET role = $2 WHERE id = $1', [volunteer.id, role]);
+
+        // Event assignments only apply to VOLUNTEER_EVENT
+        if (role !== 'VOLUNTEER_EVENT') {
+          await client.query('DELETE FROM event_volunteers WHERE volunteer_user_id = $1', [volunteer.id]);
+        }
+
+        // Tokens carry the old role
+        await revokeAllSessions(client, { role: volunteer.role, user_id: volunteer.id }, 'ROLE_CHANGED');
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      console.log(`${req.user.role} ${req.user.id} changed volunteer ${volunteer.id} role ${volunteer.role} -> ${role}`);
+      return success(res, null, 'Volunteer role updated. They need to log in again.');
+    }
+
+    // ========================================================================
+    // ACTION: set_active - Disable or re-enable a volunteer account
+    // ========================================================================
+    if (action === 'set_active') {
+      const { volunteer_id, is_active } = req.body;
+
+      if (typeof is_active !== 'boolean') {
+        return validationError(res, 'is_active must be true or false');
+      }
+
+      const volunteer = await getVolunteer(volunteer_id);
+      if (!volunteer) {
+        return notFound(res, 'Volunteer');
+      }
+
+      await pool.query('UPDATE users SET is_active = $2 WHERE id = $1', [volunteer.id, is_active]);
+
+      if (!is_active) {
+        await revokeAllSessions(pool, { role: volunteer.role, user_id: volunteer.id }, 'ACCOUNT_DISABLED');
+      }
+
+      console.log(`${req.user.role} ${req.user.id} set volunteer ${volunteer.id} active=${is_active}`);
+      return success(res, null, is_active ? 'Volunteer enabled' : 'Volunteer disabled');
+    }
+
+    // ========================================================================
+    // ACTION: list_shifts - Roster, optionally for one volunteer / venue / window
+    // ========================================================================
+    if (action === 'list_shifts') {
+      const { volunteer_id = null, venue_id = null, from = null, to = null } = req.body;
+
+      const shifts = await getShifts(pool, {
+        volunteer_id,
+        venue_id,
+        from: from ? new Date(from) : null,
+        to: to ? new Date(to) : null,
+      });
+
+      return success(res, { shifts });
+    }
+
+    // ========================================================================
+    // ACTION: create_shifts - Same shift for one or more volunteers
+    // { volunteer_ids, starts_at, ends_at, venue_id?, event_slug?, desk?, duty? }
+    // ========================================================================
+    if (action === 'create_shifts') {
+      const { volunteer_ids, desk = null, duty = null } = req.body;
+      const starts_at = new Date(req.body.starts_at);
+      const ends_at = new Date(req.body.ends_at);
+
+      if (!Array.isArray(volunteer_ids) || volunteer_ids.length === 0) {
+        return validationError(res, 'volunteer_ids must be a non-empty array');
+      }
+
+      const errors = validateShiftTimes({ starts_at, ends_at });
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      const location = await resolveShiftLocation(req.body);
+      if (location.error) {
+        return validationError(res, location.error);
+      }
+
+      const volunteerIds = [...new Set(volunteer_ids)];
+      const found = await pool.query(
+        'SELECT id FROM users WHERE id = ANY($1::int[]) AND role = ANY($2) AND is_active = true',
+        [volunteerIds, VOLUNTEER_ROLES]
+      );
+
+      if (found.rows.length !== volunteerIds.length) {
+        const foundIds = new Set(found.rows.map(row => row.id));
+        return validationError(res, `Not active volunteers: ${volunteerIds.filter(id => !foundIds.has(id)).join(', ')}`);
+      }
+
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        // Serialize roster edits for these volunteers
+        await client.query('SELECT id FROM users WHERE id = ANY($1::int[]) FOR UPDATE', [volunteerIds]);
+
+        const overlaps = await findShiftOverlaps(client, volunteerIds, starts_at, ends_at);
+        if (overlaps.length > 0) {
+          await client.query('ROLLBACK');
+          return shiftOverlapConflict(res, overlaps);
+        }
+
+        const shiftIds = [];
+        for (const volunteerId of volunteerIds) {
+          const insertResult = await client.query(
+            `INSERT INTO volunteer_shifts
+               (volunteer_user_id, starts_at, ends_at, venue_id, event_id, desk, duty, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING id`,
+            [volunteerId, starts_at, ends_at, location.venue_id, location.event_id, desk, duty, req.user.id]
+          );
+          shiftIds.push(insertResult.rows[0].id);
+        }
+
+        await client.query('COMMIT');
+
+        console.log(`${req.user.role} ${req.user.id} created ${shiftIds.length} shift(s)`);
+        return success(res, { shift_ids: shiftIds }, 'Shifts created', 201);
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+    }
+
+    // ========================================================================
+    // ACTION: update_shift - Change the time or location of one shift
+    // ========================================================================
+    if (action === 'update_shift') {
+      const { shift_id } = req.body;
+
+      const shiftResult = await pool.query('SELECT * FROM volunteer_shifts WHERE id = $1', [shift_id]);
+      if (shiftResult.rows.length === 0) {
+        return notFound(res, 'Shift');
+      }
+
+      const current = shiftResult.rows[0];
+      const starts_at = req.body.starts_at === undefined ? current.starts_at : new Date(req.body.starts_at);
+      const ends_at = req.body.ends_at === undefined ? current.ends_at : new Date(req.body.ends_at);
+
+      const errors = validateShiftTimes({ starts_at, ends_at });
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      const location = await resolveShiftLocation({
+        venue_id: req.body.venue_id === undefined ? current.venue_id : req.body.venue_id,
+        event_slug: req.body.event_slug,
+      });
+      if (location.error) {
+        return validationError(res, location.error);
+      }
+
+      const event_id = req.body.event_slug === undefined ? current.event_id : location.event_id;
+      const desk = req.body.desk === undefined ? current.desk : req.body.desk;
+      const duty = req.body.duty === undefined ? current.duty : req.body.duty;
+
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [current.volunteer_user_id]);
+
+        const overlaps = await findShiftOverlaps(client, [current.volunteer_user_id], starts_at, ends_at, current.id);
+        if (overlaps.length > 0) {
+          await client.query('ROLLBACK');
+          return shiftOverlapConflict(res, overlaps);
+        }
+
+        await client.query(
+          `UPDATE volunteer_shifts
+           SET starts_at = $2, ends_at = $3, venue_id = $4, event_id = $5, desk = $6, duty = $7, updated_at = NOW()
+           WHERE id = $1`,
+          [current.id, starts_at, ends_at, location.venue_id, event_id, desk, duty]
+        );
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      console.log(`${req.user.role} ${req.user.id} updated shift ${current.id}`);
+      return success(res, null, 'Shift updated');
+    }
+
+    // ========================================================================
+    // ACTION: delete_shift
+    // ========================================================================
+    if (action === 'delete_shift') {
+      const result = await pool.query('DELETE FROM volunteer_shifts WHERE id = $1', [req.body.shift_id]);
+
+      if (result.rowCount === 0) {
+        return notFound(res, 'Shift');
+      }
+
+      console.log(`${req.user.role} ${req.user.id} deleted shift ${req.body.shift_id}`);
+      return success(res, null, 'Shift deleted');
+    }
+
+    // Remaining actions work on one event
+    const event = await getEventBySlug(pool, req.body.event_slug);
+    if (!event) {
+      return notFound(res, 'Event');
+    }
+
+    // ========================================================================
+    // ACTION: assign_event - Let an event volunteer take attendance for an event
+    // ========================================================================
+    if (action === 'assign_event') {
+      const volunteer = await getVolunteer(req.body.volunteer_id);
+      if (!volunteer || !volunteer.is_active) {
+        return notFound(res, 'Volunteer');
+      }
+
+      if (volunteer.role !== 'VOLUNTEER_EVENT') {
+        return validationError(res, 'Only VOLUNTEER_EVENT accounts can be assigned to events');
+      }
+
+      await pool.query(
+        `INSERT INTO event_volunteers (event_id, volunteer_user_id, assigned_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (event_id, volunteer_user_id) DO NOTHING`,
+        [event.id, volunteer.id, req.user.id]
+      );
+
+      console.log(`${req.user.role} ${req.user.id} assigned volunteer ${volunteer.id} to ${event.slug}`);
+      return success(res, null, 'Volunteer assigned to event');
+    }
+
+    // ========================================================================
+    // ACTION: unassign_event - Marks already taken are kept
+    // ========================================================================
+    if (action === 'unassign_event') {
+      const { volunteer_id } = req.body;
+
+      const result = await pool.query(
+        'DELETE FROM event_volunteers WHERE event_id = $1 AND volunteer_user_id = $2',
+        [event.id, volunteer_id]
+      );
+
+      if (result.rowCount === 0) {
+        return notFound(res, 'Volunteer assignment');
+      }
+
+      console.log(`${req.user.role} ${req.user.id} unassigned volunteer ${volunteer_id} from ${event.slug}`);
+      return success(res, null, 'Volunteer removed from event');
+    }
+
+    // ========================================================================
+    // ACTION: attendance_sheet - Attendance of an event slot
+    // ========================================================================
+    if (action === 'attendance_sheet') {
+      const { slot, error: slotError } = await resolveAttendanceSlot(pool, event, req.body.slot_id);
+      if (slotError) {
+        return validationError(res, slotError);
+      }
+
+      return success(res, await getAttendanceSheet(pool, event, slot));
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Admin volunteers error:', err);
+    return error(res, 'Failed to process volunteer request', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// routes/auth/jwks.js
+const express = require('express');
+const { getJwks } = require('../../utils/jwtKeys');
+
+const router = express.Router();
+
+// GET /api/auth/jwks
+// Public keys for offline token verification (gate scanners, other services).
+// Empty while only HS256 secrets are configured.
+router.get('/', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(getJwks());
+});
+
+module.exports = router;
@@ -1,27 +1,25 @@
 // routes/auth/login.js
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const pool = require('../../db/pool');
-
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Valid roles mapping (frontend -> backend)
-const VALID_ROLES = {
-  student: 'STUDENT',
-  principal: 'PRINCIPAL',
-  manager: 'MANAGER',
-  admin: 'ADMIN',
-  sub_admin: 'SUB_ADMIN',
-  volunteer_registration: 'VOLUNTEER_REGISTRATION',
-  volunteer_helpdesk: 'VOLUNTEER_HELPDESK',
-  volunteer_event: 'VOLUNTEER_EVENT',
-};
+const {
+  getRequestContext,
+  startStudentSession,
+  startUserSession,
+} = require('../../utils/authSessions');
+const { isMfaEnforced, signMfaToken } = require('../../utils/mfa');
+const {
+  getAccountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../../utils/loginThrottle');
+const { VALID_ROLES } = require('../../utils/accountRoles');
 
 // ============================================
 // STUDENT LOGIN HANDLER
 // ============================================
-async function handleStudentLogin(email, password) {
+async function handleStudentLogin(email, password, context) {
   const result = await pool.query(
     "SELECT * FROM students WHERE email = $1",
     [email]
@@ -54,41 +52,18 @@ async function handleStudentLogin(email, password) {
     };
   }
 
-  // Generate JWT token
-  const token = jwt.sign(
-    {
-      student_id: student.id,
-      usn: student.usn,
-      college_id: student.college_id,
-      role: "STUDENT",
-    },
-    JWT_SECRET,
-    { expiresIn: "4h" }
-  );
-
-  // Update last login
-  await pool.query(
-    "UPDATE students SET last_login_at = NOW() WHERE id = $1",
-    [student.id]
-  );
-
+  // Create session, issue tokens and record last login
   return {
     statusCode: 200,
-    data: {
-      message: "Login successful",
-      token,
-      role: "student",
-      college_id: student.college_id,
-      usn: student.usn,
-      name: student.full_name,
-    },
+    sessionIssued: true,
+    data: await startStudentSession(pool, student, context),
   };
 }
 
 // ============================================
 // USER LOGIN HANDLER (Principal, Manager, Admin, Volunteers)
 // ============================================
-async function handleUserLogin(email, password, expectedRole) {
+async function handleUserLogin(email, password, expectedRole, context) {
   const result = await pool.query(
     "SELECT * FROM users WHERE email = $1 AND role = $2",
     [email, expectedRole]
@@ -152,46 +127,39 @@ async function handleUserLogin(email, password, expectedRole) {
     };
   }
 
-  // ✅ Normal login flow continues (force_password_reset is false)
-  
-  // Generate JWT token payload
-  const tokenPayload = {
-    user_id: user.id,
-    full_name: user.full_name,
-    role: expectedRole,
-  };
-
-  // Add college_id only for PRINCIPAL and MANAGER
-  if (expectedRole === 'PRINCIPAL' || expectedRole === 'MANAGER') {
-    tokenPayload.college_id = user.college_id;
+  // 🔐 Second factor: a correct password alone does not open a session
+  if (user.mfa_enabled === true) {
+    return {
+      statusCode: 200,
+      data: {
+        status: "MFA_REQUIRED",
+        message: "Enter the code from your authenticator app.",
+        mfa_token: signMfaToken(user, 'MFA_CHALLENGE'),
+        role: expectedRole.toLowerCase(),
+      },
+    };
   }
 
-  // Generate JWT token
-  const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: "4h" });
-
-  // Update last login timestamp
-  await pool.query(
-    "UPDATE users SET last_login_at = NOW() WHERE id = $1",
-    [user.id]
-  );
-
-  // Prepare response data
-  const responseData = {
-    message: "Login successful",
-    token,
-    role: expectedRole.toLowerCase().replace(/_/g, '_'),
-    name: user.full_name,
-    user_id: user.id,
-  };
-
-  // Add college_id to response for PRINCIPAL and MANAGER
-  if (user.college_id) {
-    responseData.college_id = user.college_id;
+  // 2FA enforced for this role but not set up yet: enrolment must come first
+  if (isMfaEnforced(expectedRole)) {
+    return {
+      statusCode: 200,
+      data: {
+        status: "MFA_ENROLLMENT_REQUIRED",
+        message: "Two-factor authentication is required for your role. Please set it up to continue.",
+        mfa_token: signMfaToken(user, 'MFA_ENROLL'),
+        role: expectedRole.toLowerCase(),
+      },
+    };
   }
 
+  // ✅ Normal login flow continues (force_password_reset is false)
+
+  // Create session, issue tokens and record last login
   return {
     statusCode: 200,
-    data: responseData,
+    sessionIssued: true,
+    data: await startUserSession(pool, user, context),
   };
 }
 
@@ -213,12 +181,33 @@ module.exports = async (req, res) => {
   }
 
   try {
+    const context = getRequestContext(req);
+    const throttleKeys = {
+      accountKey: getAccountKey(normalizedRole, email),
+      ip: context.ip_address,
+    };
+
+    // Brute-force protection: lockout / progressive delay per account and per IP
+    const blocked = await checkLoginAllowed(pool, throttleKeys);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retry_after_seconds));
+      return res.status(429).json(blocked);
+    }
+
     // Route to appropriate login handler based on role
     let result;
     if (normalizedRole === 'STUDENT') {
-      result = await handleStudentLogin(email, password);
+      result = await handleStudentLogin(email, password, context);
     } else {
-      result = await handleUserLogin(email, password, normalizedRole);
+      result = await handleUserLogin(email, password, normalizedRole, context);
+    }
+
+    // Only a completed login clears the counters: a correct password that still
+    // needs a second factor (or a forced reset) must not reset the TOTP budget
+    if (result.statusCode === 401) {
+      await recordLoginFailure(pool, throttleKeys);
+    } else if (result.sessionIssued) {
+      await recordLoginSuccess(pool, throttleKeys);
     }
 
     return res.status(result.statusCode).json(result.data);
@@ -0,0 +1,47 @@
+// routes/auth/logout.js
+const express = require('express');
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const { revokeSession, revokeAllSessions } = require('../../utils/authSessions');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// POST /api/auth/logout
+// Revokes the session behind the current access token
+router.post('/', async (req, res) => {
+  try {
+    await revokeSession(pool, req.user.session_id, 'LOGOUT');
+
+    return res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error in logout:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+// POST /api/auth/logout/all
+// Revokes every session of the current account ("log out all devices")
+router.post('/all', async (req, res) => {
+  try {
+    const { role, id } = req.user;
+    const subject = role === 'STUDENT'
+      ? { role, student_id: id }
+      : { role, user_id: id };
+
+    const revoked = await revokeAllSessions(pool, subject, 'LOGOUT_ALL');
+
+    return res.status(200).json({
+      message: 'Logged out from all devices',
+      sessions_revoked: revoked,
+    });
+  } catch (error) {
+    console.error('Error in logout-all:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+module.exports = router;
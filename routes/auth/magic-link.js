@@ -0,0 +1,250 @@
+// routes/auth/magic-link.js
+// Passwordless login for students: a one-time code or link sent to the
+// registered email, exchanged for the same session as a password login
+const express = require('express');
+const crypto = require('crypto');
+const pool = require('../../db/pool');
+const { generateOtp, hashOtp, otpMatches } = require('../../utils/otp');
+const { sendEmailViaBrevo } = require('../../utils/mailer');
+const {
+  hashToken,
+  tokenMatchesHash,
+  isSessionId,
+  getRequestContext,
+  startStudentSession,
+} = require('../../utils/authSessions');
+const {
+  getAccountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../../utils/loginThrottle');
+
+const router = express.Router();
+
+const MAGIC_LINK_URL = process.env.MAGIC_LINK_URL || 'https://vtufest2026.acharyahabba.com/magic-login';
+const CODE_EXPIRY_MINUTES = 10;
+const CODE_MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_REQUESTS_PER_STUDENT_HOUR = 5;
+const MAX_REQUESTS_PER_IP_HOUR = 20;
+
+/**
+ * Split a link token ("<row uuid>.<secret>") into its row id
+ * @param {String} token
+ * @returns {String|null}
+ */
+const parseLinkToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+  const [id, secret] = token.trim().split('.');
+  if (!secret || !isSessionId(id)) return null;
+  return id;
+};
+
+// Same rule as handleStudentLogin
+const completeLogin = async (student, context) => {
+  if (!student.is_active) {
+    return { statusCode: 403, data: { message: 'Account is inactive' } };
+  }
+
+  return {
+    statusCode: 200,
+    data: await startStudentSession(pool, student, context),
+  };
+};
+
+// POST /api/auth/magic-link/request
+// Always answers with the same message so accounts cannot be enumerated
+router.post('/request', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const standardResponse = {
+    message: 'If a student account exists for this email, a login code has been sent.',
+    code_expires_in_minutes: CODE_EXPIRY_MINUTES,
+  };
+
+  try {
+    const ipResult = await pool.query(
+      `SELECT COUNT(*) AS count
+       FROM student_login_codes
+       WHERE ip_address = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+      [req.ip || '']
+    );
+
+    if (parseInt(ipResult.rows[0].count) >= MAX_REQUESTS_PER_IP_HOUR) {
+      return res.status(429).json({ message: 'Too many login code requests. Please try again later.' });
+    }
+
+    const studentResult = await pool.query(
+      `SELECT s.id, s.full_name, s.email, s.is_active,
+              (SELECT COUNT(*) FROM student_login_codes c
+               WHERE c.student_id = s.id AND c.created_at > NOW() - INTERVAL '1 hour') AS recent_count,
+              (SELECT FLOOR(EXTRACT(EPOCH FROM (NOW() - MAX(c.created_at))))::int FROM student_login_codes c
+               WHERE c.student_id = s.id) AS seconds_since_last
+       FROM students s
+       WHERE s.email = $1`,
+      [normalizedEmail]
+    );
+
+    const student = studentResult.rows[0];
+
+    if (!student || !student.is_active) {
+      return res.status(200).json(standardResponse);
+    }
+
+    // Cooldown and hourly cap answer like an unknown email: a distinct reply
+    // would reveal that the account exists
+    if (student.seconds_since_last !== null && student.seconds_since_last < RESEND_COOLDOWN_SECONDS) {
+      return res.status(200).json(standardResponse);
+    }
+
+    if (parseInt(student.recent_count) >= MAX_REQUESTS_PER_STUDENT_HOUR) {
+      return res.status(200).json(standardResponse);
+    }
+
+    const id = crypto.randomUUID();
+    const code = generateOtp();
+    const linkToken = `${id}.${crypto.randomBytes(32).toString('hex')}`;
+
+    // A new request supersedes any earlier unused code or link
+    await pool.query(
+      `UPDATE student_login_codes
+       SET expires_at = NOW()
+       WHERE student_id = $1 AND used_at IS NULL AND expires_at > NOW()`,
+      [student.id]
+    );
+
+    await pool.query(
+      `INSERT INTO student_login_codes (id, student_id, code_hash, link_token_hash, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + ($6 * INTERVAL '1 minute'))`,
+      [id, student.id, hashOtp(code), hashToken(linkToken), req.ip || null, CODE_EXPIRY_MINUTES]
+    );
+
+    const loginLink = `${MAGIC_LINK_URL}?token=${encodeURIComponent(linkToken)}`;
+
+    try {
+      await sendEmailViaBrevo(
+        student.email,
+        'Your VTU Fest login code',
+        `
+          <h2>Login to VTU Fest</h2>
+          <p>Hi ${student.full_name || 'Student'},</p>
+          <p>Your login code is:</p>
+          <p style="font-size: 24px; font-weight: bold; letter-spacing: 4px;">${code}</p>
+          <p>Or click the link below to login directly:</p>
+          <p><a href="${loginLink}">Login to VTU Fest</a></p>
+          <p>The code and link expire in ${CODE_EXPIRY_MINUTES} minutes and work only once.</p>
+          <p>If you didn't request this, please ignore this email.</p>
+          <br>
+          <p>VTU Fest Team</p>
+        `
+      );
+    } catch (emailErr) {
+      console.error('Student login code email failed:', emailErr.message);
+    }
+
+    return res.status(200).json(standardResponse);
+  } catch (error) {
+    console.error('Error in magic-link request:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+// POST /api/auth/magic-link/verify
+// Body: { email, code } or { token } (from the emailed link)
+router.post('/verify', async (req, res) => {
+  const { email, code, token } = req.body;
+
+  if (!token && (!email || !code)) {
+    return res.status(400).json({ message: 'Either token, or email and code, are required' });
+  }
+
+  try {
+    const context = getRequestContext(req);
+
+    let loginCode;
+    if (token) {
+      const id = parseLinkToken(token);
+      const result = id
+        ? await pool.query(
+          `SELECT c.id AS login_code_id, c.link_token_hash, c.code_hash, c.attempts, s.*
+           FROM student_login_codes c
+           INNER JOIN students s ON c.student_id = s.id
+           WHERE c.id = $1 AND c.used_at IS NULL AND c.expires_at > NOW()`,
+          [id]
+        )
+        : { rows: [] };
+      loginCode = result.rows[0];
+    } else {
+      const result = await pool.query(
+        `SELECT c.id AS login_code_id, c.link_token_hash, c.code_hash, c.attempts, s.*
+         FROM student_login_codes c
+         INNER JOIN students s ON c.student_id = s.id
+         WHERE s.email = $1 AND c.used_at IS NULL AND c.expires_at > NOW()
+         ORDER BY c.created_at DESC
+         LIMIT 1`,
+        [String(email).trim().toLowerCase()]
+      );
+      loginCode = result.rows[0];
+    }
+
+    const throttleKeys = {
+      accountKey: getAccountKey('STUDENT', loginCode ? loginCode.email : email || ''),
+      ip: context.ip_address,
+    };
+
+    // Same lockout budget as password login
+    const blocked = await checkLoginAllowed(pool, throttleKeys);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retry_after_seconds));
+      return res.status(429).json(blocked);
+    }
+
+    const valid = loginCode && (token
+      ? tokenMatchesHash(token.trim(), loginCode.link_token_hash)
+      : loginCode.attempts < CODE_MAX_ATTEMPTS && otpMatches(code, loginCode.code_hash));
+
+    if (!valid) {
+      if (loginCode && !token) {
+        await pool.query(
+          'UPDATE student_login_codes SET attempts = attempts + 1 WHERE id = $1',
+          [loginCode.login_code_id]
+        );
+      }
+      await recordLoginFailure(pool, throttleKeys);
+      return res.status(401).json({ message: 'Invalid or expired login code' });
+    }
+
+    // Consume atomically: a code or link opens exactly one session
+    const consumed = await pool.query(
+      `UPDATE student_login_codes
+       SET used_at = NOW()
+       WHERE id = $1 AND used_at IS NULL AND expires_at > NOW()`,
+      [loginCode.login_code_id]
+    );
+
+    if (consumed.rowCount === 0) {
+      return res.status(401).json({ message: 'Invalid or expired login code' });
+    }
+
+    const result = await completeLogin(loginCode, context);
+
+    if (result.statusCode === 200) {
+      await recordLoginSuccess(pool, throttleKeys);
+    }
+
+    return res.status(result.statusCode).json(result.data);
+  } catch (error) {
+    console.error('Error in magic-link verify:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+module.exports = router;
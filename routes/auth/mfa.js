@@ -0,0 +1,369 @@
+// routes/auth/mfa.js
+const express = require('express');
+const QRCode = require('qrcode');
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../../utils/totp');
+const {
+  isMfaConfigured,
+  encryptSecret,
+  decryptSecret,
+  isMfaEnforced,
+  verifyMfaToken,
+  replaceBackupCodes,
+  consumeBackupCode,
+  consumeTotpCode,
+} = require('../../utils/mfa');
+const { getRequestContext, startUserSession } = require('../../utils/authSessions');
+const {
+  getAccountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../../utils/loginThrottle');
+
+const router = express.Router();
+
+const loadUser = async (db, userId, role) => {
+  const result = await db.query(
+    `SELECT id, full_name, email, role, college_id, is_active,
+            mfa_enabled, mfa_secret_encrypted, mfa_pending_secret_encrypted, mfa_last_used_step
+     FROM users
+     WHERE id = $1 AND role = $2`,
+    [userId, role]
+  );
+  return result.rows[0] || null;
+};
+
+// Enrolment is reachable either with a normal session or, when 2FA is
+// enforced for the role, with the MFA_ENROLL token returned by login
+const resolveEnrollmentUser = (req, res, next) => {
+  const { mfa_token } = req.body;
+
+  if (mfa_token) {
+    const decoded = verifyMfaToken(mfa_token, 'MFA_ENROLL');
+    if (!decoded) {
+      return res.status(401).json({ message: 'MFA token invalid or expired. Please login again.' });
+    }
+    req.mfaSubject = { user_id: decoded.user_id, role: decoded.role, via_login: true };
+    return next();
+  }
+
+  return authenticate(req, res, () => {
+    if (req.user.role === 'STUDENT') {
+      return res.status(403).json({ message: 'Two-factor authentication is not available for students' });
+    }
+    req.mfaSubject = { user_id: req.user.id, role: req.user.role, via_login: false };
+    return next();
+  });
+};
+
+const requireUserSession = (req, res, next) => {
+  return authenticate(req, res, () => {
+    if (req.user.role === 'STUDENT') {
+      return res.status(403).json({ message: 'Two-factor authentication is not available for students' });
+    }
+    return next();
+  });
+};
+
+// POST /api/auth/mfa/verify
+// Second login step: exchange MFA_CHALLENGE token + TOTP/backup code for a session
+router.post('/verify', async (req, res) => {
+  const { mfa_token, code, backup_code } = req.body;
+
+  const decoded = verifyMfaToken(mfa_token, 'MFA_CHALLENGE');
+  if (!decoded) {
+    return res.status(401).json({ message: 'MFA token invalid or expired. Please login again.' });
+  }
+
+  if (!code && !backup_code) {
+    return res.status(400).json({ message: 'code or backup_code is required' });
+  }
+
+  try {
+    const user = await loadUser(pool, decoded.user_id, decoded.role);
+
+    if (!user || !user.is_active) {
+      return res.status(403).json({ message: 'Account is inactive' });
+    }
+
+    if (!user.mfa_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled. Please login again.' });
+    }
+
+    const context = getRequestContext(req);
+    const throttleKeys = {
+      accountKey: getAccountKey(user.role, user.email),
+      ip: context.ip_address,
+    };
+
+    // Same lockout budget as the password step
+    const blocked = await checkLoginAllowed(pool, throttleKeys);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retry_after_seconds));
+      return res.status(429).json(blocked);
+    }
+
+    const valid = code
+      ? await consumeTotpCode(pool, user, code)
+      : await consumeBackupCode(pool, user.id, backup_code);
+
+    if (!valid) {
+      await recordLoginFailure(pool, throttleKeys);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await recordLoginSuccess(pool, throttleKeys);
+
+    return res.status(200).json(await startUserSession(pool, user, context));
+  } catch (error) {
+    console.error('Error in mfa verify:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+// POST /api/auth/mfa/enroll/start
+// Generates a pending secret and returns it with an otpauth:// QR code
+router.post('/enroll/start', resolveEnrollmentUser, async (req, res) => {
+  if (!isMfaConfigured()) {
+    return res.status(503).json({ message: 'Two-factor authentication is not available' });
+  }
+
+  try {
+    const user = await loadUser(pool, req.mfaSubject.user_id, req.mfaSubject.role);
+
+    if (!user || !user.is_active) {
+      return res.status(403).json({ message: 'Account is inactive' });
+    }
+
+    if (user.mfa_enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    const otpauth_url = buildOtpauthUrl(secret, user.email);
+
+    await pool.query(
+      'UPDATE users SET mfa_pending_secret_encrypted = $1 WHERE id = $2',
+      [encryptSecret(secret), user.id]
+    );
+
+    return res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+      secret,
+      otpauth_url,
+      qr_code: await QRCode.toDataURL(otpauth_url),
+    });
+  } catch (error) {
+    console.error('Error in mfa enroll start:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+// POST /api/auth/mfa/enroll/confirm
+// Activates the pending secret once the user proves their app works; returns backup codes once
+router.post('/enroll/confirm', resolveEnrollmentUser, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'code is required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const user = await loadUser(client, req.mfaSubject.user_id, req.mfaSubject.role);
+
+    if (!user || !user.is_active) {
+      return res.status(403).json({ message: 'Account is inactive' });
+    }
+
+    if (user.mfa_enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.mfa_pending_secret_encrypted) {
+      return res.status(400).json({ message: 'Start enrolment first' });
+    }
+
+    const step = verifyTotp(decryptSecret(user.mfa_pending_secret_encrypted), code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE users
+       SET mfa_enabled = true,
+           mfa_secret_encrypted = mfa_pending_secret_encrypted,
+           mfa_pending_secret_encrypted = NULL,
+           mfa_enabled_at = NOW(),
+           mfa_last_used_step = $1
+       WHERE id = $2`,
+      [step, user.id]
+    );
+
+    const backup_codes = await replaceBackupCodes(client, user.id);
+
+    await client.query('COMMIT');
+
+    // Forced enrolment during login: finish the login now
+    const responseData = req.mfaSubject.via_login
+      ? await startUserSession(pool, user, getRequestContext(req))
+      : {};
+
+    responseData.message = 'Two-factor authentication enabled. Store your backup codes safely; they are shown only once.';
+    responseData.backup_codes = backup_codes;
+
+    return res.status(200).json(responseData);
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      console.error('Rollback error in mfa enroll confirm:', rollbackErr.message);
+    }
+
+    console.error('Error in mfa enroll confirm:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/auth/mfa/status
+router.post('/status', requireUserSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.mfa_enabled, u.mfa_enabled_at,
+              (SELECT COUNT(*) FROM user_mfa_backup_codes b
+               WHERE b.user_id = u.id AND b.used_at IS NULL) AS backup_codes_remaining
+       FROM users u
+       WHERE u.id = $1`,
+      [req.user.id]
+    );
+
+    const row = result.rows[0];
+
+    return res.status(200).json({
+      mfa_enabled: row.mfa_enabled === true,
+      mfa_enabled_at: row.mfa_enabled_at,
+      mfa_enforced: isMfaEnforced(req.user.role),
+      backup_codes_remaining: parseInt(row.backup_codes_remaining),
+    });
+  } catch (error) {
+    console.error('Error in mfa status:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+// POST /api/auth/mfa/backup-codes
+// Regenerates backup codes (requires a current TOTP code)
+router.post('/backup-codes', requireUserSession, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'code is required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const user = await loadUser(client, req.user.id, req.user.role);
+
+    if (!user.mfa_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await consumeTotpCode(client, user, code))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await client.query('BEGIN');
+    const backup_codes = await replaceBackupCodes(client, user.id);
+    await client.query('COMMIT');
+
+    return res.status(200).json({
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backup_codes,
+    });
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      console.error('Rollback error in mfa backup-codes:', rollbackErr.message);
+    }
+
+    console.error('Error in mfa backup-codes:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/auth/mfa/disable
+// Turns 2FA off (requires a current TOTP code; not allowed where enforced)
+router.post('/disable', requireUserSession, async (req, res) => {
+  const { code } = req.body;
+
+  if (isMfaEnforced(req.user.role)) {
+    return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role' });
+  }
+
+  if (!code) {
+    return res.status(400).json({ message: 'code is required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const user = await loadUser(client, req.user.id, req.user.role);
+
+    if (!user.mfa_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await consumeTotpCode(client, user, code))) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE users
+       SET mfa_enabled = false,
+           mfa_secret_encrypted = NULL,
+           mfa_pending_secret_encrypted = NULL,
+           mfa_enabled_at = NULL,
+           mfa_last_used_step = NULL
+       WHERE id = $1`,
+      [user.id]
+    );
+
+    await client.query('DELETE FROM user_mfa_backup_codes WHERE user_id = $1', [user.id]);
+
+    await client.query('COMMIT');
+
+    return res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      console.error('Rollback error in mfa disable:', rollbackErr.message);
+    }
+
+    console.error('Error in mfa disable:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+// routes/auth/password-recovery.js
+// Forgot-password and reset-password for all eight login roles.
+// The same reset columns also carry the FORCE_RESET token issued by login.js.
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const pool = require('../../db/pool');
+const { success, error, badRequest, forbidden } = require('../../utils/response');
+const { resolveAccountRole, findAccountByEmail } = require('../../utils/accountRoles');
+const { sendEmailViaBrevo } = require('../../utils/mailer');
+const { revokeAllSessions } = require('../../utils/authSessions');
+const {
+  getAccountKey,
+  checkResetQuota,
+  recordResetRequest,
+  unlock,
+} = require('../../utils/loginThrottle');
+
+const router = express.Router();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://vtufest2026.acharyahabba.com/changepassword';
+const TOKEN_EXPIRY_MINUTES = 15;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Role may come from the URL (/forgot-password/manager) or the body
+const getRequestedRole = (req) => req.params.role || req.body.role;
+
+// ============================================================================
+// POST /api/auth/forgot-password/:role
+// Always answers with the same message so accounts cannot be enumerated
+// ============================================================================
+router.post('/forgot-password/:role?', async (req, res) => {
+  const account = resolveAccountRole(getRequestedRole(req));
+
+  if (!account) {
+    return badRequest(res, 'Invalid role');
+  }
+
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    return badRequest(res, 'Email is required');
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const standardMessage = 'If the account exists, a password reset link has been sent.';
+
+  const throttleKeys = {
+    accountKey: getAccountKey(account.role, normalizedEmail),
+    ip: req.ip,
+  };
+
+  try {
+    // Cap reset emails per account and requests per IP (rolling hour)
+    const quota = await checkResetQuota(pool, throttleKeys);
+
+    if (quota.ip_limited) {
+      return error(res, 'Too many reset requests. Please try again later.', 429);
+    }
+
+    const user = quota.account_limited
+      ? null
+      : await findAccountByEmail(pool, account, normalizedEmail, 'id, full_name, email, is_active');
+
+    if (!user || !user.is_active) {
+      await recordResetRequest(pool, { ...throttleKeys, emailSent: false });
+      return success(res, null, standardMessage);
+    }
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const hashedToken = await bcrypt.hash(rawToken, 10);
+    const expiryTime = new Date(Date.now() + TOKEN_EXPIRY_MINUTES * 60 * 1000);
+
+    // Replaces any earlier token, so only the newest link works
+    await pool.query(
+      `UPDATE ${account.table}
+       SET password_reset_token = $1,
+           password_reset_expires = $2
+       WHERE id = $3`,
+      [hashedToken, expiryTime, user.id]
+    );
+
+    const frontendRole = account.role.toLowerCase();
+    const resetLink = `${FRONTEND_URL}/reset-password?token=${rawToken}&email=${encodeURIComponent(normalizedEmail)}&role=${frontendRole}`;
+
+    let emailSent = true;
+    try {
+      await sendEmailViaBrevo(
+        user.email,
+        'Password Reset Request - VTU Fest',
+        `
+          <h2>Password Reset Request</h2>
+          <p>Hi ${user.full_name || 'User'},</p>
+          <p>You requested to reset your password. Click the link below to reset it:</p>
+          <p><a href="${resetLink}">Reset Password</a></p>
+          <p>This link will expire in ${TOKEN_EXPIRY_MINUTES} minutes and can be used once.</p>
+          <p>If you didn't request this, please ignore this email.</p>
+          <br>
+          <p>VTU Fest Team</p>
+        `
+      );
+    } catch (emailErr) {
+      emailSent = false;
+      console.error('Password reset email failed:', emailErr.message);
+    }
+
+    await recordResetRequest(pool, { ...throttleKeys, emailSent });
+
+    return success(res, null, standardMessage);
+  } catch (err) {
+    console.error('Error in forgot-password:', err);
+    return error(res, 'An error occurred processing your request', 500);
+  }
+});
+
+// ============================================================================
+// POST /api/auth/reset-password/:role
+// Consumes a forgot-password or FORCE_RESET token exactly once
+// ============================================================================
+router.post('/reset-password/:role?', async (req, res) => {
+  const account = resolveAccountRole(getRequestedRole(req));
+
+  if (!account) {
+    return badRequest(res, 'Invalid role');
+  }
+
+  const { token, email, new_password } = req.body;
+
+  if (!token || typeof token !== 'string' || !token.trim()) {
+    return badRequest(res, 'Reset token is required');
+  }
+
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    return badRequest(res, 'Email is required');
+  }
+
+  if (!new_password || typeof new_password !== 'string' || new_password.length < MIN_PASSWORD_LENGTH) {
+    return badRequest(res, `New password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const client = await pool.connect();
+
+  try {
+    const columns = account.table === 'users'
+      ? 'id, is_active, password_reset_token, password_reset_expires, force_password_reset'
+      : 'id, is_active, password_reset_token, password_reset_expires';
+
+    const user = await findAccountByEmail(client, account, normalizedEmail, columns);
+
+    if (!user || !user.password_reset_token || !user.password_reset_expires) {
+      return badRequest(res, 'Invalid or expired reset token');
+    }
+
+    if (!user.is_active) {
+      return forbidden(res, 'Account is inactive');
+    }
+
+    if (new Date() > new Date(user.password_reset_expires)) {
+      return badRequest(res, 'Reset token has expired');
+    }
+
+    if (!(await bcrypt.compare(token.trim(), user.password_reset_token))) {
+      return badRequest(res, 'Invalid or expired reset token');
+    }
+
+    const newPasswordHash = await bcrypt.hash(new_password, 10);
+
+    await client.query('BEGIN');
+
+    // Matching on the stored hash makes the token single-use even if two
+    // resets race: only the first UPDATE finds it
+    const updateResult = await client.query(
+      `UPDATE ${account.table}
+       SET password_hash = $1,
+           password_reset_token = NULL,
+           password_reset_expires = NULL
+           ${account.table === 'users' ? ', force_password_reset = false' : ''}
+       WHERE id = $2 AND password_reset_token = $3`,
+      [newPasswordHash, user.id, user.password_reset_token]
+    );
+
+    if (updateResult.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return badRequest(res, 'Invalid or expired reset token');
+    }
+
+    // Anyone holding the old password is logged out everywhere
+    await revokeAllSessions(
+      client,
+      account.role === 'STUDENT'
+        ? { role: 'STUDENT', student_id: user.id }
+        : { role: account.role, user_id: user.id },
+      'PASSWORD_RESET'
+    );
+
+    // Proving control of the mailbox lifts an account lockout
+    await unlock(client, 'ACCOUNT', getAccountKey(account.role, normalizedEmail));
+
+    await client.query('COMMIT');
+
+    return success(res, null, 'Password reset successful. Please login again.');
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      console.error('Rollback error in reset-password:', rollbackErr.message);
+    }
+
+    console.error('Error in reset-password:', err);
+    return error(res, 'An error occurred processing your request', 500);
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
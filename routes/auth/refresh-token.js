@@ -0,0 +1,132 @@
+// routes/auth/refresh-token.js
+const express = require('express');
+const pool = require('../../db/pool');
+const {
+  ACCESS_TOKEN_EXPIRY_SECONDS,
+  tokenMatchesHash,
+  buildStudentTokenPayload,
+  buildUserTokenPayload,
+  signAccessToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  revokeSession,
+} = require('../../utils/authSessions');
+
+const router = express.Router();
+
+// POST /api/auth/refresh
+// Exchanges a refresh token for a new access token and rotates the refresh token
+router.post('/', async (req, res) => {
+  const { refresh_token } = req.body;
+
+  const sessionId = parseRefreshToken(refresh_token);
+  if (!sessionId) {
+    return res.status(400).json({ message: 'A valid refresh_token is required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the session row so two concurrent refreshes cannot both rotate
+    const sessionResult = await client.query(
+      `SELECT id, role, student_id, user_id, refresh_token_hash, expires_at, revoked_at
+       FROM auth_sessions
+       WHERE id = $1
+       FOR UPDATE`,
+      [sessionId]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ message: 'Session not found. Please login again.' });
+    }
+
+    const session = sessionResult.rows[0];
+
+    if (session.revoked_at) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ message: 'Session has been logged out. Please login again.' });
+    }
+
+    if (new Date() > new Date(session.expires_at)) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ message: 'Session expired. Please login again.' });
+    }
+
+    // ⚠️ A valid session id with a stale secret means an old refresh token was replayed.
+    // Kill the session so whoever holds the current token is logged out too.
+    if (!tokenMatchesHash(refresh_token.trim(), session.refresh_token_hash)) {
+      await revokeSession(client, session.id, 'REFRESH_TOKEN_REUSE');
+      await client.query('COMMIT');
+      return res.status(401).json({ message: 'Refresh token already used. Please login again.' });
+    }
+
+    // Re-load the account so role/college changes and deactivation take effect
+    let payload;
+    if (session.role === 'STUDENT') {
+      const studentResult = await client.query(
+        'SELECT id, usn, college_id, is_active FROM students WHERE id = $1',
+        [session.student_id]
+      );
+      const student = studentResult.rows[0];
+
+      if (!student || !student.is_active) {
+        await revokeSession(client, session.id, 'ACCOUNT_INACTIVE');
+        await client.query('COMMIT');
+        return res.status(403).json({ message: 'Account is inactive' });
+      }
+
+      payload = buildStudentTokenPayload(student);
+    } else {
+      const userResult = await client.query(
+        'SELECT id, full_name, role, college_id, is_active FROM users WHERE id = $1 AND role = $2',
+        [session.user_id, session.role]
+      );
+      const user = userResult.rows[0];
+
+      if (!user || !user.is_active) {
+        await revokeSession(client, session.id, 'ACCOUNT_INACTIVE');
+        await client.query('COMMIT');
+        return res.status(403).json({ message: 'Account is inactive' });
+      }
+
+      payload = buildUserTokenPayload(user);
+    }
+
+    const rotated = generateRefreshToken(session.id);
+
+    await client.query(
+      `UPDATE auth_sessions
+       SET refresh_token_hash = $1,
+           refreshed_at = NOW(),
+           last_seen_at = NOW()
+       WHERE id = $2`,
+      [rotated.refresh_token_hash, session.id]
+    );
+
+    await client.query('COMMIT');
+
+    return res.status(200).json({
+      message: 'Token refreshed',
+      token: signAccessToken(payload, session.id),
+      refresh_token: rotated.refresh_token,
+      expires_in: ACCESS_TOKEN_EXPIRY_SECONDS,
+    });
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      console.error('Rollback error in refresh-token:', rollbackErr.message);
+    }
+
+    console.error('Error in refresh-token:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
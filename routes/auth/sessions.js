@@ -0,0 +1,77 @@
+// routes/auth/sessions.js
+const express = require('express');
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const { listActiveSessions, isSessionId } = require('../../utils/authSessions');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const getSubject = (user) => (
+  user.role === 'STUDENT'
+    ? { role: user.role, student_id: user.id }
+    : { role: user.role, user_id: user.id }
+);
+
+// POST /api/auth/sessions
+// Lists the current account's signed-in devices
+router.post('/', async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(pool, getSubject(req.user));
+
+    return res.status(200).json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.session_id === req.user.session_id,
+      })),
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+// POST /api/auth/sessions/revoke
+// Signs out one of the current account's devices
+router.post('/revoke', async (req, res) => {
+  const { session_id } = req.body;
+
+  if (!session_id || typeof session_id !== 'string') {
+    return res.status(400).json({ message: 'session_id is required' });
+  }
+
+  if (!isSessionId(session_id)) {
+    return res.status(400).json({ message: 'Invalid session_id' });
+  }
+
+  try {
+    const { role, id } = req.user;
+
+    // Ownership is part of the WHERE clause: other accounts' sessions look "not found"
+    const result = await pool.query(
+      `UPDATE auth_sessions
+       SET revoked_at = NOW(), revoked_reason = 'DEVICE_REVOKED'
+       WHERE id = $1
+         AND ${role === 'STUDENT' ? 'student_id' : 'user_id'} = $2
+         AND revoked_at IS NULL`,
+      [session_id, id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Session not found or already signed out' });
+    }
+
+    return res.status(200).json({
+      message: 'Device signed out',
+      current_session_revoked: session_id === req.user.session_id,
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// routes/auth/step-up.js
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRecentAuth = require('../../middleware/requireRecentAuth');
+const { consumeTotpCode } = require('../../utils/mfa');
+const {
+  getAccountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+} = require('../../utils/loginThrottle');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// POST /api/auth/step-up
+// Re-enter password (and 2FA code if enabled) to unlock sensitive actions
+// on the current session for a few minutes
+router.post('/', async (req, res) => {
+  const { password, code } = req.body;
+  const { id, role, email, session_id } = req.user;
+
+  if (!password || typeof password !== 'string') {
+    return res.status(400).json({ message: 'Password is required' });
+  }
+
+  try {
+    const throttleKeys = {
+      accountKey: getAccountKey(role, email),
+      ip: req.ip,
+    };
+
+    const blocked = await checkLoginAllowed(pool, throttleKeys);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retry_after_seconds));
+      return res.status(429).json(blocked);
+    }
+
+    const accountResult = role === 'STUDENT'
+      ? await pool.query('SELECT id, password_hash FROM students WHERE id = $1', [id])
+      : await pool.query(
+        `SELECT id, password_hash, mfa_enabled, mfa_secret_encrypted, mfa_last_used_step
+         FROM users WHERE id = $1`,
+        [id]
+      );
+
+    const account = accountResult.rows[0];
+
+    if (!account || !(await bcrypt.compare(password, account.password_hash))) {
+      await recordLoginFailure(pool, throttleKeys);
+      return res.status(401).json({ message: 'Incorrect password' });
+    }
+
+    if (account.mfa_enabled === true) {
+      if (!code) {
+        return res.status(400).json({ status: 'MFA_REQUIRED', message: 'Authentication code is required' });
+      }
+
+      if (!(await consumeTotpCode(pool, account, code))) {
+        await recordLoginFailure(pool, throttleKeys);
+        return res.status(401).json({ message: 'Invalid authentication code' });
+      }
+    }
+
+    await pool.query(
+      'UPDATE auth_sessions SET step_up_at = NOW() WHERE id = $1',
+      [session_id]
+    );
+
+    return res.status(200).json({
+      message: 'Identity confirmed',
+      step_up_expires_in: requireRecentAuth.DEFAULT_MAX_AGE_SECONDS,
+    });
+  } catch (error) {
+    console.error('Error in step-up:', error);
+
+    return res.status(500).json({ message: 'An error occurred processing your request' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+// routes/judge/scoring.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, forbidden, notFound } = require('../../utils/response');
+const { getEventBySlug } = require('../../utils/events');
+const {
+  getEntryType,
+  entryColumn,
+  getCriteria,
+  getEventEntries,
+  isJudgeAssigned,
+} = require('../../utils/judging');
+const { resolveAttendanceSlot, getAttendanceSheet } = require('../../utils/attendance');
+
+router.use(authenticate);
+router.use(requireRole(['JUDGE']));
+
+/**
+ * Validate submitted scores against the event's criteria
+ * @param {Array} scores - [{ criterion_id, score }]
+ * @param {Array} criteria - From getCriteria
+ * @returns {Array<String>} Validation errors
+ */
+const validateScores = (scores, criteria) => {
+  if (!Array.isArray(scores) || scores.length === 0) {
+    return ['scores must be a non-empty array of { criterion_id, score }'];
+  }
+
+  const errors = [];
+  const byId = new Map(criteria.map(c => [c.id, c]));
+  const seen = new Set();
+
+  for (const { criterion_id, score } of scores) {
+    const criterion = byId.get(criterion_id);
+
+    if (!criterion) {
+      errors.push(`Unknown criterion_id: ${criterion_id}`);
+      continue;
+    }
+
+    if (seen.has(criterion_id)) {
+      errors.push(`Duplicate score for ${criterion.name}`);
+    }
+    seen.add(criterion_id);
+
+    if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || score > criterion.max_score) {
+      errors.push(`${criterion.name}: score must be between 0 and ${criterion.max_score}`);
+    }
+  }
+
+  return errors;
+};
+
+// ============================================================================
+// POST /api/judge/scoring
+// Multi-action endpoint for judges to score their assigned events
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+  const judge_id = req.user.id;
+
+  if (!action) {
+    return validationError(res, 'Action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: my_events - Events this judge is assigned to, with progress
+    // ========================================================================
+    if (action === 'my_events') {
+      const result = await pool.query(
+        `SELECT
+           e.id,
+           e.slug,
+           e.name,
+           e.category,
+           e.is_group_event,
+           (SELECT COUNT(*)::int FROM judging_criteria jc WHERE jc.event_id = e.id) AS criteria_count,
+           (SELECT COUNT(*)::int FROM judge_score_sheets jss
+             WHERE jss.event_id = e.id AND jss.judge_user_id = $1 AND jss.submitted_at IS NOT NULL) AS submitted_count
+         FROM event_judges ej
+         INNER JOIN events e ON ej.event_id = e.id
+         WHERE ej.judge_user_id = $1 AND e.is_active = true
+         ORDER BY e.display_order, e.name`,
+        [judge_id]
+      );
+
+      return success(res, { events: result.rows });
+    }
+
+    // Remaining actions work on one assigned event
+    const event = await getEventBySlug(pool, req.body.event_slug);
+    if (!event || !event.is_active) {
+      return validationError(res, 'Invalid or missing event_slug');
+    }
+
+    if (!(await isJudgeAssigned(pool, event.id, judge_id))) {
+      return forbidden(res, 'You are not assigned to judge this event');
+    }
+
+    const entryType = getEntryType(event);
+    const column = entryColumn(entryType);
+
+    // ========================================================================
+    // ACTION: entries - Entries of the event with this judge's sheets
+    // ========================================================================
+    if (action === 'entries') {
+      const criteria = await getCriteria(pool, event.id);
+      const entries = await getEventEntries(pool, event);
+
+      const sheetsResult = await pool.query(
+        `SELECT
+           jss.id,
+           jss.${column} AS entry_id,
+           jss.remarks,
+           jss.submitted_at,
+           COALESCE(
+             json_agg(json_build_object('criterion_id', js.criterion_id, 'score', js.score::float))
+               FILTER (WHERE js.criterion_id IS NOT NULL),
+             '[]'
+           ) AS scores
+         FROM judge_score_sheets jss
+         LEFT JOIN judge_scores js ON js.sheet_id = jss.id
+         WHERE jss.event_id = $1 AND jss.judge_user_id = $2 AND jss.${column} IS NOT NULL
+         GROUP BY jss.id`,
+        [event.id, judge_id]
+      );
+
+      const sheetByEntry = new Map(sheetsResult.rows.map(sheet => [sheet.entry_id, sheet]));
+
+      return success(res, {
+        event_slug: event.slug,
+        entry_type: entryType,
+        criteria,
+        entries: entries.map(entry => {
+          const sheet = sheetByEntry.get(entry.entry_id);
+          return {
+            ...entry,
+            status: !sheet ? 'NOT_STARTED' : sheet.submitted_at ? 'SUBMITTED' : 'DRAFT',
+            remarks: sheet ? sheet.remarks : null,
+            scores: sheet ? sheet.scores : [],
+            submitted_at: sheet ? sheet.submitted_at : null,
+          };
+        }),
+      });
+    }
+
+    // ========================================================================
+    // ACTION: save_scores - Save a draft score sheet for one entry
+    // ========================================================================
+    if (action === 'save_scores') {
+      const { entry_id, scores, remarks = null } = req.body;
+
+      const [entry] = Number.isInteger(entry_id) ? await getEventEntries(pool, event, entry_id) : [];
+      if (!entry) {
+        return notFound(res, 'Entry');
+      }
+
+      const criteria = await getCriteria(pool, event.id);
+      if (criteria.length === 0) {
+        return error(res, 'Judging criteria have not been set for this event', 400);
+      }
+
+      const errors = validateScores(scores, criteria);
+      if (remarks !== null && typeof remarks !== 'string') {
+        errors.push('remarks must be a string');
+      }
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        // Criteria cannot be replaced while a sheet is being saved
+        await client.query('SELECT id FROM events WHERE id = $1 FOR SHARE', [event.id]);
+
+        const sheetResult = await client.query(
+          `INSERT INTO judge_score_sheets (event_id, judge_user_id, ${column}, remarks)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (event_id, judge_user_id, ${column}) WHERE ${column} IS NOT NULL
+           DO UPDATE SET remarks = EXCLUDED.remarks, updated_at = NOW()
+           WHERE judge_score_sheets.submitted_at IS NULL
+           RETURNING id`,
+          [event.id, judge_id, entry.entry_id, remarks]
+        );
+
+        // Conflicting row was left untouched: it is already submitted
+        if (sheetResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return error(res, 'Score sheet already submitted and locked', 409);
+        }
+
+        const sheetId = sheetResult.rows[0].id;
+
+        await client.query('DELETE FROM judge_scores WHERE sheet_id = $1', [sheetId]);
+
+        for (const { criterion_id, score } of scores) {
+          await client.query(
+            'INSERT INTO judge_scores (sheet_id, criterion_id, score) VALUES ($1, $2, $3)',
+            [sheetId, criterion_id, score]
+          );
+        }
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      return success(res, null, 'Scores saved as draft');
+    }
+
+    // ========================================================================
+    // ACTION: submit - Lock a complete score sheet
+    // ========================================================================
+    if (action === 'submit') {
+      const { entry_id } = req.body;
+
+      if (!Number.isInteger(entry_id)) {
+        return validationError(res, 'entry_id is required');
+      }
+
+      const sheetResult = await pool.query(
+        `SELECT
+           jss.id,
+           jss.submitted_at,
+           (SELECT COUNT(*)::int FROM judge_scores js WHERE js.sheet_id = jss.id) AS scored_count
+         FROM judge_score_sheets jss
+         WHERE jss.event_id = $1 AND jss.judge_user_id = $2 AND jss.${column} = $3`,
+        [event.id, judge_id, entry_id]
+      );
+
+      if (sheetResult.rows.length === 0) {
+        return error(res, 'No saved scores for this entry', 404);
+      }
+
+      const sheet = sheetResult.rows[0];
+
+      if (sheet.submitted_at) {
+        return error(res, 'Score sheet already submitted', 409);
+      }
+
+      const criteria = await getCriteria(pool, event.id);
+      if (sheet.scored_count < criteria.length) {
+        return error(res, `Score all ${criteria.length} criteria before submitting`, 400);
+      }
+
+      const submitted = await pool.query(
+        `UPDATE judge_score_sheets
+         SET submitted_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND submitted_at IS NULL`,
+        [sheet.id]
+      );
+
+      // Submitted in parallel, or removed when the judge was unassigned
+      if (submitted.rowCount === 0) {
+        return error(res, 'Score sheet is no longer open for submission', 409);
+      }
+
+      console.log(`Judge ${judge_id} submitted ${event.slug} sheet ${sheet.id}`);
+      return success(res, null, 'Scores submitted. This sheet is now locked.');
+    }
+
+    // ========================================================================
+    // ACTION: attendance - Who reported for a slot of this event
+    // ========================================================================
+    if (action === 'attendance') {
+      const { slot, error: slotError } = await resolveAttendanceSlot(pool, event, req.body.slot_id);
+      if (slotError) {
+        return validationError(res, slotError);
+      }
+
+      return success(res, await getAttendanceSheet(pool, event, slot));
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Judge scoring error:', err);
+    return error(res, 'Failed to process scoring request', 500);
+  }
+});
+
+module.exports = router;
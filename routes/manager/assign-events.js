@@ -5,37 +5,19 @@ const { authenticate } = require('../../middleware/auth');
 const requireRole = require('../../middleware/requireRole');
 const checkCollegeLock = require('../../middleware/checkCollegeLock');
 const { success, error, validationError } = require('../../utils/response');
-
-// ============================================================================
-// EVENT SLUG TO TABLE MAPPING (25 EVENTS) - ✅ FIXED: MATCHING NEON DB
-// ============================================================================
-const EVENT_TABLES = {
-  'mime': 'event_mime',
-  'mimicry': 'event_mimicry',
-  'one_act_play': 'event_one_act_play',
-  'skits': 'event_skits',
-  'debate': 'event_debate',
-  'elocution': 'event_elocution',
-  'quiz': 'event_quiz',
-  'cartooning': 'event_cartooning',
-  'clay_modelling': 'event_clay_modelling',
-  'collage_making': 'event_collage_making',
-  'installation': 'event_installation',
-  'on_spot_painting': 'event_on_spot_painting',
-  'poster_making': 'event_poster_making',
-  'rangoli': 'event_rangoli',
-  'spot_photography': 'event_spot_photography',
-  'classical_vocal_solo': 'event_classical_vocal_solo',
-  'classical_instrumental_percussion': 'event_classical_instr_percussion',       // ✅ FIXED: ABBREVIATED
-  'classical_instrumental_non_percussion': 'event_classical_instr_non_percussion', // ✅ FIXED: ABBREVIATED
-  'light_vocal_solo': 'event_light_vocal_solo',
-  'western_vocal_solo': 'event_western_vocal_solo',
-  'group_song_indian': 'event_group_song_indian',
-  'group_song_western': 'event_group_song_western',
-  'folk_orchestra': 'event_folk_orchestra',
-  'folk_tribal_dance': 'event_folk_dance',  // ✅ FIXED: folk_tribal_dance → folk_dance
-  'classical_dance_solo': 'event_classical_dance_solo',
-};
+const {
+  listEvents,
+  getEventBySlug,
+  describeEventRules,
+  checkAssignmentRules,
+  evaluateEventRules,
+  getCollegeAssignments,
+  getCollegeTeams,
+  STUDENT_EVENT_LIMITS,
+  getStudentLoads,
+  checkStudentLoad,
+} = require('../../utils/events');
+const { CLASH_POLICY, getEventSlots, findPersonClashes } = require('../../utils/schedule');
 
 // ============================================================================
 // POST /api/manager/assign-events
@@ -50,18 +32,48 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
   }
 
   try {
+    // ========================================================================
+    // ACTION: list_events - Active event catalogue with this college's counts
+    // ========================================================================
+    if (action === 'list_events') {
+      const events = await listEvents(pool);
+
+      const countsResult = await pool.query(
+        `SELECT
+          event_id,
+          COUNT(*) FILTER (WHERE event_type = 'PARTICIPANT') AS participant_count,
+          COUNT(*) FILTER (WHERE event_type = 'ACCOMPANIST') AS accompanist_count
+        FROM event_assignments
+        WHERE college_id = $1
+        GROUP BY event_id`,
+        [college_id]
+      );
+
+      const countsByEvent = new Map(countsResult.rows.map(row => [row.event_id, row]));
+
+      return success(res, {
+        events: events.map(event => {
+          const counts = countsByEvent.get(event.id);
+          return {
+            ...event,
+            participant_count: counts ? parseInt(counts.participant_count) : 0,
+            accompanist_count: counts ? parseInt(counts.accompanist_count) : 0,
+          };
+        }),
+      });
+    }
+
     // ========================================================================
     // ACTION: fetch - Get assignments for specific event
     // ========================================================================
     if (action === 'fetch') {
       const { event_slug } = req.body;
 
-      if (!event_slug || !EVENT_TABLES[event_slug]) {
+      const event = await getEventBySlug(pool, event_slug);
+      if (!event) {
         return validationError(res, 'Invalid or missing event_slug');
       }
 
-      const tableName = EVENT_TABLES[event_slug];
-
       // Fetch participants (students in participant role)
       const participantsResult = await pool.query(
         `SELECT 
@@ -72,11 +84,13 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
           person_type,
           full_name,
           phone,
-          email
-        FROM ${tableName}
-        WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ORDER BY full_name`,
-        [college_id]
+          email,
+          member_role,
+          position
+        FROM event_assignments
+        WHERE college_id = $1 AND event_id = $2 AND event_type = 'PARTICIPANT'
+        ORDER BY position NULLS LAST, full_name`,
+        [college_id, event.id]
       );
 
       // Fetch accompanists (in accompanying role)
@@ -89,11 +103,13 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
           person_type,
           full_name,
           phone,
-          email
-        FROM ${tableName}
-        WHERE college_id = $1 AND event_type = 'ACCOMPANIST'
-        ORDER BY full_name`,
-        [college_id]
+          email,
+          member_role,
+          position
+        FROM event_assignments
+        WHERE college_id = $1 AND event_id = $2 AND event_type = 'ACCOMPANIST'
+        ORDER BY position NULLS LAST, full_name`,
+        [college_id, event.id]
       );
 
       // Fetch available students (approved but not assigned to this event)
@@ -110,13 +126,12 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
           AND sa.status = 'APPROVED'
           AND sa.student_id NOT IN (
             SELECT student_id 
-            FROM ${tableName}
-            WHERE college_id = $1 
-              AND person_type = 'student'
+            FROM event_assignments
+            WHERE event_id = $2
               AND student_id IS NOT NULL
           )
         ORDER BY s.full_name`,
-        [college_id]
+        [college_id, event.id]
       );
 
       // Fetch available accompanists (not assigned to this event)
@@ -131,20 +146,46 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
         WHERE college_id = $1
           AND id NOT IN (
             SELECT accompanist_id 
-            FROM ${tableName}
-            WHERE college_id = $1 
-              AND person_type = 'accompanist'
+            FROM event_assignments
+            WHERE event_id = $2
               AND accompanist_id IS NOT NULL
           )
         ORDER BY full_name`,
-        [college_id]
+        [college_id, event.id]
+      );
+
+      // Rule status for this college's current line-up (checked again at final approval)
+      const assignments = await getCollegeAssignments(pool, college_id, event.id);
+      const [team = null] = event.is_group_event
+        ? await getCollegeTeams(pool, college_id, event.id)
+        : [];
+
+      // Each student's current load across all active events
+      const loads = new Map(
+        (await getStudentLoads(pool, college_id)).map(load => [load.student_id, load])
       );
+      const withLoad = (studentId, row) => {
+        const load = loads.get(studentId);
+        return {
+          ...row,
+          participant_events: load ? load.participant_events : 0,
+          accompanying_events: load ? load.accompanying_events : 0,
+        };
+      };
 
       return success(res, {
         event_slug,
-        participants: participantsResult.rows,
-        accompanists: accompanistsResult.rows,
-        available_students: availableStudentsResult.rows,
+        event,
+        rules: describeEventRules(event),
+        schedule: await getEventSlots(pool, event.id),
+        team,
+        rule_violations: assignments.length > 0 ? evaluateEventRules(event, assignments, team) : [],
+        student_event_limits: STUDENT_EVENT_LIMITS,
+        participants: participantsResult.rows.map(row =>
+          (row.person_type === 'student' ? withLoad(row.person_id, row) : row)),
+        accompanists: accompanistsResult.rows.map(row =>
+          (row.person_type === 'student' ? withLoad(row.person_id, row) : row)),
+        available_students: availableStudentsResult.rows.map(row => withLoad(row.student_id, row)),
         available_accompanists: availableAccompanistsResult.rows,
       });
     }
@@ -153,13 +194,18 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
     // ACTION: add - Assign person to event
     // ========================================================================
     if (action === 'add') {
-      const { event_slug, person_id, person_type, event_type } = req.body;
+      const { event_slug, person_id, person_type, event_type, member_role = null } = req.body;
 
       // Validation
-      if (!event_slug || !EVENT_TABLES[event_slug]) {
+      const event = await getEventBySlug(pool, event_slug);
+      if (!event) {
         return validationError(res, 'Invalid or missing event_slug');
       }
 
+      if (!event.is_active) {
+        return error(res, 'This event is no longer open for assignments', 400);
+      }
+
       if (!person_id || !person_type || !event_type) {
         return validationError(res, 'person_id, person_type, and event_type are required');
       }
@@ -177,6 +223,10 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
         return validationError(res, 'Accompanists cannot be participants');
       }
 
+      if (member_role !== null && (typeof member_role !== 'string' || member_role.length > 100)) {
+        return validationError(res, 'member_role must be a string of at most 100 characters');
+      }
+
       // Check college lock
       const lockCheck = await pool.query(
         'SELECT is_final_approved FROM colleges WHERE id = $1',
@@ -187,21 +237,12 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
         return error(res, 'College has final approval. Cannot modify assignments.', 403);
       }
 
-      const tableName = EVENT_TABLES[event_slug];
-
-      // Get college name and person details
-      const collegeResult = await pool.query(
-        'SELECT college_name FROM colleges WHERE id = $1',
-        [college_id]
-      );
-      const college_name = collegeResult.rows[0].college_name;
-
-      let full_name, phone, email;
+      let full_name, phone, email, gender, accompanist_kind;
 
       if (person_type === 'student') {
         // Check if student is approved
         const studentCheck = await pool.query(
-          `SELECT sa.status, s.full_name, s.phone, s.email
+          `SELECT sa.status, s.full_name, s.phone, s.email, s.gender
            FROM student_applications sa
            INNER JOIN students s ON sa.student_id = s.id
            WHERE sa.student_id = $1 AND s.college_id = $2`,
@@ -219,11 +260,13 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
         full_name = studentCheck.rows[0].full_name;
         phone = studentCheck.rows[0].phone;
         email = studentCheck.rows[0].email;
+        gender = studentCheck.rows[0].gender;
+        accompanist_kind = 'student';
 
       } else {
         // Check if accompanist exists
         const accompCheck = await pool.query(
-          'SELECT full_name, phone, email FROM accompanists WHERE id = $1 AND college_id = $2',
+          'SELECT full_name, phone, email, accompanist_type FROM accompanists WHERE id = $1 AND college_id = $2',
           [person_id, college_id]
         );
 
@@ -234,40 +277,119 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
         full_name = accompCheck.rows[0].full_name;
         phone = accompCheck.rows[0].phone;
         email = accompCheck.rows[0].email;
+        accompanist_kind = accompCheck.rows[0].accompanist_type;
       }
 
       // Check if already assigned
       const existingResult = await pool.query(
-        `SELECT id FROM ${tableName} 
-         WHERE college_id = $1 
-           AND person_type = $2 
+        `SELECT id FROM event_assignments 
+         WHERE event_id = $1 
+           AND college_id = $2 
            AND ${person_type === 'student' ? 'student_id' : 'accompanist_id'} = $3`,
-        [college_id, person_type, person_id]
+        [event.id, college_id, person_id]
       );
 
       if (existingResult.rows.length > 0) {
         return error(res, 'Person already assigned to this event', 409);
       }
 
-      // Insert assignment
-      const insertQuery = person_type === 'student'
-        ? `INSERT INTO ${tableName} 
-           (college_id, college_name, student_id, person_type, event_type, full_name, phone, email, created_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`
-        : `INSERT INTO ${tableName} 
-           (college_id, college_name, accompanist_id, person_type, event_type, full_name, phone, email, created_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`;
-
-      await pool.query(insertQuery, [
-        college_id,
-        college_name,
-        person_id,
-        person_type,
-        event_type,
-        full_name,
-        phone,
-        email,
-      ]);
+      const client = await pool.connect();
+      let clashes = [];
+
+      try {
+        await client.query('BEGIN');
+
+        // Serialize adds per college + event so two managers can't both take the last slot
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [college_id, event.id]);
+
+        const countsResult = await client.query(
+          `SELECT
+            COUNT(*) FILTER (WHERE event_type = 'PARTICIPANT')::int AS participant_count,
+            COUNT(*) FILTER (WHERE event_type = 'ACCOMPANIST')::int AS accompanist_count
+          FROM event_assignments
+          WHERE college_id = $1 AND event_id = $2`,
+          [college_id, event.id]
+        );
+
+        const ruleError = checkAssignmentRules(event, countsResult.rows[0], {
+          event_type,
+          gender,
+          accompanist_kind,
+        });
+
+        if (ruleError) {
+          await client.query('ROLLBACK');
+          return error(res, ruleError, 400);
+        }
+
+        // Per-student cap across all events (row lock serializes adds for this student)
+        if (person_type === 'student') {
+          await client.query('SELECT id FROM students WHERE id = $1 FOR UPDATE', [person_id]);
+
+          const [load] = await getStudentLoads(client, college_id, person_id);
+          const loadError = checkStudentLoad(load, event_type);
+
+          if (loadError) {
+            await client.query('ROLLBACK');
+            return error(res, `${full_name}: ${loadError}`, 400);
+          }
+        }
+
+        // Same person already busy in an overlapping slot
+        clashes = await findPersonClashes(client, event.id, { person_type, person_id });
+
+        if (clashes.length > 0 && CLASH_POLICY === 'block') {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: `${full_name} is already assigned to an event at an overlapping time`,
+            schedule_clashes: clashes,
+          });
+        }
+
+        // Insert assignment
+        const insertQuery = person_type === 'student'
+          ? `INSERT INTO event_assignments 
+             (event_id, college_id, student_id, person_type, event_type, full_name, phone, email, member_role, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`
+          : `INSERT INTO event_assignments 
+             (event_id, college_id, accompanist_id, person_type, event_type, full_name, phone, email, member_role, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`;
+
+        await client.query(insertQuery, [
+          event.id,
+          college_id,
+          person_id,
+          person_type,
+          event_type,
+          full_name,
+          phone,
+          email,
+          member_role,
+        ]);
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+
+        // A concurrent add of the same person won the unique index
+        if (txError.code === '23505') {
+          return error(res, 'Person already assigned to this event', 409);
+        }
+
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      if (clashes.length > 0) {
+        return success(
+          res,
+          { schedule_clashes: clashes },
+          'Assignment added, but it overlaps with another event for this person',
+          201
+        );
+      }
 
       return success(res, null, 'Assignment added successfully', 201);
     }
@@ -278,7 +400,8 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
     if (action === 'remove') {
       const { event_slug, person_id, person_type } = req.body;
 
-      if (!event_slug || !EVENT_TABLES[event_slug]) {
+      const event = await getEventBySlug(pool, event_slug);
+      if (!event) {
         return validationError(res, 'Invalid or missing event_slug');
       }
 
@@ -296,22 +419,157 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
         return error(res, 'College has final approval. Cannot modify assignments.', 403);
       }
 
-      const tableName = EVENT_TABLES[event_slug];
       const idColumn = person_type === 'student' ? 'student_id' : 'accompanist_id';
 
       const deleteResult = await pool.query(
-        `DELETE FROM ${tableName} 
-         WHERE college_id = $1 AND person_type = $2 AND ${idColumn} = $3`,
-        [college_id, person_type, person_id]
+        `DELETE FROM event_assignments 
+         WHERE event_id = $1 AND college_id = $2 AND person_type = $3 AND ${idColumn} = $4`,
+        [event.id, college_id, person_type, person_id]
       );
 
       if (deleteResult.rowCount === 0) {
         return error(res, 'Assignment not found', 404);
       }
 
+      // A removed captain leaves the team without one until a new captain is picked
+      if (person_type === 'student') {
+        await pool.query(
+          `UPDATE event_teams
+           SET captain_student_id = NULL, updated_at = NOW()
+           WHERE event_id = $1 AND college_id = $2 AND captain_student_id = $3`,
+          [event.id, college_id, person_id]
+        );
+      }
+
       return success(res, null, 'Assignment removed successfully');
     }
 
+    // ========================================================================
+    // ACTION: save_team - Create/rename a group event team and set its captain
+    // ========================================================================
+    if (action === 'save_team') {
+      const { event_slug, team_name, captain_student_id } = req.body;
+
+      const event = await getEventBySlug(pool, event_slug);
+      if (!event) {
+        return validationError(res, 'Invalid or missing event_slug');
+      }
+
+      if (!event.is_group_event) {
+        return error(res, `${event.name} is not a group event`, 400);
+      }
+
+      if (typeof team_name !== 'string' || !team_name.trim() || team_name.trim().length > 150) {
+        return validationError(res, 'team_name is required (at most 150 characters)');
+      }
+
+      if (!captain_student_id) {
+        return validationError(res, 'captain_student_id is required');
+      }
+
+      // Check college lock
+      const lockCheck = await pool.query(
+        'SELECT is_final_approved FROM colleges WHERE id = $1',
+        [college_id]
+      );
+
+      if (lockCheck.rows[0].is_final_approved) {
+        return error(res, 'College has final approval. Cannot modify assignments.', 403);
+      }
+
+      // Captain must already be a participant of this team
+      const captainCheck = await pool.query(
+        `SELECT id FROM event_assignments
+         WHERE event_id = $1 AND college_id = $2 AND student_id = $3 AND event_type = 'PARTICIPANT'`,
+        [event.id, college_id, captain_student_id]
+      );
+
+      if (captainCheck.rows.length === 0) {
+        return error(res, 'Captain must be a participant assigned to this event', 400);
+      }
+
+      const result = await pool.query(
+        `INSERT INTO event_teams (event_id, college_id, team_name, captain_student_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (event_id, college_id)
+         DO UPDATE SET team_name = EXCLUDED.team_name,
+                       captain_student_id = EXCLUDED.captain_student_id,
+                       updated_at = NOW()
+         RETURNING id, event_id, college_id, team_name, captain_student_id, created_at, updated_at`,
+        [event.id, college_id, team_name.trim(), captain_student_id]
+      );
+
+      return success(res, { team: result.rows[0] }, 'Team saved successfully');
+    }
+
+    // ========================================================================
+    // ACTION: update_member - Set a member's instrument/role and line-up position
+    // ========================================================================
+    if (action === 'update_member') {
+      const { event_slug, person_id, person_type, member_role, position } = req.body;
+
+      const event = await getEventBySlug(pool, event_slug);
+      if (!event) {
+        return validationError(res, 'Invalid or missing event_slug');
+      }
+
+      if (!person_id || !['student', 'accompanist'].includes(person_type)) {
+        return validationError(res, 'person_id and person_type ("student" or "accompanist") are required');
+      }
+
+      if (member_role === undefined && position === undefined) {
+        return validationError(res, 'Provide member_role and/or position');
+      }
+
+      const errors = [];
+      if (member_role !== undefined && member_role !== null
+        && (typeof member_role !== 'string' || member_role.length > 100)) {
+        errors.push('member_role must be a string of at most 100 characters');
+      }
+      if (position !== undefined && position !== null && (!Number.isInteger(position) || position < 1)) {
+        errors.push('position must be a positive integer');
+      }
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      // Check college lock
+      const lockCheck = await pool.query(
+        'SELECT is_final_approved FROM colleges WHERE id = $1',
+        [college_id]
+      );
+
+      if (lockCheck.rows[0].is_final_approved) {
+        return error(res, 'College has final approval. Cannot modify assignments.', 403);
+      }
+
+      const idColumn = person_type === 'student' ? 'student_id' : 'accompanist_id';
+
+      const updateResult = await pool.query(
+        `UPDATE event_assignments
+         SET member_role = CASE WHEN $5 THEN $6 ELSE member_role END,
+             position = CASE WHEN $7 THEN $8::int ELSE position END
+         WHERE event_id = $1 AND college_id = $2 AND person_type = $3 AND ${idColumn} = $4
+         RETURNING member_role, position`,
+        [
+          event.id,
+          college_id,
+          person_type,
+          person_id,
+          member_role !== undefined,
+          member_role === undefined ? null : member_role,
+          position !== undefined,
+          position === undefined ? null : position,
+        ]
+      );
+
+      if (updateResult.rowCount === 0) {
+        return error(res, 'Assignment not found', 404);
+      }
+
+      return success(res, updateResult.rows[0], 'Member updated successfully');
+    }
+
     // Invalid action
     return validationError(res, 'Invalid action specified');
 
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { error, notFound } = require('../../utils/response');
+const { getBadgeHolders, renderBadgesPdf } = require('../../utils/badges');
+
+router.use(authenticate);
+router.use(requireRole(['MANAGER', 'PRINCIPAL']));
+
+/**
+ * Send a rendered badge PDF as a download
+ * @param {Object} res - Express response
+ * @param {PDFDocument} doc
+ * @param {String} fileName
+ */
+const sendPdf = (res, doc, fileName) => {
+  res.type('application/pdf');
+  res.attachment(fileName);
+  doc.pipe(res);
+};
+
+// ============================================================================
+// GET /api/manager/badges/batch
+// Every finalized participant/accompanist of the college, four badges per A4
+// ============================================================================
+router.get('/batch', async (req, res) => {
+  try {
+    const { college_id } = req.user;
+
+    const holders = await getBadgeHolders(pool, college_id);
+    if (holders.length === 0) {
+      return error(res, 'Badges are available after final approval', 404);
+    }
+
+    const doc = await renderBadgesPdf(holders, { layout: 'a4' });
+    sendPdf(res, doc, `badges_${holders[0].college_code}.pdf`);
+
+  } catch (err) {
+    console.error('Badge batch error:', err);
+    if (!res.headersSent) {
+      return error(res, 'Failed to generate badges', 500);
+    }
+  }
+});
+
+// ============================================================================
+// GET /api/manager/badges/:participant_id
+// One badge (final_event_participants_master id) of this college
+// ============================================================================
+router.get('/:participant_id', async (req, res) => {
+  try {
+    const { college_id } = req.user;
+    const participantId = parseInt(req.params.participant_id, 10);
+
+    if (!Number.isInteger(participantId)) {
+      return notFound(res, 'Participant');
+    }
+
+    const holders = await getBadgeHolders(pool, college_id, { participant_id: participantId });
+    if (holders.length === 0) {
+      return notFound(res, 'Participant');
+    }
+
+    const doc = await renderBadgesPdf(holders, { layout: 'single' });
+    sendPdf(res, doc, `badge_${holders[0].full_name.replace(/[^A-Za-z0-9]+/g, '_')}.pdf`);
+
+  } catch (err) {
+    console.error('Badge download error:', err);
+    if (!res.headersSent) {
+      return error(res, 'Failed to generate badge', 500);
+    }
+  }
+});
+
+module.exports = router;
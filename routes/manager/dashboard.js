@@ -78,134 +78,13 @@ router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req
     const accompanists_count = parseInt(accompanistsResult.rows[0].total);
 
     // 7. COUNT PARTICIPATING EVENTS (DISTINCT EVENTS WITH PARTICIPANTS)
-    // ✅ FIXED: Using CORRECT table names from Neon DB
     const participatingEventsResult = await pool.query(
-      `SELECT (
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_classical_vocal_solo 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_light_vocal_solo 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_western_vocal_solo 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_classical_instr_percussion 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_classical_instr_non_percussion 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_folk_orchestra 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_group_song_indian 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_group_song_western 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_folk_dance 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_classical_dance_solo 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_mime 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_mimicry 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_one_act_play 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_skits 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_debate 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_elocution 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_quiz 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_cartooning 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_clay_modelling 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_collage_making 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_installation 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_on_spot_painting 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_poster_making 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_rangoli 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END +
-        
-        CASE WHEN EXISTS (
-          SELECT 1 FROM event_spot_photography 
-          WHERE college_id = $1 AND event_type = 'PARTICIPANT'
-        ) THEN 1 ELSE 0 END
-      ) AS event_count`,
+      `SELECT COUNT(DISTINCT ea.event_id) AS event_count
+       FROM event_assignments ea
+       INNER JOIN events e ON ea.event_id = e.id
+       WHERE ea.college_id = $1
+         AND ea.event_type = 'PARTICIPANT'
+         AND e.is_active = true`,
       [college_id]
     );
     const participating_event_count = parseInt(participatingEventsResult.rows[0].event_count);
@@ -8,6 +8,7 @@ const pool = require('../../db/pool');
 const { BlobServiceClient, generateBlobSASQueryParameters, BlobSASPermissions, StorageSharedKeyCredential } = require('@azure/storage-blob');
 const { authenticate } = require('../../middleware/auth');
 const requireRole = require('../../middleware/requireRole');
+const requireRecentAuth = require('../../middleware/requireRecentAuth');
 const { success, error, validationError } = require('../../utils/response');
 
 const STORAGE_ACCOUNT_NAME = process.env.AZURE_STORAGE_ACCOUNT_NAME;
@@ -68,7 +69,12 @@ const getBlobSize = async (blobName) => {
   }
 };
 
-router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req, res) => {
+// Deleting an accompanist requires a recent password re-entry (step-up)
+const requireStepUpForDelete = requireRecentAuth({
+  when: (req) => req.body.action === 'delete_accompanist',
+});
+
+router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), requireStepUpForDelete, async (req, res) => {
   const { action } = req.body;
   const { college_id, id: user_id } = req.user;
 
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError } = require('../../utils/response');
+const { CLASH_POLICY, getEventSlots, getCollegeClashes } = require('../../utils/schedule');
+
+// ============================================================================
+// POST /api/manager/schedule
+// Festival timetable and this college's schedule clashes
+// ============================================================================
+router.post('/', authenticate, requireRole(['MANAGER', 'PRINCIPAL']), async (req, res) => {
+  const { action } = req.body;
+  const { college_id } = req.user;
+
+  if (!action) {
+    return validationError(res, 'Action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: list - Slots of all active events
+    // ========================================================================
+    if (action === 'list') {
+      const slots = await getEventSlots(pool);
+      return success(res, { slots });
+    }
+
+    // ========================================================================
+    // ACTION: clash_report - Students/accompanists booked into overlapping slots
+    // ========================================================================
+    if (action === 'clash_report') {
+      const clashes = await getCollegeClashes(pool, college_id);
+
+      return success(res, {
+        clash_policy: CLASH_POLICY,
+        clash_count: clashes.length,
+        clashes,
+      });
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Schedule error:', err);
+    return error(res, 'Failed to load schedule', 500);
+  }
+});
+
+module.exports = router;
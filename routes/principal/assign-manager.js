@@ -1,61 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const https = require('https');
 const pool = require('../../db/pool');
 const { authenticate } = require('../../middleware/auth');
 const requireRole = require('../../middleware/requireRole');
-
-async function sendEmailViaBrevo(to, subject, html) {
-  const payload = JSON.stringify({
-    sender: { email: process.env.FROM_EMAIL, name: 'VTU Fest Team' },
-    to: [{ email: to }],
-    subject,
-    htmlContent: html,
-  });
-
-  const options = {
-    hostname: 'api.brevo.com',
-    port: 443,
-    path: '/v3/smtp/email',
-    method: 'POST',
-    headers: {
-      'api-key': process.env.BREVO_API_KEY,
-      'Content-Type': 'application/json',
-      'Content-Length': Buffer.byteLength(payload),
-    },
-    timeout: 15000,
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve({ success: true, status: res.statusCode });
-        } else {
-          reject(new Error(`Brevo API failed: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
-
-    req.on('error', (err) => {
-      reject(new Error(`Brevo request failed: ${err.message}`));
-    });
-
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Brevo request timeout'));
-    });
-
-    req.write(payload);
-    req.end();
-  });
-}
+const requireRecentAuth = require('../../middleware/requireRecentAuth');
+const { sendCredentialsEmail } = require('../../utils/mailer');
 
 router.use(authenticate);
 router.use(requireRole(['PRINCIPAL']));
+router.use(requireRecentAuth());
 
 router.post('/', async (req, res) => {
   const requestId = `REQ-${Date.now()}`;
@@ -114,23 +68,12 @@ router.post('/', async (req, res) => {
     console.log(`[${requestId}] Sending email via Brevo API...`);
 
     try {
-      await sendEmailViaBrevo(
-        manager_email,
-        'You have been assigned as Team Manager - VTU Fest 2026',
-        `
-          <h2>Welcome to VTU Fest 2026!</h2>
-          <p>Dear ${manager_name},</p>
-          <p>You have been assigned as <strong>Team Manager</strong> for your college.</p>
-          <h3>Your Login Credentials:</h3>
-          <ul>
-            <li><strong>Email:</strong> ${manager_email}</li>
-            <li><strong>Password:</strong> ${default_password}</li>
-          </ul>
-          <p><a href="https://vtufest2026.acharyahabba.com/">Login here</a></p>
-          <p><strong>IMPORTANT:</strong> You must change your password on first login.</p>
-          <p>Best regards,<br>VTU Fest Team</p>
-        `
-      );
+      await sendCredentialsEmail(manager_email, {
+        subject: 'You have been assigned as Team Manager - VTU Fest 2026',
+        fullName: manager_name,
+        roleLine: 'You have been assigned as <strong>Team Manager</strong> for your college.',
+        password: default_password,
+      });
 
       await client.query('COMMIT');
       console.log(`[${requestId}] SUCCESS: Email sent, transaction committed`);
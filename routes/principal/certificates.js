@@ -0,0 +1,36 @@
+// routes/principal/certificates.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { error } = require('../../utils/response');
+const { getCollegeCertificates, streamCertificatesZip } = require('../../utils/certificates');
+
+router.use(authenticate);
+router.use(requireRole(['PRINCIPAL', 'MANAGER']));
+
+// ============================================================================
+// GET /api/principal/certificates/zip
+// This college's issued certificates as one ZIP of PDFs
+// ============================================================================
+router.get('/zip', async (req, res) => {
+  try {
+    const { college_id } = req.user;
+
+    const certificates = await getCollegeCertificates(pool, college_id);
+    if (certificates.length === 0) {
+      return error(res, 'Certificates have not been issued for your college yet', 404);
+    }
+
+    await streamCertificatesZip(res, certificates, `certificates_${certificates[0].college_code}.zip`);
+
+  } catch (err) {
+    console.error('College certificate ZIP error:', err);
+    if (!res.headersSent) {
+      return error(res, 'Failed to generate certificates', 500);
+    }
+  }
+});
+
+module.exports = router;
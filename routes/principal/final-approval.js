@@ -3,14 +3,19 @@
 // Includes: Event validation, Accompanists, QR codes, All document URLs
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const pool = require('../../db/pool');
 const { authenticate } = require('../../middleware/auth');
 const requireRole = require('../../middleware/requireRole');
+const requireRecentAuth = require('../../middleware/requireRecentAuth');
+const { getCollegeRuleViolations, getStudentLoadViolations } = require('../../utils/events');
+const { isQrSigningEnabled } = require('../../utils/qrPayload');
 
-// Apply middleware
+// Apply middleware (final approval is irreversible: require a recent password re-entry)
 router.use(authenticate);
 router.use(requireRole(['PRINCIPAL']));
+router.use(requireRecentAuth());
 
 // ============================================================================
 // POST /api/principal/final-approval
@@ -106,11 +111,45 @@ router.post('/', async (req, res) => {
 
       console.log(`🔍 [${requestId}] 📊 College: ${college.college_name} (${college.college_code})`);
 
+      // ========================================================================
+      // STEP 1b: Per-event rules (team size, accompanists, eligibility)
+      // ========================================================================
+      const ruleViolations = await getCollegeRuleViolations(client, college_id);
+
+      if (ruleViolations.length > 0) {
+        await client.query('ROLLBACK');
+        clearTimeout(requestTimeout);
+        console.log(`🔍 [${requestId}] ❌ Event rule violations in ${ruleViolations.length} event(s)`);
+        return res.status(400).json({
+          success: false,
+          message: 'Some events do not meet their participation rules. Fix them before final approval.',
+          violations: ruleViolations,
+          requestId,
+        });
+      }
+
+      // ========================================================================
+      // STEP 1c: Per-student event caps
+      // ========================================================================
+      const loadViolations = await getStudentLoadViolations(client, college_id);
+
+      if (loadViolations.length > 0) {
+        await client.query('ROLLBACK');
+        clearTimeout(requestTimeout);
+        console.log(`🔍 [${requestId}] ❌ ${loadViolations.length} student(s) over the event limit`);
+        return res.status(400).json({
+          success: false,
+          message: 'Some students are assigned to more events than allowed. Fix them before final approval.',
+          student_violations: loadViolations,
+          requestId,
+        });
+      }
+
       // ========================================================================
       // STEP 2: Get ELIGIBLE STUDENTS with ALL required data
       // - Join students + student_applications + application_documents + colleges
       // - Filter by APPROVED status
-      // - Validate appears in at least ONE event table
+      // - Validate assigned to at least ONE active event
       // ========================================================================
       console.log(`🔍 [${requestId}] 🔍 Fetching eligible students with event validation...`);
       const studentsQueryStart = Date.now();
@@ -142,32 +181,13 @@ router.post('/', async (req, res) => {
          LEFT JOIN application_documents ad ON sa.id = ad.application_id
          WHERE s.college_id = $1
            AND sa.status = 'APPROVED'
-           AND (
-             EXISTS (SELECT 1 FROM event_classical_vocal_solo WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_light_vocal_solo WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_western_vocal_solo WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_classical_instr_percussion WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_classical_instr_non_percussion WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_group_song_indian WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_group_song_western WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_folk_orchestra WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_classical_dance_solo WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_folk_dance WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_mime WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_mimicry WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_one_act_play WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_skits WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_debate WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_elocution WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_quiz WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_cartooning WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_clay_modelling WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_collage_making WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_installation WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_on_spot_painting WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_poster_making WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_rangoli WHERE student_id = s.id AND college_id = s.college_id)
-             OR EXISTS (SELECT 1 FROM event_spot_photography WHERE student_id = s.id AND college_id = s.college_id)
+           AND EXISTS (
+             SELECT 1
+             FROM event_assignments ea
+             INNER JOIN events e ON ea.event_id = e.id
+             WHERE ea.student_id = s.id
+               AND ea.college_id = s.college_id
+               AND e.is_active = true
            )
          GROUP BY s.id, s.full_name, s.usn, s.email, s.phone, s.gender, s.passport_photo_url,
                   sa.id, sa.blood_group, sa.address, sa.department, sa.year_of_study, 
@@ -255,25 +275,38 @@ router.post('/', async (req, res) => {
 
       // ========================================================================
       // STEP 6: PRE-RESERVE QR CODES (Single batch query)
+      // With signed QR payloads configured the pool is not used: each row gets
+      // a random reference and its QR is signed on demand (utils/qrPayload)
       // ========================================================================
-      console.log(`🔍 [${requestId}] 🎫 Reserving ${actual_total} QR codes...`);
+      const useSignedQr = isQrSigningEnabled();
       const qrReserveStart = Date.now();
+      let reserved_qr_codes;
+
+      if (useSignedQr) {
+        console.log(`🔍 [${requestId}] 🎫 Signed QR payloads enabled, skipping QR pool`);
+        reserved_qr_codes = Array.from({ length: actual_total }, () => ({
+          id: null,
+          qr_code: `VQ-${crypto.randomUUID()}`,
+        }));
+      } else {
+        console.log(`🔍 [${requestId}] 🎫 Reserving ${actual_total} QR codes...`);
+
+        const qrReserveResult = await client.query(
+          `SELECT id, qr_code 
+           FROM qr_code_pool 
+           WHERE is_used = false 
+           ORDER BY id
+           FOR UPDATE SKIP LOCKED 
+           LIMIT $1`,
+          [actual_total]
+        );
 
-      const qrReserveResult = await client.query(
-        `SELECT id, qr_code 
-         FROM qr_code_pool 
-         WHERE is_used = false 
-         ORDER BY id
-         FOR UPDATE SKIP LOCKED 
-         LIMIT $1`,
-        [actual_total]
-      );
+        reserved_qr_codes = qrReserveResult.rows;
+      }
 
       const qrReserveTime = Date.now() - qrReserveStart;
       console.log(`🔍 [${requestId}] ✅ QR codes reserved in ${qrReserveTime}ms`);
 
-      const reserved_qr_codes = qrReserveResult.rows;
-
       if (reserved_qr_codes.length < actual_total) {
         await client.query('ROLLBACK');
         clearTimeout(requestTimeout);
@@ -294,6 +327,8 @@ router.post('/', async (req, res) => {
       let qr_index = 0;
       let inserted_students = 0;
       const qr_pool_ids = []; // Track QR pool IDs for batch update
+      const participantIdByStudent = new Map(); // student_id -> master id (for team members)
+      const participantIdByAccompanist = new Map(); // accompanist_id -> master id
 
       for (const student of eligibleStudents) {
         const { id: qr_pool_id, qr_code } = reserved_qr_codes[qr_index++];
@@ -361,7 +396,10 @@ router.post('/', async (req, res) => {
         );
 
         const participant_id = insertResult.rows[0].id;
-        qr_pool_ids.push({ pool_id: qr_pool_id, participant_id });
+        if (qr_pool_id !== null) {
+          qr_pool_ids.push({ pool_id: qr_pool_id, participant_id });
+        }
+        participantIdByStudent.set(student.student_id, participant_id);
 
         inserted_students++;
       }
@@ -443,14 +481,81 @@ router.post('/', async (req, res) => {
         );
 
         const participant_id = insertResult.rows[0].id;
-        qr_pool_ids.push({ pool_id: qr_pool_id, participant_id });
+        if (qr_pool_id !== null) {
+          qr_pool_ids.push({ pool_id: qr_pool_id, participant_id });
+        }
+        participantIdByAccompanist.set(acc.accompanist_id, participant_id);
 
         inserted_accompanists++;
       }
 
+      // Student-accompanists dropped in STEP 5 are represented by their student row
+      for (const acc of accompanists) {
+        if (!participantIdByAccompanist.has(acc.accompanist_id) && participantIdByStudent.has(acc.student_id)) {
+          participantIdByAccompanist.set(acc.accompanist_id, participantIdByStudent.get(acc.student_id));
+        }
+      }
+
       const insertAccompanistsTime = Date.now() - insertAccompanistsStart;
       console.log(`🔍 [${requestId}] ✅ ${inserted_accompanists} accompanists inserted in ${insertAccompanistsTime}ms`);
 
+      // ========================================================================
+      // STEP 8b: Snapshot group event teams against the master rows
+      // ========================================================================
+      const teamsResult = await client.query(
+        `SELECT t.id, t.event_id, t.team_name, t.captain_student_id
+         FROM event_teams t
+         INNER JOIN events e ON t.event_id = e.id
+         WHERE t.college_id = $1 AND e.is_active = true AND e.is_group_event = true`,
+        [college_id]
+      );
+
+      let inserted_teams = 0;
+
+      for (const team of teamsResult.rows) {
+        const finalTeamResult = await client.query(
+          `INSERT INTO final_event_teams (college_id, event_id, team_name, captain_participant_id)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+          [
+            college_id,
+            team.event_id,
+            team.team_name,
+            participantIdByStudent.get(team.captain_student_id) || null,
+          ]
+        );
+        const final_team_id = finalTeamResult.rows[0].id;
+
+        const membersResult = await client.query(
+          `SELECT student_id, accompanist_id, event_type, member_role, position
+           FROM event_assignments
+           WHERE college_id = $1 AND event_id = $2`,
+          [college_id, team.event_id]
+        );
+
+        for (const member of membersResult.rows) {
+          const participant_id = member.student_id
+            ? participantIdByStudent.get(member.student_id)
+            : participantIdByAccompanist.get(member.accompanist_id);
+
+          // Inactive accompanists have no master row
+          if (!participant_id) {
+            continue;
+          }
+
+          await client.query(
+            `INSERT INTO final_event_team_members (final_team_id, participant_id, event_type, member_role, position)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (final_team_id, participant_id) DO NOTHING`,
+            [final_team_id, participant_id, member.event_type, member.member_role, member.position]
+          );
+        }
+
+        inserted_teams++;
+      }
+
+      console.log(`🔍 [${requestId}] ✅ ${inserted_teams} team(s) recorded`);
+
       // ========================================================================
       // STEP 9: Mark ALL reserved QR codes as used (BATCH UPDATE)
       // ========================================================================
@@ -508,6 +613,7 @@ router.post('/', async (req, res) => {
         data: {
           inserted_students,
           inserted_accompanists,
+          inserted_teams,
           total_participants: inserted_students + inserted_accompanists,
           duplicates_removed
         },
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { success, error } = require('../../utils/response');
+const { getCertificateByCode } = require('../../utils/certificates');
+
+// ============================================================================
+// GET /api/shared/certificates/verify/:code
+// Public endpoint - Confirm a certificate code is genuine
+// ============================================================================
+router.get('/verify/:code', async (req, res) => {
+  try {
+    const certificate = await getCertificateByCode(pool, req.params.code);
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: 'No certificate found with this verification code',
+      });
+    }
+
+    return success(res, {
+      valid: true,
+      certificate: {
+        verification_code: certificate.verification_code,
+        certificate_type: certificate.certificate_type,
+        recipient_name: certificate.recipient_name,
+        college_name: certificate.college_name,
+        event_name: certificate.event_name,
+        position: certificate.position,
+        issued_at: certificate.issued_at,
+      },
+    }, 'Certificate is genuine');
+
+  } catch (err) {
+    console.error('Certificate verification error:', err);
+    return error(res, 'Failed to verify certificate', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+// routes/shared/helpdesk.js
+// Helpdesk tickets for students, managers and principals (the raisers).
+// Helpdesk volunteers and admins work tickets through /api/volunteer/helpdesk.
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { getBlobUrl, generateUploadSasUrl, getBlobSize } = require('../../utils/blobStorage');
+const {
+  TICKET_CATEGORIES,
+  ticketActor,
+  isTicketRaiser,
+  getTicket,
+  getTicketDetail,
+  recordTicketHistory,
+  changeTicketStatus,
+  addTicketComment,
+  notifyTicketStaff,
+} = require('../../utils/helpdesk');
+
+router.use(authenticate);
+router.use(requireRole(['STUDENT', 'MANAGER', 'PRINCIPAL']));
+
+const SESSION_EXPIRY_MINUTES = 25;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_ATTACHMENTS = 5;
+
+// ============================================================================
+// POST /api/shared/helpdesk
+// Multi-action endpoint to raise and follow up on helpdesk tickets
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+  const actor = ticketActor(req.user);
+
+  if (!action) {
+    return validationError(res, 'action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: categories
+    // ========================================================================
+    if (action === 'categories') {
+      return success(res, { categories: TICKET_CATEGORIES });
+    }
+
+    // ========================================================================
+    // ACTION: create - Raise a ticket (attachments are uploaded afterwards)
+    // ========================================================================
+    if (action === 'create') {
+      const { category } = req.body;
+      const subject = String(req.body.subject || '').trim();
+      const description = String(req.body.description || '').trim();
+
+      const errors = [];
+      if (!TICKET_CATEGORIES.includes(category)) {
+        errors.push(`category must be one of: ${TICKET_CATEGORIES.join(', ')}`);
+      }
+      if (!subject || subject.length > 200) {
+        errors.push('subject is required (max 200 characters)');
+      }
+      if (!description) {
+        errors.push('description is required');
+      }
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      const client = await pool.connect();
+      let ticket;
+
+      try {
+        await client.query('BEGIN');
+
+        const insertResult = await client.query(
+          `INSERT INTO helpdesk_tickets
+             (college_id, raised_by_student_id, raised_by_user_id, raised_by_role,
+              contact_name, contact_email, category, subject, description)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [
+            req.user.college_id,
+            actor.student_id,
+            actor.user_id,
+            actor.role,
+            actor.name,
+            req.user.email,
+            category,
+            subject,
+            description,
+          ]
+        );
+        ticket = insertResult.rows[0];
+
+        await recordTicketHistory(client, ticket.id, null, 'OPEN', actor, 'Ticket raised');
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      return success(res, { ticket_id: ticket.id, status: ticket.status }, 'Ticket raised', 201);
+    }
+
+    // ========================================================================
+    // ACTION: my_tickets - Tickets raised by this account
+    // ========================================================================
+    if (action === 'my_tickets') {
+      const result = await pool.query(
+        `SELECT id, category, subject, status, created_at, updated_at, resolved_at
+         FROM helpdesk_tickets
+         WHERE ${actor.student_id ? 'raised_by_student_id' : 'raised_by_user_id'} = $1
+         ORDER BY updated_at DESC`,
+        [actor.student_id || actor.user_id]
+      );
+
+      return success(res, { tickets: result.rows });
+    }
+
+    // Remaining actions work on one of the raiser's tickets
+    const ticket = await getTicket(pool, req.body.ticket_id);
+    if (!ticket || !isTicketRaiser(ticket, req.user)) {
+      return notFound(res, 'Ticket');
+    }
+
+    // ========================================================================
+    // ACTION: get - Ticket with comments, history and attachments
+    // ========================================================================
+    if (action === 'get') {
+      return success(res, { ticket: await getTicketDetail(pool, ticket, false) });
+    }
+
+    // ========================================================================
+    // ACTION: comment - Reply on a ticket; replying to a resolved ticket reopens it
+    // ========================================================================
+    if (action === 'comment') {
+      const body = String(req.body.body || '').trim();
+
+      if (!body) {
+        return validationError(res, 'body is required');
+      }
+
+      const client = await pool.connect();
+      let comment;
+      let reopened = false;
+
+      try {
+        await client.query('BEGIN');
+
+        const locked = await getTicket(client, ticket.id, true);
+        comment = await addTicketComment(client, ticket.id, actor, body);
+
+        if (locked.status === 'RESOLVED') {
+          await changeTicketStatus(client, locked, 'OPEN', actor, 'Reopened by reply');
+          reopened = true;
+        }
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      if (ticket.assigned_to) {
+        const assignee = await pool.query('SELECT email FROM users WHERE id = $1', [ticket.assigned_to]);
+        if (assignee.rows.length > 0) {
+          await notifyTicketStaff(
+            assignee.rows[0].email,
+            ticket,
+            `${actor.name} replied${reopened ? ' and reopened the ticket' : ''}:\n${body}`
+          );
+        }
+      }
+
+      return success(res, { comment, reopened }, reopened ? 'Reply added. Ticket reopened.' : 'Reply added');
+    }
+
+    // ========================================================================
+    // ACTION: init_attachment_upload - SAS URL for one file
+    // ========================================================================
+    if (action === 'init_attachment_upload') {
+      const file_name = String(req.body.file_name || '').trim();
+
+      if (!file_name) {
+        return validationError(res, 'file_name is required');
+      }
+
+      // Sessions that were never finalized
+      await pool.query('DELETE FROM helpdesk_upload_sessions WHERE expires_at < NOW()');
+
+      // Open sessions count too; finalize_attachment re-checks the cap
+      const countResult = await pool.query(
+        `SELECT
+           (SELECT COUNT(*) FROM helpdesk_ticket_attachments WHERE ticket_id = $1)
+           + (SELECT COUNT(*) FROM helpdesk_upload_sessions WHERE ticket_id = $1) AS count`,
+        [ticket.id]
+      );
+
+      if (parseInt(countResult.rows[0].count, 10) >= MAX_ATTACHMENTS) {
+        return error(res, `A ticket can have at most ${MAX_ATTACHMENTS} attachments`, 400);
+      }
+
+      const session_id = crypto.randomBytes(32).toString('hex');
+      const expires_at = new Date(Date.now() + SESSION_EXPIRY_MINUTES * 60 * 1000);
+      const safeName = file_name.replace(/[^A-Za-z0-9._-]+/g, '_').slice(-100);
+      const blob_path = `helpdesk/${ticket.id}/${crypto.randomBytes(8).toString('hex')}_${safeName}`;
+
+      await pool.query(
+        `INSERT INTO helpdesk_upload_sessions (session_id, ticket_id, blob_path, file_name, uploaded_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [session_id, ticket.id, blob_path, file_name.slice(0, 255), actor.name, expires_at]
+      );
+
+      return success(res, {
+        session_id,
+        upload_url: generateUploadSasUrl(blob_path, SESSION_EXPIRY_MINUTES),
+        expires_at: expires_at.toISOString(),
+        max_file_size: MAX_FILE_SIZE,
+      });
+    }
+
+    // ========================================================================
+    // ACTION: finalize_attachment - Attach the uploaded blob to the ticket
+    // ========================================================================
+    if (action === 'finalize_attachment') {
+      const { session_id } = req.body;
+
+      if (!session_id) {
+        return validationError(res, 'session_id is required');
+      }
+
+      const sessionResult = await pool.query(
+        `SELECT blob_path, file_name, uploaded_by, expires_at
+         FROM helpdesk_upload_sessions
+         WHERE session_id = $1 AND ticket_id = $2`,
+        [session_id, ticket.id]
+      );
+
+      if (sessionResult.rows.length === 0) {
+        return error(res, 'Invalid or expired session', 404);
+      }
+
+      const session = sessionResult.rows[0];
+
+      if (Date.now() > new Date(session.expires_at).getTime()) {
+        await pool.query('DELETE FROM helpdesk_upload_sessions WHERE session_id = $1', [session_id]);
+        return error(res, 'Session expired. Please upload again.', 400);
+      }
+
+      const size = await getBlobSize(session.blob_path);
+
+      if (size === null) {
+        return error(res, 'File not uploaded yet', 400);
+      }
+
+      if (size > MAX_FILE_SIZE) {
+        return error(res, `File exceeds ${MAX_FILE_SIZE / (1024 * 1024)}MB limit`, 400);
+      }
+
+      const client = await pool.connect();
+      let attachment;
+
+      try {
+        await client.query('BEGIN');
+
+        // Ticket lock serializes finalizes, so parallel sessions can't pass the cap together
+        await getTicket(client, ticket.id, true);
+
+        const claimed = await client.query(
+          'DELETE FROM helpdesk_upload_sessions WHERE session_id = $1 RETURNING session_id',
+          [session_id]
+        );
+
+        if (claimed.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return error(res, 'Invalid or expired session', 404);
+        }
+
+        const countResult = await client.query(
+          'SELECT COUNT(*)::int AS count FROM helpdesk_ticket_attachments WHERE ticket_id = $1',
+          [ticket.id]
+        );
+
+        if (countResult.rows[0].count >= MAX_ATTACHMENTS) {
+          await client.query('ROLLBACK');
+          return error(res, `A ticket can have at most ${MAX_ATTACHMENTS} attachments`, 400);
+        }
+
+        const insertResult = await client.query(
+          `INSERT INTO helpdesk_ticket_attachments (ticket_id, blob_url, file_name, size_bytes, uploaded_by)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id, file_name, size_bytes, uploaded_at`,
+          [ticket.id, getBlobUrl(session.blob_path), session.file_name, size, session.uploaded_by]
+        );
+        attachment = insertResult.rows[0];
+
+        await client.query('UPDATE helpdesk_tickets SET updated_at = NOW() WHERE id = $1', [ticket.id]);
+
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      } finally {
+        client.release();
+      }
+
+      return success(res, { attachment }, 'Attachment added');
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Helpdesk ticket error:', err);
+    return error(res, 'Failed to process helpdesk request', 500);
+  }
+});
+
+module.exports = router;
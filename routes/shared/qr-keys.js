@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getQrVerificationKey } = require('../../utils/qrPayload');
+
+// ============================================================================
+// GET /api/shared/qr-keys
+// Public endpoint - Key info for scanners verifying signed QR payloads (VQ1) and
+// offline check-in snapshots (VS1) without a network connection.
+// public_key is null for HMAC keys (scanners must be provisioned with the secret;
+// snapshots are not issued).
+// ============================================================================
+router.get('/', (req, res) => {
+  const key = getQrVerificationKey();
+
+  res.set('Cache-Control', 'public, max-age=300');
+  return res.status(200).json({ keys: key ? [key] : [] });
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { success, error } = require('../../utils/response');
+const {
+  cached,
+  getPointTable,
+  getPublishedResults,
+  getLeaderboard,
+} = require('../../utils/results');
+
+// ============================================================================
+// GET /api/shared/results
+// Public endpoint - Published 1st/2nd/3rd placements per event
+// ============================================================================
+router.get('/', async (req, res) => {
+  try {
+    const events = await cached('results', () => getPublishedResults(pool));
+
+    res.set('Cache-Control', 'public, max-age=60');
+    return success(res, { events });
+
+  } catch (err) {
+    console.error('Error fetching results:', err);
+    return error(res, 'Failed to fetch results', 500);
+  }
+});
+
+// ============================================================================
+// GET /api/shared/results/leaderboard
+// Public endpoint - Overall and category-wise college championship standings
+// ============================================================================
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const leaderboard = await cached('leaderboard', async () => ({
+      point_table: await getPointTable(pool),
+      ...(await getLeaderboard(pool)),
+    }));
+
+    res.set('Cache-Control', 'public, max-age=60');
+    return success(res, leaderboard);
+
+  } catch (err) {
+    console.error('Error fetching leaderboard:', err);
+    return error(res, 'Failed to fetch leaderboard', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// routes/student/badge.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { error } = require('../../utils/response');
+const { getBadgeHolders, renderBadgesPdf } = require('../../utils/badges');
+
+// ============================================================================
+// GET /api/student/badge
+// The student's own ID badge (available once the college is final approved)
+// ============================================================================
+router.get('/', authenticate, requireRole(['STUDENT']), async (req, res) => {
+  try {
+    const { student_id, college_id } = req.user;
+
+    const holders = await getBadgeHolders(pool, college_id, { student_id });
+    if (holders.length === 0) {
+      return error(res, 'Your ID badge is available after your college completes final approval', 404);
+    }
+
+    const doc = await renderBadgesPdf(holders, { layout: 'single' });
+    res.type('application/pdf');
+    res.attachment(`badge_${holders[0].usn || holders[0].id}.pdf`);
+    doc.pipe(res);
+
+  } catch (err) {
+    console.error('Student badge error:', err);
+    if (!res.headersSent) {
+      return error(res, 'Failed to generate badge', 500);
+    }
+  }
+});
+
+module.exports = router;
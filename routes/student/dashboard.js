@@ -5,6 +5,7 @@ const pool = require('../../db/pool');
 const { authenticate } = require('../../middleware/auth');
 const requireRole = require('../../middleware/requireRole');
 const { success, error } = require('../../utils/response');
+const { signQrPayload } = require('../../utils/qrPayload');
 
 // ============================================================================
 // POST /api/student/dashboard
@@ -77,9 +78,10 @@ router.post('/', authenticate, requireRole(['STUDENT']), async (req, res) => {
 
     // Fetch QR code (if final approval done)
     let qrCode = null;
+    let qrPayload = null;
 
     const qrResult = await pool.query(
-      `SELECT qr_code
+      `SELECT id, college_id, qr_code
        FROM final_event_participants_master
        WHERE student_id = $1
          AND person_type = 'STUDENT'
@@ -90,6 +92,8 @@ router.post('/', authenticate, requireRole(['STUDENT']), async (req, res) => {
 
     if (qrResult.rows.length > 0 && qrResult.rows[0].qr_code) {
       qrCode = qrResult.rows[0].qr_code;
+      // Signed on each request; null when signed QR payloads are not configured
+      qrPayload = signQrPayload(qrResult.rows[0]);
     }
 
     // Build response
@@ -106,6 +110,7 @@ router.post('/', authenticate, requireRole(['STUDENT']), async (req, res) => {
       documents: documents,
       reapply_count: studentData.reapply_count,
       qr_code: qrCode,
+      qr_payload: qrPayload,
     });
 
   } catch (err) {
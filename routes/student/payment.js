@@ -10,6 +10,7 @@ const pool = require('../../db/pool');
 const { authenticate } = require('../../middleware/auth');
 const requireRole = require('../../middleware/requireRole');
 const { success, error, validationError } = require('../../utils/response');
+const { legacyEventKey } = require('../../utils/events');
 
 // ============================================================================
 // AZURE BLOB STORAGE CONFIGURATION
@@ -19,37 +20,6 @@ const AZURE_STORAGE_ACCOUNT_KEY = process.env.AZURE_STORAGE_ACCOUNT_KEY;
 const CONTAINER_NAME = 'student-documents';
 const SESSION_EXPIRY_MINUTES = 25;
 
-// ============================================================================
-// 25 EVENT TABLES (MATCHING POSTGRESQL DATABASE - ABBREVIATED NAMES)
-// ============================================================================
-const EVENT_TABLES = [
-  'event_classical_vocal_solo',
-  'event_light_vocal_solo',
-  'event_western_vocal_solo',
-  'event_classical_instr_percussion',           // ✅ ABBREVIATED (PostgreSQL naming)
-  'event_classical_instr_non_percussion',       // ✅ ABBREVIATED (PostgreSQL naming)
-  'event_folk_orchestra',
-  'event_group_song_indian',
-  'event_group_song_western',
-  'event_folk_dance',                           // ✅ SHORT NAME (PostgreSQL naming)
-  'event_classical_dance_solo',
-  'event_mime',
-  'event_mimicry',
-  'event_one_act_play',
-  'event_skits',
-  'event_debate',
-  'event_elocution',
-  'event_quiz',
-  'event_cartooning',
-  'event_clay_modelling',
-  'event_collage_making',
-  'event_installation',
-  'event_on_spot_painting',
-  'event_poster_making',
-  'event_rangoli',
-  'event_spot_photography',
-];
-
 // ============================================================================
 // HELPER: Generate Azure Blob SAS URL
 // ============================================================================
@@ -116,17 +86,18 @@ const getPaymentInfo = async (req, res) => {
     // ============================================================================
     // COUNT PARTICIPATING EVENTS (DISTINCT EVENTS WITH COLLEGE PARTICIPATION)
     // ============================================================================
-    const eventCheckQueries = EVENT_TABLES.map(table => 
-      `SELECT '${table}' AS event_table_name WHERE EXISTS (
-        SELECT 1 FROM ${table} WHERE college_id = $1
-      )`
+    const eventsResult = await client.query(
+      `SELECT DISTINCT e.slug, e.display_order
+       FROM event_assignments ea
+       INNER JOIN events e ON ea.event_id = e.id
+       WHERE ea.college_id = $1 AND e.is_active = true
+       ORDER BY e.display_order, e.slug`,
+      [college_id]
     );
 
-    const unionQuery = eventCheckQueries.join(' UNION ALL ');
-    const eventsResult = await client.query(unionQuery, [college_id]);
-
-    const participating_event_keys = eventsResult.rows.map(row => row.event_table_name);
-    const total_events = participating_event_keys.length;
+    const participating_event_slugs = eventsResult.rows.map(row => row.slug);
+    const participating_event_keys = participating_event_slugs.map(legacyEventKey);
+    const total_events = participating_event_slugs.length;
 
     // Calculate fee based on event count
     const amount_to_pay = total_events < 10 ? 8000 : 25000;
@@ -162,6 +133,7 @@ const getPaymentInfo = async (req, res) => {
       can_upload: true,
       total_events,
       participating_event_keys,
+      participating_event_slugs,
       amount_to_pay,
       payment_status,
     });
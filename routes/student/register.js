@@ -10,6 +10,9 @@ if (!global.crypto) {
 }
 
 const pool = require('../../db/pool');
+const { sendEmailViaBrevo } = require('../../utils/mailer');
+const { sendSms } = require('../../utils/sms');
+const { generateOtp, hashOtp, otpMatches } = require('../../utils/otp');
 const { BlobServiceClient, generateBlobSASQueryParameters, BlobSASPermissions, StorageSharedKeyCredential } = require('@azure/storage-blob');
 
 const STORAGE_ACCOUNT_NAME = process.env.AZURE_STORAGE_ACCOUNT_NAME;
@@ -18,6 +21,17 @@ const CONTAINER_NAME = 'student-documents';
 const SESSION_EXPIRY_MINUTES = 25;
 const MAX_FILE_SIZE = 5 * 1024 * 1024;
 
+// Contact verification (OTP) limits, per channel per registration session
+const OTP_CHANNELS = ['email', 'phone'];
+const OTP_EXPIRY_MINUTES = 10;
+const OTP_MAX_SENDS = 5;
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+const OTP_MAX_ATTEMPTS = 5;
+// Phone OTP is only enforced once a real SMS provider is configured
+const VERIFY_PHONE = process.env.REGISTRATION_VERIFY_PHONE === 'true';
+
+const getRequiredChannels = () => (VERIFY_PHONE ? OTP_CHANNELS : ['email']);
+
 const generateSASUrl = (blobName) => {
   const sharedKeyCredential = new StorageSharedKeyCredential(
     STORAGE_ACCOUNT_NAME,
@@ -62,6 +76,45 @@ const getBlobSize = async (blobName) => {
   return properties.contentLength;
 };
 
+// Generate, deliver and store a fresh OTP for one channel of a registration session
+const sendRegistrationOtp = async (client, session, channel) => {
+  const code = generateOtp();
+  const expires_at = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
+
+  if (channel === 'email') {
+    await sendEmailViaBrevo(
+      session.email,
+      'Verify your email - VTU Fest 2026',
+      `
+        <h2>Email Verification</h2>
+        <p>Hi ${session.full_name},</p>
+        <p>Your VTU Fest 2026 registration code is:</p>
+        <h1 style="letter-spacing: 4px;">${code}</h1>
+        <p>This code will expire in ${OTP_EXPIRY_MINUTES} minutes.</p>
+        <p>If you didn't start a registration, please ignore this email.</p>
+        <br>
+        <p>VTU Fest Team</p>
+      `
+    );
+  } else {
+    await sendSms(
+      session.phone,
+      `${code} is your VTU Fest 2026 registration code. Valid for ${OTP_EXPIRY_MINUTES} minutes.`
+    );
+  }
+
+  await client.query(
+    `UPDATE registration_sessions
+     SET ${channel}_otp_hash = $1,
+         ${channel}_otp_expires_at = $2,
+         ${channel}_otp_attempts = 0,
+         ${channel}_otp_send_count = ${channel}_otp_send_count + 1,
+         ${channel}_otp_last_sent_at = NOW()
+     WHERE session_id = $3`,
+    [hashOtp(code), expires_at, session.session_id]
+  );
+};
+
 router.post('/', async (req, res) => {
   const { action } = req.body;
 
@@ -159,13 +212,134 @@ router.post('/', async (req, res) => {
         passport_photo: generateSASUrl(`${basePath}/passport_photo`),
       };
 
+      // Send verification codes; a failed send can be retried via send_otp
+      const otp_sent = {};
+      for (const channel of getRequiredChannels()) {
+        try {
+          await sendRegistrationOtp(
+            client,
+            { session_id, full_name: full_name.trim(), email: normalizedEmail, phone: normalizedPhone },
+            channel
+          );
+          otp_sent[channel] = true;
+        } catch (otpError) {
+          console.error(`Registration ${channel} OTP send failed:`, otpError.message);
+          otp_sent[channel] = false;
+        }
+      }
+
       return res.status(200).json({
         session_id,
         upload_urls,
         expires_at: expires_at.toISOString(),
+        verification_required: getRequiredChannels(),
+        otp_sent,
+        otp_expires_in_minutes: OTP_EXPIRY_MINUTES,
       });
     }
 
+    if (action === 'send_otp' || action === 'verify_otp') {
+      const { session_id, channel, code } = req.body;
+
+      if (!session_id || typeof session_id !== 'string' || !session_id.trim()) {
+        return res.status(400).json({ error: 'Session ID is required' });
+      }
+
+      if (!getRequiredChannels().includes(channel)) {
+        return res.status(400).json({ error: `channel must be one of: ${getRequiredChannels().join(', ')}` });
+      }
+
+      const sessionResult = await client.query(
+        `SELECT session_id, full_name, email, phone, expires_at,
+                ${channel}_otp_hash AS otp_hash,
+                ${channel}_otp_expires_at AS otp_expires_at,
+                ${channel}_otp_attempts AS otp_attempts,
+                ${channel}_otp_send_count AS otp_send_count,
+                ${channel}_verified_at AS verified_at,
+                FLOOR(EXTRACT(EPOCH FROM (NOW() - ${channel}_otp_last_sent_at)))::int AS seconds_since_sent
+         FROM registration_sessions
+         WHERE session_id = $1`,
+        [session_id.trim()]
+      );
+
+      if (sessionResult.rows.length === 0) {
+        return res.status(400).json({ error: 'Invalid or expired session' });
+      }
+
+      const session = sessionResult.rows[0];
+
+      if (new Date() > new Date(session.expires_at)) {
+        return res.status(400).json({ error: 'Session has expired' });
+      }
+
+      if (session.verified_at) {
+        return res.status(200).json({ message: `${channel} already verified`, verified: true });
+      }
+
+      if (action === 'send_otp') {
+        if (session.otp_send_count >= OTP_MAX_SENDS) {
+          return res.status(429).json({ error: 'Maximum number of codes sent. Please restart registration.' });
+        }
+
+        if (session.seconds_since_sent !== null && session.seconds_since_sent < OTP_RESEND_COOLDOWN_SECONDS) {
+          return res.status(429).json({
+            error: 'Please wait before requesting another code',
+            retry_after_seconds: OTP_RESEND_COOLDOWN_SECONDS - session.seconds_since_sent,
+          });
+        }
+
+        await sendRegistrationOtp(client, session, channel);
+
+        return res.status(200).json({
+          message: `Verification code sent to your ${channel}`,
+          sends_remaining: OTP_MAX_SENDS - session.otp_send_count - 1,
+          otp_expires_in_minutes: OTP_EXPIRY_MINUTES,
+        });
+      }
+
+      // verify_otp
+      if (!code || typeof code !== 'string' || !code.trim()) {
+        return res.status(400).json({ error: 'Verification code is required' });
+      }
+
+      if (!session.otp_hash) {
+        return res.status(400).json({ error: 'No active code. Please request a new one.' });
+      }
+
+      if (session.otp_attempts >= OTP_MAX_ATTEMPTS) {
+        return res.status(429).json({ error: 'Too many incorrect codes. Please request a new one.' });
+      }
+
+      if (new Date() > new Date(session.otp_expires_at)) {
+        return res.status(400).json({ error: 'Verification code has expired. Please request a new one.' });
+      }
+
+      if (!otpMatches(code, session.otp_hash)) {
+        await client.query(
+          `UPDATE registration_sessions
+           SET ${channel}_otp_attempts = ${channel}_otp_attempts + 1
+           WHERE session_id = $1`,
+          [session.session_id]
+        );
+
+        return res.status(400).json({
+          error: 'Incorrect verification code',
+          attempts_remaining: OTP_MAX_ATTEMPTS - session.otp_attempts - 1,
+        });
+      }
+
+      await client.query(
+        `UPDATE registration_sessions
+         SET ${channel}_verified_at = NOW(),
+             ${channel}_otp_hash = NULL,
+             ${channel}_otp_expires_at = NULL
+         WHERE session_id = $1`,
+        [session.session_id]
+      );
+
+      return res.status(200).json({ message: `${channel} verified successfully`, verified: true });
+    }
+
     if (action === 'finalize') {
       const { session_id, password } = req.body;
 
@@ -178,7 +352,8 @@ router.post('/', async (req, res) => {
       }
 
       const sessionResult = await client.query(
-        `SELECT session_id, usn, full_name, email, phone, gender, college_id, expires_at
+        `SELECT session_id, usn, full_name, email, phone, gender, college_id, expires_at,
+                email_verified_at, phone_verified_at
          FROM registration_sessions
          WHERE session_id = $1`,
         [session_id.trim()]
@@ -201,6 +376,15 @@ router.post('/', async (req, res) => {
         return res.status(400).json({ error: 'Session has expired' });
       }
 
+      // ⚠️ Contact details must be verified before the student row exists
+      if (!session.email_verified_at) {
+        return res.status(403).json({ error: 'Email not verified. Please enter the code sent to your email.' });
+      }
+
+      if (VERIFY_PHONE && !session.phone_verified_at) {
+        return res.status(403).json({ error: 'Phone not verified. Please enter the code sent to your phone.' });
+      }
+
       const collegeIdNum = typeof session.college_id === 'number' ? session.college_id : parseInt(session.college_id, 10);
 
       const collegeResult = await client.query(
@@ -0,0 +1,254 @@
+// routes/volunteer/attendance.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, forbidden } = require('../../utils/response');
+const { getEventBySlug } = require('../../utils/events');
+const { findParticipantByScan } = require('../../utils/qrPayload');
+const { SCAN_REJECTIONS } = require('../../utils/checkIn');
+const {
+  ATTENDANCE_STATUSES,
+  isEventVolunteer,
+  resolveAttendanceSlot,
+  getExpectedParticipants,
+  markAttendance,
+  getAttendanceSheet,
+} = require('../../utils/attendance');
+
+router.use(authenticate);
+router.use(requireRole(['VOLUNTEER_EVENT']));
+
+/**
+ * Status for a QR scan when the volunteer doesn't pick one: LATE once the slot has started
+ * @param {Object} slot - From resolveAttendanceSlot, or null
+ */
+const defaultScanStatus = (slot) => (slot && new Date(slot.starts_at) < new Date() ? 'LATE' : 'PRESENT');
+
+// ============================================================================
+// POST /api/volunteer/attendance
+// Multi-action endpoint for event volunteers to take attendance at a venue
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+  const volunteer_user_id = req.user.id;
+
+  if (!action) {
+    return validationError(res, 'Action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: my_events - Events this volunteer is assigned to, with slots
+    // ========================================================================
+    if (action === 'my_events') {
+      const result = await pool.query(
+        `SELECT
+           e.id,
+           e.slug,
+           e.name,
+           e.category,
+           COALESCE((
+             SELECT json_agg(json_build_object(
+               'slot_id', es.id,
+               'slot_label', es.slot_label,
+               'reporting_at', es.reporting_at,
+               'starts_at', es.starts_at,
+               'ends_at', es.ends_at,
+               'venue_name', v.name
+             ) ORDER BY es.starts_at)
+             FROM event_slots es
+             INNER JOIN venues v ON es.venue_id = v.id
+             WHERE es.event_id = e.id
+           ), '[]') AS slots
+         FROM event_volunteers ev
+         INNER JOIN events e ON ev.event_id = e.id
+         WHERE ev.volunteer_user_id = $1 AND e.is_active = true
+         ORDER BY e.display_order, e.name`,
+        [volunteer_user_id]
+      );
+
+      return success(res, { events: result.rows });
+    }
+
+    // Remaining actions work on one assigned event (and slot, if scheduled)
+    const event = await getEventBySlug(pool, req.body.event_slug);
+    if (!event || !event.is_active) {
+      return validationError(res, 'Invalid or missing event_slug');
+    }
+
+    if (!(await isEventVolunteer(pool, event.id, volunteer_user_id))) {
+      return forbidden(res, 'You are not assigned to this event');
+    }
+
+    const { slot, error: slotError } = await resolveAttendanceSlot(pool, event, req.body.slot_id);
+    if (slotError) {
+      return validationError(res, slotError);
+    }
+    const slot_id = slot ? slot.slot_id : null;
+
+    // ========================================================================
+    // ACTION: expected - Expected participants, optionally for one college
+    // ========================================================================
+    if (action === 'expected') {
+      const college_id = req.body.college_id ? parseInt(req.body.college_id, 10) : null;
+
+      const participants = await getExpectedParticipants(pool, event.id, { slot_id, college_id });
+
+      return success(res, { event_slug: event.slug, slot, participants });
+    }
+
+    // ========================================================================
+    // ACTION: search - Manual lookup among expected participants
+    // ========================================================================
+    if (action === 'search') {
+      const query = String(req.body.query || '').trim().toLowerCase();
+
+      if (query.length < 2) {
+        return validationError(res, 'query must be at least 2 characters');
+      }
+
+      const participants = (await getExpectedParticipants(pool, event.id, { slot_id }))
+        .filter(p => p.full_name.toLowerCase().includes(query)
+          || (p.usn && p.usn.toLowerCase() === query)
+          || p.college_code.toLowerCase() === query);
+
+      return success(res, { participants });
+    }
+
+    // ========================================================================
+    // ACTION: scan - Mark the scanned participant (PRESENT, or LATE after start)
+    // ========================================================================
+    if (action === 'scan') {
+      const { qr_code } = req.body;
+      const status = req.body.status || defaultScanStatus(slot);
+
+      if (!qr_code) {
+        return validationError(res, 'qr_code is required');
+      }
+
+      if (!ATTENDANCE_STATUSES.includes(status) || status === 'ABSENT') {
+        return validationError(res, 'status for a scan must be PRESENT or LATE');
+      }
+
+      const scan = await findParticipantByScan(pool, qr_code);
+
+      if (!scan.participant) {
+        const rejection = SCAN_REJECTIONS[scan.reason];
+        return res.status(rejection.status).json({
+          success: false,
+          message: rejection.message,
+          reason: scan.reason,
+        });
+      }
+
+      const [participant] = await getExpectedParticipants(pool, event.id, { slot_id, participant_id: scan.participant.id });
+
+      if (!participant) {
+        return res.status(400).json({
+          success: false,
+          message: `${scan.participant.full_name} (${scan.participant.college_code}) is not registered for ${event.name}`,
+          reason: 'NOT_EXPECTED',
+        });
+      }
+
+      const attendance = await markAttendance(pool, {
+        event_id: event.id,
+        slot_id,
+        participant_id: participant.participant_id,
+        college_id: participant.college_id,
+        status,
+        method: 'QR',
+        marked_by: volunteer_user_id,
+      });
+
+      return success(res, {
+        participant,
+        attendance,
+        previous_status: participant.status,
+      }, `${participant.full_name} marked ${status}`);
+    }
+
+    // ========================================================================
+    // ACTION: mark - { marks: [{ participant_id, status }] } from manual search
+    // ========================================================================
+    if (action === 'mark') {
+      const { marks } = req.body;
+
+      if (!Array.isArray(marks) || marks.length === 0) {
+        return validationError(res, 'marks must be a non-empty array of { participant_id, status }');
+      }
+
+      const expected = new Map(
+        (await getExpectedParticipants(pool, event.id, { slot_id })).map(p => [p.participant_id, p])
+      );
+
+      const errors = [];
+      for (const { participant_id, status } of marks) {
+        if (!expected.has(participant_id)) {
+          errors.push(`Participant ${participant_id} is not registered for ${event.name}`);
+        }
+        if (!ATTENDANCE_STATUSES.includes(status)) {
+          errors.push(`Invalid status for participant ${participant_id}: must be one of ${ATTENDANCE_STATUSES.join(', ')}`);
+        }
+      }
+
+      if (errors.length > 0) {
+        return validationError(res, errors);
+      }
+
+      for (const { participant_id, status } of marks) {
+        await markAttendance(pool, {
+          event_id: event.id,
+          slot_id,
+          participant_id,
+          college_id: expected.get(participant_id).college_id,
+          status,
+          method: 'MANUAL',
+          marked_by: volunteer_user_id,
+        });
+      }
+
+      return success(res, { marked: marks.length }, 'Attendance updated');
+    }
+
+    // ========================================================================
+    // ACTION: mark_remaining_absent - Close the slot: NOT_MARKED -> ABSENT
+    // ========================================================================
+    if (action === 'mark_remaining_absent') {
+      const remaining = (await getExpectedParticipants(pool, event.id, { slot_id }))
+        .filter(p => p.status === 'NOT_MARKED');
+
+      for (const p of remaining) {
+        await markAttendance(pool, {
+          event_id: event.id,
+          slot_id,
+          participant_id: p.participant_id,
+          college_id: p.college_id,
+          status: 'ABSENT',
+          method: 'MANUAL',
+          marked_by: volunteer_user_id,
+        });
+      }
+
+      console.log(`Volunteer ${volunteer_user_id} marked ${remaining.length} absent for ${event.slug} slot ${slot_id || '-'}`);
+      return success(res, { marked_absent: remaining.length }, 'Remaining participants marked absent');
+    }
+
+    // ========================================================================
+    // ACTION: sheet - Attendance sheet with totals
+    // ========================================================================
+    if (action === 'sheet') {
+      return success(res, await getAttendanceSheet(pool, event, slot));
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Event attendance error:', err);
+    return error(res, 'Failed to process attendance request', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+// routes/volunteer/check-in-sync.js
+// Offline gate scanning. A device downloads a signed snapshot of expected
+// participants while online, scans against it offline, and uploads its scans
+// later. Scans carry a device-generated client_event_id, so uploads can be
+// retried safely; the first arrival recorded for a participant wins.
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { findParticipantByScan, isSnapshotSigningEnabled, signSnapshot } = require('../../utils/qrPayload');
+const { CHECK_IN_METHODS, recordCheckIn } = require('../../utils/checkIn');
+
+router.use(authenticate);
+router.use(requireRole(['VOLUNTEER_REGISTRATION']));
+
+const SNAPSHOT_TTL_SECONDS = 24 * 60 * 60;
+const MAX_BATCH_SIZE = 500;
+// Device clocks ahead of the server by more than this are not trusted
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const photoHash = (url) => (url ? crypto.createHash('sha256').update(url).digest('hex') : null);
+
+/**
+ * Resolve one uploaded scan to a participant
+ * @param {Object} scan - { qr_code } or { participant_id }
+ * @returns {Promise<Object>} { participant } or { reason }
+ */
+const resolveScan = async (scan) => {
+  if (scan.qr_code) {
+    return findParticipantByScan(pool, scan.qr_code);
+  }
+
+  if (Number.isInteger(scan.participant_id)) {
+    const result = await pool.query(
+      'SELECT * FROM final_event_participants_master WHERE id = $1',
+      [scan.participant_id]
+    );
+    return result.rows.length > 0 ? { participant: result.rows[0] } : { reason: 'NOT_FOUND' };
+  }
+
+  return { reason: 'MALFORMED' };
+};
+
+/**
+ * Merge one uploaded scan (idempotent per device + client_event_id)
+ * @param {Object} scan - Uploaded scan
+ * @param {Object} context - { device_id, desk, volunteer_user_id }
+ * @returns {Promise<Object>} { client_event_id, result, participant_id, detail, replayed }
+ */
+const mergeScan = async (scan, { device_id, desk, volunteer_user_id }) => {
+  const client_event_id = String(scan.client_event_id || '').slice(0, 64);
+  const method = scan.method || 'QR';
+
+  const scannedAt = new Date(scan.scanned_at);
+  const detail = {};
+  let scanned_at = scannedAt;
+
+  if (Number.isNaN(scannedAt.getTime())) {
+    scanned_at = new Date();
+    detail.reason = 'INVALID_TIMESTAMP';
+  } else if (scannedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    scanned_at = new Date();
+    detail.clock_skew = true;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Claim the event id; a retried upload finds the stored outcome instead
+    const claimed = await client.query(
+      `INSERT INTO checkin_sync_events (device_id, client_event_id, volunteer_user_id, desk, scanned_at, result)
+       VALUES ($1, $2, $3, $4, $5, 'PENDING')
+       ON CONFLICT (device_id, client_event_id) DO NOTHING
+       RETURNING id`,
+      [device_id, client_event_id, volunteer_user_id, desk, scanned_at]
+    );
+
+    if (claimed.rows.length === 0) {
+      await client.query('ROLLBACK');
+
+      const stored = await pool.query(
+        `SELECT result, participant_id, detail
+         FROM checkin_sync_events
+         WHERE device_id = $1 AND client_event_id = $2`,
+        [device_id, client_event_id]
+      );
+      return { client_event_id, ...stored.rows[0], replayed: true };
+    }
+
+    const syncEventId = claimed.rows[0].id;
+    let result;
+    let participant_id = null;
+
+    if (detail.reason) {
+      result = 'REJECTED';
+    } else if (!CHECK_IN_METHODS.includes(method)) {
+      result = 'REJECTED';
+      detail.reason = 'INVALID_METHOD';
+    } else {
+      const resolved = await resolveScan(scan);
+
+      if (!resolved.participant) {
+        result = 'REJECTED';
+        detail.reason = resolved.reason;
+      } else {
+        participant_id = resolved.participant.id;
+
+        const { created, check_in } = await recordCheckIn(client, {
+          participant_id,
+          college_id: resolved.participant.college_id,
+          volunteer_user_id,
+          desk,
+          method,
+          checked_in_at: scanned_at,
+          device_id,
+        });
+
+        if (created) {
+          result = 'CHECKED_IN';
+        } else if (check_in.device_id === device_id) {
+          // Same scanner saw the participant twice: not a second entry
+          result = 'DUPLICATE';
+          detail.first_checked_in_at = check_in.checked_in_at;
+        } else {
+          result = 'CONFLICT';
+          detail.type = 'DOUBLE_ENTRY';
+          detail.full_name = resolved.participant.full_name;
+          detail.first_entry = {
+            checked_in_at: check_in.checked_in_at,
+            desk: check_in.desk,
+            device_id: check_in.device_id,
+            checked_in_by: check_in.checked_in_by,
+          };
+          detail.this_entry = { scanned_at, desk, device_id };
+        }
+      }
+    }
+
+    const storedDetail = Object.keys(detail).length > 0 ? detail : null;
+
+    await client.query(
+      `UPDATE checkin_sync_events
+       SET result = $2, participant_id = $3, detail = $4
+       WHERE id = $1`,
+      [syncEventId, result, participant_id, storedDetail]
+    );
+
+    await client.query('COMMIT');
+
+    return { client_event_id, result, participant_id, detail: storedDetail, replayed: false };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// ============================================================================
+// POST /api/volunteer/check-in-sync
+// Multi-action endpoint for offline-capable gate scanners
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+  const volunteer_user_id = req.user.id;
+
+  if (!action) {
+    return validationError(res, 'Action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: snapshot - Signed list of expected participants (optionally for
+    // one venue). Signed with the Ed25519 QR key (VS1 format in utils/qrPayload);
+    // the snapshot and scanned signed QRs both verify with the public key from
+    // GET /api/shared/qr-keys.
+    // ========================================================================
+    if (action === 'snapshot') {
+      if (!isSnapshotSigningEnabled()) {
+        return error(res, 'Offline snapshots need QR_SIGNING_PRIVATE_KEY (Ed25519) to be configured', 503);
+      }
+
+      const venue_id = req.body.venue_id === undefined || req.body.venue_id === null
+        ? null
+        : Number(req.body.venue_id);
+
+      if (venue_id !== null && !Number.isInteger(venue_id)) {
+        return validationError(res, 'venue_id must be an integer');
+      }
+
+      if (venue_id !== null) {
+        const venueResult = await pool.query('SELECT id FROM venues WHERE id = $1', [venue_id]);
+        if (venueResult.rows.length === 0) {
+          return notFound(res, 'Venue');
+        }
+      }
+
+      const result = await pool.query(
+        `SELECT
+           m.id,
+           m.qr_code,
+           m.full_name,
+           m.usn,
+           m.person_type,
+           m.college_code,
+           m.college_name,
+           m.passport_photo_url,
+           gc.checked_in_at
+         FROM final_event_participants_master m
+         LEFT JOIN gate_checkins gc ON gc.participant_id = m.id
+         WHERE $1::int IS NULL OR EXISTS (
+           SELECT 1
+           FROM event_assignments ea
+           INNER JOIN event_slots es ON es.event_id = ea.event_id
+           WHERE es.venue_id = $1
+             AND ea.college_id = m.college_id
+             AND (ea.student_id = m.student_id OR ea.accompanist_id = m.accompanist_id)
+         )
+         ORDER BY m.college_code, m.full_name`,
+        [venue_id]
+      );
+
+      const participants = result.rows.map(({ passport_photo_url, ...p }) => ({
+        ...p,
+        photo_hash: photoHash(passport_photo_url),
+      }));
+
+      const generated_at = new Date().toISOString();
+      const snapshot = signSnapshot(
+        { typ: 'checkin_snapshot', venue_id, generated_at, participants },
+        SNAPSHOT_TTL_SECONDS
+      );
+
+      return success(res, {
+        venue_id,
+        generated_at,
+        participant_count: participants.length,
+        snapshot,
+      });
+    }
+
+    // ========================================================================
+    // ACTION: upload - { device_id, desk, scans: [{ client_event_id, qr_code |
+    // participant_id, scanned_at, method }] }
+    // ========================================================================
+    if (action === 'upload') {
+      const { scans } = req.body;
+      const device_id = String(req.body.device_id || '').trim().slice(0, 64);
+      const desk = req.body.desk ? String(req.body.desk).trim().slice(0, 50) : null;
+
+      if (!device_id) {
+        return validationError(res, 'device_id is required');
+      }
+
+      if (!Array.isArray(scans) || scans.length === 0 || scans.length > MAX_BATCH_SIZE) {
+        return validationError(res, `scans must be an array of 1-${MAX_BATCH_SIZE} scans`);
+      }
+
+      const missingIds = scans.filter(scan => !scan || !scan.client_event_id);
+      if (missingIds.length > 0) {
+        return validationError(res, 'Every scan needs a client_event_id');
+      }
+
+      // Oldest first, so the earliest arrival becomes the recorded check-in
+      const ordered = [...scans].sort((a, b) => (Date.parse(a.scanned_at) || 0) - (Date.parse(b.scanned_at) || 0));
+
+      const results = [];
+      for (const scan of ordered) {
+        results.push(await mergeScan(scan, { device_id, desk, volunteer_user_id }));
+      }
+
+      const summary = { CHECKED_IN: 0, DUPLICATE: 0, CONFLICT: 0, REJECTED: 0 };
+      for (const r of results) {
+        summary[r.result] += 1;
+      }
+
+      console.log(`Volunteer ${volunteer_user_id} synced ${results.length} scans from device ${device_id}`);
+      return success(res, {
+        summary,
+        results,
+        conflicts: results.filter(r => r.result === 'CONFLICT'),
+      }, summary.CONFLICT > 0 ? `Synced with ${summary.CONFLICT} conflict(s)` : 'Scans synced');
+    }
+
+    // ========================================================================
+    // ACTION: conflicts - Recent double entries reported by any device
+    // ========================================================================
+    if (action === 'conflicts') {
+      const result = await pool.query(
+        `SELECT
+           cse.device_id,
+           cse.client_event_id,
+           cse.desk,
+           cse.scanned_at,
+           cse.received_at,
+           cse.participant_id,
+           m.full_name,
+           m.college_code,
+           cse.detail
+         FROM checkin_sync_events cse
+         LEFT JOIN final_event_participants_master m ON cse.participant_id = m.id
+         WHERE cse.result = 'CONFLICT'
+         ORDER BY cse.received_at DESC
+         LIMIT 100`
+      );
+
+      return success(res, { conflicts: result.rows });
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Check-in sync error:', err);
+    return error(res, 'Failed to process check-in sync request', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+// routes/volunteer/check-in.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, notFound } = require('../../utils/response');
+const { findParticipantByScan } = require('../../utils/qrPayload');
+const {
+  SCAN_REJECTIONS,
+  CHECK_IN_METHODS,
+  getParticipantIdentity,
+  getCheckIn,
+  recordCheckIn,
+  logScan,
+} = require('../../utils/checkIn');
+
+router.use(authenticate);
+router.use(requireRole(['VOLUNTEER_REGISTRATION']));
+
+/**
+ * 409 for a participant who has already checked in
+ * @param {Object} res - Express response
+ * @param {Object} participant - From getParticipantIdentity
+ * @param {Object} checkIn - Existing check-in from getCheckIn
+ */
+const alreadyCheckedIn = (res, participant, checkIn) => res.status(409).json({
+  success: false,
+  message: `${participant.full_name} already checked in at ${new Date(checkIn.checked_in_at).toLocaleString('en-IN')}`
+    + (checkIn.desk ? ` (desk ${checkIn.desk})` : ''),
+  reason: 'ALREADY_CHECKED_IN',
+  participant,
+  check_in: checkIn,
+});
+
+// ============================================================================
+// POST /api/volunteer/check-in
+// Multi-action endpoint for registration desks at the fest gate
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+  const volunteer_user_id = req.user.id;
+  const desk = req.body.desk ? String(req.body.desk).trim().slice(0, 50) : null;
+
+  if (!action) {
+    return validationError(res, 'Action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: scan - Resolve a scanned QR to the participant for identity check
+    // ========================================================================
+    if (action === 'scan') {
+      const { qr_code } = req.body;
+
+      if (!qr_code) {
+        return validationError(res, 'qr_code is required');
+      }
+
+      const scan = await findParticipantByScan(pool, qr_code);
+
+      if (!scan.participant) {
+        await logScan(pool, { volunteer_user_id, desk, scanned_text: qr_code, result: scan.reason });
+
+        const rejection = SCAN_REJECTIONS[scan.reason];
+        return res.status(rejection.status).json({
+          success: false,
+          message: rejection.message,
+          reason: scan.reason,
+        });
+      }
+
+      const participant = await getParticipantIdentity(pool, scan.participant.id);
+      const checkIn = await getCheckIn(pool, participant.participant_id);
+
+      if (checkIn) {
+        await logScan(pool, {
+          volunteer_user_id, desk, scanned_text: qr_code, participant_id: participant.participant_id, result: 'ALREADY_CHECKED_IN',
+        });
+        return alreadyCheckedIn(res, participant, checkIn);
+      }
+
+      await logScan(pool, {
+        volunteer_user_id, desk, scanned_text: qr_code, participant_id: participant.participant_id, result: 'FOUND',
+      });
+
+      return success(res, { participant }, 'Confirm identity against the photo before checking in');
+    }
+
+    // ========================================================================
+    // ACTION: search - Manual lookup by USN or name when a QR won't scan
+    // ========================================================================
+    if (action === 'search') {
+      const query = String(req.body.query || '').trim();
+
+      if (query.length < 3) {
+        return validationError(res, 'query must be at least 3 characters');
+      }
+
+      const result = await pool.query(
+        `SELECT
+           m.id AS participant_id,
+           m.full_name,
+           m.usn,
+           m.person_type,
+           m.college_code,
+           m.college_name,
+           gc.checked_in_at
+         FROM final_event_participants_master m
+         LEFT JOIN gate_checkins gc ON gc.participant_id = m.id
+         WHERE UPPER(m.usn) = UPPER($1) OR m.full_name ILIKE '%' || $1 || '%'
+         ORDER BY m.full_name
+         LIMIT 20`,
+        [query]
+      );
+
+      return success(res, { participants: result.rows });
+    }
+
+    // ========================================================================
+    // ACTION: identity - Identity card for a participant picked from search
+    // ========================================================================
+    if (action === 'identity') {
+      const participant_id = parseInt(req.body.participant_id, 10);
+
+      const participant = Number.isInteger(participant_id) ? await getParticipantIdentity(pool, participant_id) : null;
+      if (!participant) {
+        return notFound(res, 'Participant');
+      }
+
+      return success(res, { participant, check_in: await getCheckIn(pool, participant_id) });
+    }
+
+    // ========================================================================
+    // ACTION: check_in - Record arrival after identity is confirmed
+    // ========================================================================
+    if (action === 'check_in') {
+      const participant_id = parseInt(req.body.participant_id, 10);
+      const method = req.body.method || 'QR';
+
+      if (!Number.isInteger(participant_id)) {
+        return validationError(res, 'participant_id is required');
+      }
+
+      if (!CHECK_IN_METHODS.includes(method)) {
+        return validationError(res, `method must be one of: ${CHECK_IN_METHODS.join(', ')}`);
+      }
+
+      const participant = await getParticipantIdentity(pool, participant_id);
+      if (!participant) {
+        return notFound(res, 'Participant');
+      }
+
+      const { created, check_in } = await recordCheckIn(pool, {
+        participant_id,
+        college_id: participant.college_id,
+        volunteer_user_id,
+        desk,
+        method,
+      });
+
+      await logScan(pool, {
+        volunteer_user_id, desk, participant_id, result: created ? 'CHECKED_IN' : 'ALREADY_CHECKED_IN',
+      });
+
+      if (!created) {
+        return alreadyCheckedIn(res, participant, check_in);
+      }
+
+      console.log(`Volunteer ${volunteer_user_id} checked in participant ${participant_id} (${method}, desk ${desk || '-'})`);
+      return success(res, { participant, check_in }, `${participant.full_name} checked in`, 201);
+    }
+
+    // ========================================================================
+    // ACTION: stats - Arrivals per college and this volunteer's recent check-ins
+    // ========================================================================
+    if (action === 'stats') {
+      const collegesResult = await pool.query(
+        `SELECT
+           m.college_id,
+           m.college_code,
+           m.college_name,
+           COUNT(*)::int AS expected,
+           COUNT(gc.id)::int AS checked_in
+         FROM final_event_participants_master m
+         LEFT JOIN gate_checkins gc ON gc.participant_id = m.id
+         GROUP BY m.college_id, m.college_code, m.college_name
+         ORDER BY m.college_code`
+      );
+
+      const recentResult = await pool.query(
+        `SELECT m.id AS participant_id, m.full_name, m.usn, m.college_code, gc.checked_in_at, gc.desk, gc.method
+         FROM gate_checkins gc
+         INNER JOIN final_event_participants_master m ON gc.participant_id = m.id
+         WHERE gc.volunteer_user_id = $1
+         ORDER BY gc.checked_in_at DESC
+         LIMIT 20`,
+        [volunteer_user_id]
+      );
+
+      const colleges = collegesResult.rows;
+
+      return success(res, {
+        totals: {
+          expected: colleges.reduce((sum, c) => sum + c.expected, 0),
+          checked_in: colleges.reduce((sum, c) => sum + c.checked_in, 0),
+        },
+        colleges,
+        my_recent: recentResult.rows,
+      });
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Gate check-in error:', err);
+    return error(res, 'Failed to process check-in request', 500);
+  }
+});
+
+module.exports = router;
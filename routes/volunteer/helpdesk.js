@@ -0,0 +1,302 @@
+// routes/volunteer/helpdesk.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError, forbidden, notFound } = require('../../utils/response');
+const {
+  TICKET_CATEGORIES,
+  TICKET_STATUSES,
+  ticketActor,
+  getTicket,
+  getTicketDetail,
+  changeTicketStatus,
+  addTicketComment,
+  notifyTicketRaiser,
+  notifyTicketStaff,
+  getAdminEmails,
+} = require('../../utils/helpdesk');
+
+router.use(authenticate);
+router.use(requireRole(['VOLUNTEER_HELPDESK', 'ADMIN']));
+
+const STAFF_ROLES = ['VOLUNTEER_HELPDESK', 'ADMIN'];
+
+/**
+ * Run a ticket update in a transaction with the ticket row locked
+ * @param {Number} ticketId
+ * @param {Function} work - async (client, ticket) => result
+ * @returns {Promise<*>} Result of work
+ */
+const withLockedTicket = async (ticketId, work) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const ticket = await getTicket(client, ticketId, true);
+    const result = await work(client, ticket);
+    await client.query('COMMIT');
+    return result;
+  } catch (txError) {
+    await client.query('ROLLBACK');
+    throw txError;
+  } finally {
+    client.release();
+  }
+};
+
+// ============================================================================
+// POST /api/volunteer/helpdesk
+// Multi-action endpoint for helpdesk volunteers (and admins) to work tickets
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+  const actor = ticketActor(req.user);
+  const isAdmin = req.user.role === 'ADMIN';
+
+  if (!action) {
+    return validationError(res, 'Action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: queue - Unresolved tickets (or one status), oldest first
+    // ========================================================================
+    if (action === 'queue') {
+      const { status = null, category = null, assigned_to_me = false } = req.body;
+
+      if (status && !TICKET_STATUSES.includes(status)) {
+        return validationError(res, `status must be one of: ${TICKET_STATUSES.join(', ')}`);
+      }
+      if (category && !TICKET_CATEGORIES.includes(category)) {
+        return validationError(res, `category must be one of: ${TICKET_CATEGORIES.join(', ')}`);
+      }
+
+      const result = await pool.query(
+        `SELECT
+           t.id,
+           t.category,
+           t.subject,
+           t.status,
+           t.raised_by_role,
+           t.contact_name,
+           c.college_code,
+           t.assigned_to,
+           u.full_name AS assigned_to_name,
+           t.created_at,
+           t.updated_at
+         FROM helpdesk_tickets t
+         LEFT JOIN users u ON t.assigned_to = u.id
+         LEFT JOIN colleges c ON t.college_id = c.id
+         WHERE (($1::varchar IS NULL AND t.status <> 'RESOLVED') OR t.status = $1)
+           AND ($2::varchar IS NULL OR t.category = $2)
+           AND ($3 = false OR t.assigned_to = $4)
+         ORDER BY t.created_at
+         LIMIT 200`,
+        [status, category, assigned_to_me === true, req.user.id]
+      );
+
+      const countsResult = await pool.query(
+        'SELECT status, COUNT(*)::int AS count FROM helpdesk_tickets GROUP BY status'
+      );
+
+      return success(res, {
+        tickets: result.rows,
+        counts: Object.fromEntries(TICKET_STATUSES.map(s => [
+          s,
+          (countsResult.rows.find(row => row.status === s) || { count: 0 }).count,
+        ])),
+      });
+    }
+
+    // ========================================================================
+    // ACTION: staff - Accounts tickets can be assigned to
+    // ========================================================================
+    if (action === 'staff') {
+      const result = await pool.query(
+        `SELECT id, full_name, role
+         FROM users
+         WHERE role = ANY($1) AND is_active = true
+         ORDER BY role, full_name`,
+        [STAFF_ROLES]
+      );
+
+      return success(res, { staff: result.rows });
+    }
+
+    // Remaining actions work on one ticket
+    const ticket_id = parseInt(req.body.ticket_id, 10);
+    const ticket = await getTicket(pool, ticket_id);
+    if (!ticket) {
+      return notFound(res, 'Ticket');
+    }
+
+    // ========================================================================
+    // ACTION: get - Full ticket including internal notes
+    // ========================================================================
+    if (action === 'get') {
+      return success(res, { ticket: await getTicketDetail(pool, ticket, true) });
+    }
+
+    // ========================================================================
+    // ACTION: assign - Take a ticket (default) or hand it to another staff member
+    // ========================================================================
+    if (action === 'assign') {
+      const assignee_id = req.body.assignee_id === undefined ? req.user.id : req.body.assignee_id;
+
+      const assigneeResult = await pool.query(
+        `SELECT id, full_name, email, role
+         FROM users
+         WHERE id = $1 AND role = ANY($2) AND is_active = true`,
+        [assignee_id, STAFF_ROLES]
+      );
+
+      if (assigneeResult.rows.length === 0) {
+        return notFound(res, 'Helpdesk staff member');
+      }
+
+      const assignee = assigneeResult.rows[0];
+
+      const outcome = await withLockedTicket(ticket.id, async (client, locked) => {
+        if (locked.status === 'RESOLVED') {
+          return { error: 'Ticket is resolved' };
+        }
+        if (locked.status === 'ESCALATED' && assignee.role !== 'ADMIN') {
+          return { error: 'Escalated tickets can only be assigned to admins' };
+        }
+
+        await client.query(
+          'UPDATE helpdesk_tickets SET assigned_to = $2, updated_at = NOW() WHERE id = $1',
+          [locked.id, assignee.id]
+        );
+
+        if (locked.status === 'OPEN') {
+          await changeTicketStatus(client, locked, 'IN_PROGRESS', actor, `Assigned to ${assignee.full_name}`);
+          return { status: 'IN_PROGRESS', started: true };
+        }
+
+        return { status: locked.status, started: false };
+      });
+
+      if (outcome.error) {
+        return error(res, outcome.error, 409);
+      }
+
+      if (assignee.id !== req.user.id) {
+        await notifyTicketStaff(assignee.email, ticket, `${actor.name} assigned this ticket to you.`);
+      }
+      if (outcome.started) {
+        await notifyTicketRaiser(ticket, 'Your ticket is now being handled by our helpdesk team.');
+      }
+
+      console.log(`Helpdesk ${req.user.id} assigned ticket ${ticket.id} to ${assignee.id}`);
+      return success(res, { status: outcome.status, assigned_to: assignee.id }, `Ticket assigned to ${assignee.full_name}`);
+    }
+
+    // ========================================================================
+    // ACTION: comment - Reply to the raiser, or an internal note (internal: true)
+    // ========================================================================
+    if (action === 'comment') {
+      const body = String(req.body.body || '').trim();
+      const internal = req.body.internal === true;
+
+      if (!body) {
+        return validationError(res, 'body is required');
+      }
+
+      const comment = await addTicketComment(pool, ticket.id, actor, body, internal);
+
+      if (!internal) {
+        await notifyTicketRaiser(ticket, `${actor.name} (helpdesk) wrote:\n${body}`);
+      }
+
+      return success(res, { comment }, internal ? 'Internal note added' : 'Reply sent');
+    }
+
+    // ========================================================================
+    // ACTION: escalate - Hand a ticket to the admins { note }
+    // ========================================================================
+    if (action === 'escalate') {
+      const note = String(req.body.note || '').trim();
+
+      if (!note) {
+        return validationError(res, 'note is required: explain why the ticket needs an admin');
+      }
+
+      const outcome = await withLockedTicket(ticket.id, async (client, locked) => {
+        if (['ESCALATED', 'RESOLVED'].includes(locked.status)) {
+          return { error: `Ticket is already ${locked.status.toLowerCase()}` };
+        }
+
+        await client.query(
+          'UPDATE helpdesk_tickets SET assigned_to = NULL WHERE id = $1',
+          [locked.id]
+        );
+        await changeTicketStatus(client, locked, 'ESCALATED', actor, note);
+        await addTicketComment(client, locked.id, actor, `Escalated to admin: ${note}`, true);
+        return {};
+      });
+
+      if (outcome.error) {
+        return error(res, outcome.error, 409);
+      }
+
+      for (const email of await getAdminEmails(pool)) {
+        await notifyTicketStaff(email, ticket, `${actor.name} escalated this ticket:\n${note}`);
+      }
+      await notifyTicketRaiser(ticket, 'Your ticket has been escalated to the fest administrators.');
+
+      console.log(`Helpdesk ${req.user.id} escalated ticket ${ticket.id}`);
+      return success(res, { status: 'ESCALATED' }, 'Ticket escalated to admin');
+    }
+
+    // ========================================================================
+    // ACTION: resolve - Close a ticket with a resolution sent to the raiser
+    // ========================================================================
+    if (action === 'resolve') {
+      const resolution = String(req.body.resolution || '').trim();
+
+      if (!resolution) {
+        return validationError(res, 'resolution is required');
+      }
+
+      if (ticket.status === 'ESCALATED' && !isAdmin) {
+        return forbidden(res, 'Escalated tickets can only be resolved by an admin');
+      }
+
+      const outcome = await withLockedTicket(ticket.id, async (client, locked) => {
+        if (locked.status === 'RESOLVED') {
+          return { error: 'Ticket is already resolved' };
+        }
+        if (locked.status === 'ESCALATED' && !isAdmin) {
+          return { error: 'Ticket was escalated to admin' };
+        }
+
+        await changeTicketStatus(client, locked, 'RESOLVED', actor, resolution);
+        await addTicketComment(client, locked.id, actor, resolution);
+        return {};
+      });
+
+      if (outcome.error) {
+        return error(res, outcome.error, 409);
+      }
+
+      await notifyTicketRaiser(
+        ticket,
+        `Your ticket has been resolved:\n${resolution}\n\nReply to the ticket if the issue persists.`
+      );
+
+      console.log(`${req.user.role} ${req.user.id} resolved ticket ${ticket.id}`);
+      return success(res, { status: 'RESOLVED' }, 'Ticket resolved');
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Helpdesk queue error:', err);
+    return error(res, 'Failed to process helpdesk request', 500);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// routes/volunteer/roster.js
+const express = require('express');
+const router = express.Router();
+const pool = require('../../db/pool');
+const { authenticate } = require('../../middleware/auth');
+const requireRole = require('../../middleware/requireRole');
+const { success, error, validationError } = require('../../utils/response');
+const { VOLUNTEER_ROLES, getShifts } = require('../../utils/volunteers');
+
+router.use(authenticate);
+router.use(requireRole(VOLUNTEER_ROLES));
+
+// ============================================================================
+// POST /api/volunteer/roster
+// A volunteer's own shifts and event assignments
+// ============================================================================
+router.post('/', async (req, res) => {
+  const { action } = req.body;
+  const volunteer_user_id = req.user.id;
+
+  if (!action) {
+    return validationError(res, 'Action is required');
+  }
+
+  try {
+    // ========================================================================
+    // ACTION: my_roster - Upcoming shifts (all with include_past) and events
+    // ========================================================================
+    if (action === 'my_roster') {
+      const shifts = (await getShifts(pool, {
+        volunteer_id: volunteer_user_id,
+        from: req.body.include_past === true ? null : new Date(),
+      })).map(({ volunteer_user_id: _, volunteer_name, volunteer_role, ...shift }) => shift);
+
+      const eventsResult = await pool.query(
+        `SELECT e.slug, e.name, e.category
+         FROM event_volunteers ev
+         INNER JOIN events e ON ev.event_id = e.id
+         WHERE ev.volunteer_user_id = $1 AND e.is_active = true
+         ORDER BY e.display_order, e.name`,
+        [volunteer_user_id]
+      );
+
+      const now = new Date();
+
+      return success(res, {
+        role: req.user.role,
+        current_shift: shifts.find(s => new Date(s.starts_at) <= now && new Date(s.ends_at) > now) || null,
+        shifts,
+        events: eventsResult.rows,
+      });
+    }
+
+    return validationError(res, 'Invalid action specified');
+
+  } catch (err) {
+    console.error('Volunteer roster error:', err);
+    return error(res, 'Failed to load roster', 500);
+  }
+});
+
+module.exports = router;
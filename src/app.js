@@ -5,6 +5,9 @@ const cors = require('cors');
 // Initialize Express app
 const app = express();
 
+// Behind Railway's proxy: take client IP from X-Forwarded-For (session telemetry, login throttling)
+app.set('trust proxy', 1);
+
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
@@ -32,14 +35,21 @@ app.use((req, res, next) => {
 
 // Auth routes
 const loginRoute = require('../routes/auth/login');
-const forgotPasswordRoute = require('../routes/auth/forgot-password');
-const resetPasswordRoute = require('../routes/auth/reset-password');
+const refreshTokenRoute = require('../routes/auth/refresh-token');
+const logoutRoute = require('../routes/auth/logout');
+const mfaRoute = require('../routes/auth/mfa');
+const stepUpRoute = require('../routes/auth/step-up');
+const jwksRoute = require('../routes/auth/jwks');
+const magicLinkRoute = require('../routes/auth/magic-link');
+const sessionsRoute = require('../routes/auth/sessions');
+const passwordRecoveryRoute = require('../routes/auth/password-recovery');
 
 // Student routes
 const registerRoute = require('../routes/student/register');
 const studentDashboardRoute = require('../routes/student/dashboard');
 const submitApplicationRoute = require('../routes/student/submit-application');
 const studentPaymentRoute = require('../routes/student/payment');
+const studentBadgeRoute = require('../routes/student/badge');
 
 // Manager routes
 const managerDashboardRoute = require('../routes/manager/dashboard');
@@ -50,19 +60,45 @@ const approvedStudentsRoute = require('../routes/manager/approved-students');
 const accommodationRoute = require('../routes/manager/accommodation');
 const rejectedStudentsRoute = require('../routes/manager/rejected-students');
 const managerProfileRoute = require('../routes/manager/manager-profile');
+const managerScheduleRoute = require('../routes/manager/schedule');
+const managerBadgesRoute = require('../routes/manager/badges');
 
 // Principal routes
 const finalApprovalRoute = require('../routes/principal/final-approval');
 const pendingFinalApprovalRoute = require('../routes/principal/pending-final-approval');
 const checkLockStatusRoute = require('../routes/principal/check-lock-status');
 const assignManagerRoute = require('../routes/principal/assign-manager');
+const principalCertificatesRoute = require('../routes/principal/certificates');
 
 // Admin routes
 const pendingPaymentsRoute = require('../routes/admin/pending-payments');
 const verifyPaymentRoute = require('../routes/admin/verify-payment');
+const loginLockoutsRoute = require('../routes/admin/login-lockouts');
+const impersonateRoute = require('../routes/admin/impersonate');
+const adminSessionsRoute = require('../routes/admin/sessions');
+const adminEventsRoute = require('../routes/admin/events');
+const adminScheduleRoute = require('../routes/admin/schedule');
+const adminJudgingRoute = require('../routes/admin/judging');
+const adminResultsRoute = require('../routes/admin/results');
+const adminCertificatesRoute = require('../routes/admin/certificates');
+const adminVolunteersRoute = require('../routes/admin/volunteers');
+
+// Judge routes
+const judgeScoringRoute = require('../routes/judge/scoring');
+
+// Volunteer routes
+const volunteerCheckInRoute = require('../routes/volunteer/check-in');
+const volunteerCheckInSyncRoute = require('../routes/volunteer/check-in-sync');
+const volunteerAttendanceRoute = require('../routes/volunteer/attendance');
+const volunteerHelpdeskRoute = require('../routes/volunteer/helpdesk');
+const volunteerRosterRoute = require('../routes/volunteer/roster');
 
 // Shared routes
 const collegeAndUSNRoute = require('../routes/shared/college-and-usn');
+const resultsRoute = require('../routes/shared/results');
+const certificateVerifyRoute = require('../routes/shared/certificates');
+const qrKeysRoute = require('../routes/shared/qr-keys');
+const helpdeskRoute = require('../routes/shared/helpdesk');
 
 // ============================================================================
 // MOUNT ROUTES
@@ -79,15 +115,22 @@ app.get('/health', (req, res) => {
 
 // Auth routes
 app.use('/api/auth/login', loginRoute);
-app.use('/api/auth/forgot-password', forgotPasswordRoute);
-// ✅ FIXED: Changed to mount the router at base path so /:role parameter works
-app.use('/api/auth/reset-password', resetPasswordRoute);
+app.use('/api/auth/refresh', refreshTokenRoute);
+app.use('/api/auth/logout', logoutRoute);
+app.use('/api/auth/mfa', mfaRoute);
+app.use('/api/auth/step-up', stepUpRoute);
+app.use('/api/auth/jwks', jwksRoute);
+app.use('/api/auth/magic-link', magicLinkRoute);
+app.use('/api/auth/sessions', sessionsRoute);
+// Serves /forgot-password/:role and /reset-password/:role
+app.use('/api/auth', passwordRecoveryRoute);
 
 // Student routes
 app.use('/api/student/register', registerRoute);
 app.use('/api/student/dashboard', studentDashboardRoute);
 app.use('/api/student/submit-application', submitApplicationRoute);
 app.use('/api/student/payment', studentPaymentRoute);
+app.use('/api/student/badge', studentBadgeRoute);
 
 // Manager routes
 app.use('/api/manager/dashboard', managerDashboardRoute);
@@ -98,19 +141,45 @@ app.use('/api/manager/approved-students', approvedStudentsRoute);
 app.use('/api/manager/accommodation', accommodationRoute);
 app.use('/api/manager/rejected-students', rejectedStudentsRoute);
 app.use('/api/manager/manager-profile', managerProfileRoute);
+app.use('/api/manager/schedule', managerScheduleRoute);
+app.use('/api/manager/badges', managerBadgesRoute);
 
 // Principal routes
 app.use('/api/principal/final-approval', finalApprovalRoute);
 app.use('/api/principal/pending-final-approval', pendingFinalApprovalRoute);
 app.use('/api/principal/check-lock-status', checkLockStatusRoute);
 app.use('/api/principal/assign-manager', assignManagerRoute);
+app.use('/api/principal/certificates', principalCertificatesRoute);
 
 // Admin routes
 app.use('/api/admin/pending-payments', pendingPaymentsRoute);
 app.use('/api/admin/verify-payment', verifyPaymentRoute);
+app.use('/api/admin/login-lockouts', loginLockoutsRoute);
+app.use('/api/admin/impersonate', impersonateRoute);
+app.use('/api/admin/sessions', adminSessionsRoute);
+app.use('/api/admin/events', adminEventsRoute);
+app.use('/api/admin/schedule', adminScheduleRoute);
+app.use('/api/admin/judging', adminJudgingRoute);
+app.use('/api/admin/results', adminResultsRoute);
+app.use('/api/admin/certificates', adminCertificatesRoute);
+app.use('/api/admin/volunteers', adminVolunteersRoute);
+
+// Judge routes
+app.use('/api/judge/scoring', judgeScoringRoute);
+
+// Volunteer routes
+app.use('/api/volunteer/check-in', volunteerCheckInRoute);
+app.use('/api/volunteer/check-in-sync', volunteerCheckInSyncRoute);
+app.use('/api/volunteer/attendance', volunteerAttendanceRoute);
+app.use('/api/volunteer/helpdesk', volunteerHelpdeskRoute);
+app.use('/api/volunteer/roster', volunteerRosterRoute);
 
 // Shared routes
 app.use('/api/shared/college-and-usn', collegeAndUSNRoute);
+app.use('/api/shared/results', resultsRoute);
+app.use('/api/shared/certificates', certificateVerifyRoute);
+app.use('/api/shared/qr-keys', qrKeysRoute);
+app.use('/api/shared/helpdesk', helpdeskRoute);
 
 // ============================================================================
 // ERROR HANDLING
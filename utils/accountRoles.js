@@ -0,0 +1,59 @@
+/**
+ * Login Role Resolution
+ * Maps the frontend role names used by login / password recovery to backend
+ * roles and the table that holds the account (students vs users)
+ */
+
+// Valid roles mapping (frontend -> backend)
+const VALID_ROLES = {
+  student: 'STUDENT',
+  principal: 'PRINCIPAL',
+  manager: 'MANAGER',
+  admin: 'ADMIN',
+  sub_admin: 'SUB_ADMIN',
+  volunteer_registration: 'VOLUNTEER_REGISTRATION',
+  volunteer_helpdesk: 'VOLUNTEER_HELPDESK',
+  volunteer_event: 'VOLUNTEER_EVENT',
+  judge: 'JUDGE',
+};
+
+/**
+ * Resolve a frontend role name
+ * @param {String} frontendRole - e.g. 'student', 'volunteer_event'
+ * @returns {Object|null} { role, table } or null if unknown
+ */
+const resolveAccountRole = (frontendRole) => {
+  const role = VALID_ROLES[String(frontendRole || '').trim().toLowerCase()];
+
+  if (!role) {
+    return null;
+  }
+
+  return {
+    role,
+    table: role === 'STUDENT' ? 'students' : 'users',
+  };
+};
+
+/**
+ * Find an account by email within a resolved role.
+ * users rows are also matched on role, so one email per role is looked up.
+ * @param {Object} db - pg pool or client
+ * @param {Object} account - From resolveAccountRole
+ * @param {String} email - Lowercased email
+ * @param {String} columns - Column list to select (trusted, not user input)
+ * @returns {Promise<Object|null>}
+ */
+const findAccountByEmail = async (db, account, email, columns) => {
+  const result = account.table === 'students'
+    ? await db.query(`SELECT ${columns} FROM students WHERE email = $1`, [email])
+    : await db.query(`SELECT ${columns} FROM users WHERE email = $1 AND role = $2`, [email, account.role]);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  VALID_ROLES,
+  resolveAccountRole,
+  findAccountByEmail,
+};
@@ -0,0 +1,176 @@
+/**
+ * Event Attendance
+ * Who reported for an event slot. Expected participants are the
+ * final_event_participants_master rows assigned to the event (participants
+ * and accompanists); each is marked PRESENT, LATE or ABSENT per slot, or
+ * left NOT_MARKED.
+ */
+
+const ATTENDANCE_STATUSES = ['PRESENT', 'LATE', 'ABSENT'];
+
+/**
+ * Whether a volunteer is assigned to an event
+ * @param {Object} db - pg pool or client
+ * @param {Number} eventId
+ * @param {Number} volunteerUserId
+ * @returns {Promise<Boolean>}
+ */
+const isEventVolunteer = async (db, eventId, volunteerUserId) => {
+  const result = await db.query(
+    'SELECT 1 FROM event_volunteers WHERE event_id = $1 AND volunteer_user_id = $2',
+    [eventId, volunteerUserId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Load a slot of an event
+ * @param {Object} db - pg pool or client
+ * @param {Number} eventId
+ * @param {Number} slotId
+ * @returns {Promise<Object|null>}
+ */
+const getEventSlot = async (db, eventId, slotId) => {
+  if (!Number.isInteger(slotId)) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT es.id AS slot_id, es.slot_label, es.reporting_at, es.starts_at, es.ends_at, v.name AS venue_name
+     FROM event_slots es
+     INNER JOIN venues v ON es.venue_id = v.id
+     WHERE es.id = $1 AND es.event_id = $2`,
+    [slotId, eventId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Slot an attendance request refers to. Scheduled events need a slot_id;
+ * events without slots are marked once (slot null).
+ * @param {Object} db - pg pool or client
+ * @param {Object} event - events row
+ * @param {*} slotId - slot_id from the request body
+ * @returns {Promise<Object>} { slot } or { error }
+ */
+const resolveAttendanceSlot = async (db, event, slotId) => {
+  if (slotId !== undefined && slotId !== null) {
+    const slot = await getEventSlot(db, event.id, slotId);
+    return slot ? { slot } : { error: `slot_id ${slotId} is not a slot of ${event.name}` };
+  }
+
+  const slots = await db.query('SELECT 1 FROM event_slots WHERE event_id = $1 LIMIT 1', [event.id]);
+  return slots.rows.length > 0
+    ? { error: `slot_id is required: ${event.name} is scheduled in slots` }
+    : { slot: null };
+};
+
+/**
+ * Expected participants of an event with their attendance for one slot
+ * @param {Object} db - pg pool or client
+ * @param {Number} eventId
+ * @param {Object} filter
+ * @param {Number} filter.slot_id - null for events without slots
+ * @param {Number} filter.college_id - Optional: one college
+ * @param {Number} filter.participant_id - Optional: one participant
+ * @returns {Promise<Array>}
+ */
+const getExpectedParticipants = async (db, eventId, { slot_id = null, college_id = null, participant_id = null } = {}) => {
+  const result = await db.query(
+    `SELECT DISTINCT ON (m.college_code, m.full_name, m.id)
+       m.id AS participant_id,
+       m.college_id,
+       m.college_code,
+       m.college_name,
+       m.full_name,
+       m.usn,
+       m.person_type,
+       ea.event_type,
+       ea.member_role,
+       (gc.id IS NOT NULL) AS gate_checked_in,
+       COALESCE(att.status, 'NOT_MARKED') AS status,
+       att.method,
+       att.marked_at,
+       u.full_name AS marked_by
+     FROM final_event_participants_master m
+     INNER JOIN event_assignments ea
+       ON ea.college_id = m.college_id
+      AND ea.event_id = $1
+      AND (ea.student_id = m.student_id OR ea.accompanist_id = m.accompanist_id)
+     LEFT JOIN gate_checkins gc ON gc.participant_id = m.id
+     LEFT JOIN event_attendance att
+       ON att.event_id = $1
+      AND att.participant_id = m.id
+      AND COALESCE(att.slot_id, 0) = COALESCE($2::int, 0)
+     LEFT JOIN users u ON att.marked_by = u.id
+     WHERE ($3::int IS NULL OR m.college_id = $3)
+       AND ($4::int IS NULL OR m.id = $4)
+     ORDER BY m.college_code, m.full_name, m.id, ea.event_type DESC`,
+    [eventId, slot_id, college_id, participant_id]
+  );
+  return result.rows;
+};
+
+/**
+ * Mark (or re-mark) one participant for a slot
+ * @param {Object} db - pg pool or client
+ * @param {Object} mark - { event_id, slot_id, participant_id, college_id, status, method, marked_by }
+ * @returns {Promise<Object>} The attendance row
+ */
+const markAttendance = async (db, { event_id, slot_id, participant_id, college_id, status, method, marked_by }) => {
+  const result = await db.query(
+    `INSERT INTO event_attendance (event_id, slot_id, participant_id, college_id, status, method, marked_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (event_id, participant_id, (COALESCE(slot_id, 0)))
+     DO UPDATE SET status = EXCLUDED.status, method = EXCLUDED.method,
+                   marked_by = EXCLUDED.marked_by, marked_at = NOW()
+     RETURNING status, method, marked_at`,
+    [event_id, slot_id, participant_id, college_id, status, method, marked_by]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Attendance sheet of an event slot: every expected participant with their
+ * status, plus totals overall and per college
+ * @param {Object} db - pg pool or client
+ * @param {Object} event - events row
+ * @param {Object} slot - From getEventSlot, or null
+ * @returns {Promise<Object>}
+ */
+const getAttendanceSheet = async (db, event, slot = null) => {
+  const participants = await getExpectedParticipants(db, event.id, { slot_id: slot ? slot.slot_id : null });
+
+  const emptyCounts = () => ({ expected: 0, PRESENT: 0, LATE: 0, ABSENT: 0, NOT_MARKED: 0 });
+  const summary = emptyCounts();
+  const byCollege = new Map();
+
+  for (const p of participants) {
+    if (!byCollege.has(p.college_id)) {
+      byCollege.set(p.college_id, { college_id: p.college_id, college_code: p.college_code, ...emptyCounts() });
+    }
+    for (const counts of [summary, byCollege.get(p.college_id)]) {
+      counts.expected += 1;
+      counts[p.status] += 1;
+    }
+  }
+
+  return {
+    event_slug: event.slug,
+    event_name: event.name,
+    slot,
+    summary,
+    colleges: [...byCollege.values()],
+    participants,
+  };
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  isEventVolunteer,
+  getEventSlot,
+  resolveAttendanceSlot,
+  getExpectedParticipants,
+  markAttendance,
+  getAttendanceSheet,
+};
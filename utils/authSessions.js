@@ -0,0 +1,326 @@
+/**
+ * Auth Session Utilities
+ * Issues access/refresh token pairs bound to an auth_sessions row
+ * and revokes sessions on logout
+ */
+const crypto = require('crypto');
+const { signToken } = require('./jwtKeys');
+
+const ACCESS_TOKEN_EXPIRY = '1h';
+const ACCESS_TOKEN_EXPIRY_SECONDS = 60 * 60;
+const REFRESH_TOKEN_EXPIRY_DAYS = 7;
+
+/**
+ * SHA-256 hex digest of a token (refresh tokens are stored hashed)
+ * @param {String} token - Raw token
+ * @returns {String} Hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Constant-time comparison of a raw token against a stored hash
+ * @param {String} token - Raw token
+ * @param {String} storedHash - Hex digest from the database
+ * @returns {Boolean}
+ */
+const tokenMatchesHash = (token, storedHash) => {
+  const candidate = Buffer.from(hashToken(token), 'hex');
+  const stored = Buffer.from(storedHash || '', 'hex');
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+/**
+ * Build JWT payload for a students row
+ * @param {Object} student - Row from students table
+ */
+const buildStudentTokenPayload = (student) => ({
+  student_id: student.id,
+  usn: student.usn,
+  college_id: student.college_id,
+  role: 'STUDENT',
+});
+
+/**
+ * Build JWT payload for a users row
+ * @param {Object} user - Row from users table
+ */
+const buildUserTokenPayload = (user) => {
+  const payload = {
+    user_id: user.id,
+    full_name: user.full_name,
+    role: user.role,
+  };
+
+  // Add college_id only for PRINCIPAL and MANAGER
+  if (user.role === 'PRINCIPAL' || user.role === 'MANAGER') {
+    payload.college_id = user.college_id;
+  }
+
+  return payload;
+};
+
+/**
+ * Sign a short-lived access token carrying the session id as `sid`
+ * @param {Object} payload - Token payload from build*TokenPayload
+ * @param {String} sessionId - auth_sessions.id
+ * @param {String} expiresIn - Override lifetime (default ACCESS_TOKEN_EXPIRY)
+ */
+const signAccessToken = (payload, sessionId, expiresIn = ACCESS_TOKEN_EXPIRY) => {
+  return signToken({ ...payload, sid: sessionId }, { expiresIn });
+};
+
+/**
+ * Refresh tokens are "<session_id>.<secret>" so the row can be found
+ * without scanning hashes
+ * @param {String} sessionId - auth_sessions.id
+ * @returns {{ refresh_token: String, refresh_token_hash: String }}
+ */
+const generateRefreshToken = (sessionId) => {
+  const refresh_token = `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+  return { refresh_token, refresh_token_hash: hashToken(refresh_token) };
+};
+
+/**
+ * Whether a value is a well-formed session id (auth_sessions.id is a uuid)
+ * @param {*} value
+ * @returns {Boolean}
+ */
+const isSessionId = (value) => typeof value === 'string'
+  && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+/**
+ * Split a refresh token into its session id
+ * @param {String} refreshToken - Raw refresh token from client
+ * @returns {String|null} Session id, or null if malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.trim().split('.');
+  if (!secret || !isSessionId(sessionId)) return null;
+  return sessionId;
+};
+
+/**
+ * Client metadata recorded on the session row
+ * @param {Object} req - Express request
+ */
+const getRequestContext = (req) => ({
+  user_agent: req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 500) : null,
+  ip_address: req.ip || null,
+});
+
+/**
+ * Create a session row and return the token pair for it
+ * @param {Object} db - pg pool or client
+ * @param {Object} payload - Token payload from build*TokenPayload
+ * @param {Object} context - { user_agent, ip_address } from getRequestContext
+ * @returns {Promise<{ token: String, refresh_token: String, expires_in: Number, session_id: String }>}
+ */
+const issueSessionTokens = async (db, payload, context = {}) => {
+  const sessionId = crypto.randomUUID();
+  const { refresh_token, refresh_token_hash } = generateRefreshToken(sessionId);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  await db.query(
+    `INSERT INTO auth_sessions
+     (id, role, student_id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      sessionId,
+      payload.role,
+      payload.role === 'STUDENT' ? payload.student_id : null,
+      payload.role === 'STUDENT' ? null : payload.user_id,
+      refresh_token_hash,
+      context.user_agent || null,
+      context.ip_address || null,
+      expiresAt,
+    ]
+  );
+
+  return {
+    token: signAccessToken(payload, sessionId),
+    refresh_token,
+    expires_in: ACCESS_TOKEN_EXPIRY_SECONDS,
+    session_id: sessionId,
+  };
+};
+
+/**
+ * Complete a student login: open a session and build the login response
+ * @param {Object} db - pg pool or client
+ * @param {Object} student - students row
+ * @param {Object} context - { user_agent, ip_address }
+ */
+const startStudentSession = async (db, student, context) => {
+  const { token, refresh_token, expires_in } = await issueSessionTokens(
+    db,
+    buildStudentTokenPayload(student),
+    context
+  );
+
+  // Update last login
+  await db.query(
+    'UPDATE students SET last_login_at = NOW() WHERE id = $1',
+    [student.id]
+  );
+
+  return {
+    message: 'Login successful',
+    token,
+    refresh_token,
+    expires_in,
+    role: 'student',
+    college_id: student.college_id,
+    usn: student.usn,
+    name: student.full_name,
+  };
+};
+
+/**
+ * Complete a users-table login: open a session and build the login response
+ * @param {Object} db - pg pool or client
+ * @param {Object} user - users row
+ * @param {Object} context - { user_agent, ip_address }
+ */
+const startUserSession = async (db, user, context) => {
+  const { token, refresh_token, expires_in } = await issueSessionTokens(
+    db,
+    buildUserTokenPayload(user),
+    context
+  );
+
+  // Update last login timestamp
+  await db.query(
+    'UPDATE users SET last_login_at = NOW() WHERE id = $1',
+    [user.id]
+  );
+
+  const responseData = {
+    message: 'Login successful',
+    token,
+    refresh_token,
+    expires_in,
+    role: user.role.toLowerCase(),
+    name: user.full_name,
+    user_id: user.id,
+  };
+
+  // Add college_id to response for PRINCIPAL and MANAGER
+  if (user.college_id) {
+    responseData.college_id = user.college_id;
+  }
+
+  return responseData;
+};
+
+/**
+ * Short "Browser on OS" label from a user-agent string
+ * @param {String} userAgent
+ * @returns {String}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return `${browser ? browser[0] : 'Browser'} on ${os ? os[0] : 'unknown OS'}`;
+};
+
+/**
+ * Active (not revoked, not expired) sessions of an account, newest activity first
+ * @param {Object} db - pg pool or client
+ * @param {Object} subject - { role, student_id } or { role, user_id }
+ * @returns {Promise<Array>}
+ */
+const listActiveSessions = async (db, subject) => {
+  const result = await db.query(
+    `SELECT id AS session_id, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM auth_sessions
+     WHERE ${subject.role === 'STUDENT' ? 'student_id' : 'user_id'} = $1
+       AND revoked_at IS NULL
+       AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [subject.role === 'STUDENT' ? subject.student_id : subject.user_id]
+  );
+
+  return result.rows.map(row => ({ ...row, device: describeDevice(row.user_agent) }));
+};
+
+/**
+ * Revoke a single session
+ * @param {Object} db - pg pool or client
+ * @param {String} sessionId - auth_sessions.id
+ * @param {String} reason - Stored in revoked_reason
+ * @returns {Promise<Number>} Rows revoked
+ */
+const revokeSession = async (db, sessionId, reason = 'LOGOUT') => {
+  const result = await db.query(
+    `UPDATE auth_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId, reason]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Revoke every active session of an account
+ * @param {Object} db - pg pool or client
+ * @param {Object} subject - { role, student_id } or { role, user_id }
+ * @param {String} reason - Stored in revoked_reason
+ * @returns {Promise<Number>} Rows revoked
+ */
+const revokeAllSessions = async (db, subject, reason = 'LOGOUT_ALL') => {
+  const result = subject.role === 'STUDENT'
+    ? await db.query(
+      `UPDATE auth_sessions
+       SET revoked_at = NOW(), revoked_reason = $2
+       WHERE student_id = $1 AND revoked_at IS NULL`,
+      [subject.student_id, reason]
+    )
+    : await db.query(
+      `UPDATE auth_sessions
+       SET revoked_at = NOW(), revoked_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL`,
+      [subject.user_id, reason]
+    );
+  return result.rowCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRY_SECONDS,
+  hashToken,
+  tokenMatchesHash,
+  buildStudentTokenPayload,
+  buildUserTokenPayload,
+  signAccessToken,
+  generateRefreshToken,
+  isSessionId,
+  parseRefreshToken,
+  getRequestContext,
+  issueSessionTokens,
+  startStudentSession,
+  startUserSession,
+  describeDevice,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,212 @@
+/**
+ * ID Badges
+ * Printable badges for final_event_participants_master rows: photo, name,
+ * USN, college, events and the participant's QR. Rendered one per page
+ * (badge-sized) for a single person, or four per A4 page for a college batch.
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { signQrPayload } = require('./qrPayload');
+
+const FEST_NAME = 'VTU Fest 2026';
+
+const STORAGE_ACCOUNT_NAME = process.env.AZURE_STORAGE_ACCOUNT_NAME;
+const STORAGE_ACCOUNT_KEY = process.env.AZURE_STORAGE_ACCOUNT_KEY;
+
+// 3.5in x 5in badge; 2 x 2 of them fit on A4 with cutting margins
+const BADGE_WIDTH = 252;
+const BADGE_HEIGHT = 360;
+const A4_SLOTS = [
+  [35, 40], [308, 40],
+  [35, 440], [308, 440],
+];
+
+/**
+ * Badge holders of a college, students first
+ * @param {Object} db - pg pool or client
+ * @param {Number} collegeId
+ * @param {Object} filter - Optional { participant_id } or { student_id }
+ * @returns {Promise<Array>}
+ */
+const getBadgeHolders = async (db, collegeId, { participant_id = null, student_id = null } = {}) => {
+  const result = await db.query(
+    `SELECT
+       m.id,
+       m.college_id,
+       m.person_type,
+       m.student_id,
+       m.full_name,
+       m.usn,
+       m.college_code,
+       m.college_name,
+       m.passport_photo_url,
+       m.qr_code,
+       m.accompanist_type,
+       m.is_team_manager,
+       COALESCE((
+         SELECT array_agg(DISTINCT e.name)
+         FROM event_assignments ea
+         INNER JOIN events e ON ea.event_id = e.id AND e.is_active = true
+         WHERE ea.college_id = m.college_id
+           AND (ea.student_id = m.student_id OR ea.accompanist_id = m.accompanist_id)
+       ), '{}') AS events
+     FROM final_event_participants_master m
+     WHERE m.college_id = $1
+       AND ($2::int IS NULL OR m.id = $2)
+       AND ($3::int IS NULL OR m.student_id = $3)
+     ORDER BY m.person_type DESC, m.full_name`,
+    [collegeId, participant_id, student_id]
+  );
+  return result.rows;
+};
+
+/**
+ * Download a passport photo from blob storage.
+ * Only JPEG / PNG can be embedded; anything else (or a failed download) gives null.
+ * @param {String} photoUrl - https://<account>.blob.core.windows.net/<container>/<blob>
+ * @returns {Promise<Buffer|null>}
+ */
+const fetchPhoto = async (photoUrl) => {
+  if (!photoUrl || !STORAGE_ACCOUNT_NAME || !STORAGE_ACCOUNT_KEY) {
+    return null;
+  }
+
+  try {
+    const [containerName, ...blobParts] = new URL(photoUrl).pathname.replace(/^\/+/, '').split('/');
+
+    const blobServiceClient = BlobServiceClient.fromConnectionString(
+      `DefaultEndpointsProtocol=https;AccountName=${STORAGE_ACCOUNT_NAME};AccountKey=${STORAGE_ACCOUNT_KEY};EndpointSuffix=core.windows.net`
+    );
+    const blobClient = blobServiceClient
+      .getContainerClient(containerName)
+      .getBlobClient(decodeURIComponent(blobParts.join('/')));
+
+    const buffer = await blobClient.downloadToBuffer();
+
+    const isJpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+    const isPng = buffer.slice(0, 4).toString('hex') === '89504e47';
+    return isJpeg || isPng ? buffer : null;
+  } catch (err) {
+    console.error('Badge photo download error:', err.message);
+    return null;
+  }
+};
+
+/**
+ * Role line printed on the badge
+ * @param {Object} holder
+ */
+const badgeRole = (holder) => {
+  if (holder.is_team_manager) return 'TEAM MANAGER';
+  if (holder.person_type === 'ACCOMPANIST') return 'ACCOMPANIST';
+  return 'PARTICIPANT';
+};
+
+/**
+ * Content encoded in the badge QR: a signed payload when configured, else the pool code
+ * @param {Object} holder
+ */
+const badgeQrPayload = (holder) => signQrPayload(holder) || holder.qr_code;
+
+/**
+ * Draw one badge with its top-left corner at (x, y)
+ * @param {PDFDocument} doc
+ * @param {Object} holder - Row from getBadgeHolders
+ * @param {Buffer|null} photo
+ * @param {Buffer|null} qrPng
+ */
+const drawBadge = (doc, holder, photo, qrPng, x, y) => {
+  const accent = holder.person_type === 'ACCOMPANIST' ? '#8a6d1f' : '#1f4e79';
+  const inner = BADGE_WIDTH - 24;
+
+  doc.save();
+
+  doc.rect(x, y, BADGE_WIDTH, BADGE_HEIGHT).lineWidth(0.5).dash(3, { space: 3 }).stroke('#999999');
+  doc.undash();
+
+  doc.rect(x, y, BADGE_WIDTH, 46).fill(accent);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(14)
+    .text(FEST_NAME.toUpperCase(), x, y + 9, { width: BADGE_WIDTH, align: 'center' });
+  doc.font('Helvetica').fontSize(9)
+    .text(badgeRole(holder), x, y + 28, { width: BADGE_WIDTH, align: 'center', characterSpacing: 1 });
+
+  const photoX = x + (BADGE_WIDTH - 84) / 2;
+  if (photo) {
+    doc.image(photo, photoX, y + 56, { fit: [84, 104], align: 'center', valign: 'center' });
+  } else {
+    doc.rect(photoX, y + 56, 84, 104).lineWidth(0.5).stroke('#cccccc');
+    doc.fillColor('#999999').fontSize(8).text('PHOTO', photoX, y + 104, { width: 84, align: 'center' });
+  }
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(13)
+    .text(holder.full_name, x + 12, y + 168, { width: inner, align: 'center', height: 32, ellipsis: true });
+
+  doc.font('Helvetica').fontSize(9).fillColor('#333333');
+  if (holder.usn) {
+    doc.text(`USN: ${holder.usn}`, x + 12, y + 200, { width: inner, align: 'center' });
+  }
+  doc.text(`${holder.college_name} (${holder.college_code})`, x + 12, y + 213, {
+    width: inner, align: 'center', height: 22, ellipsis: true,
+  });
+
+  if (holder.events.length > 0) {
+    doc.fontSize(7.5).fillColor('#555555')
+      .text(holder.events.join(' • '), x + 12, y + 238, { width: inner, align: 'center', height: 20, ellipsis: true });
+  }
+
+  if (qrPng) {
+    doc.image(qrPng, x + (BADGE_WIDTH - 80) / 2, y + 262, { width: 80 });
+    doc.fontSize(6.5).fillColor('#777777')
+      .text(holder.qr_code, x + 12, y + 345, { width: inner, align: 'center' });
+  }
+
+  doc.restore();
+};
+
+/**
+ * Load photo and QR image for a holder
+ * @param {Object} holder
+ */
+const loadBadgeAssets = async (holder) => {
+  const payload = badgeQrPayload(holder);
+  return {
+    photo: await fetchPhoto(holder.passport_photo_url),
+    qrPng: payload ? await QRCode.toBuffer(payload, { margin: 1, width: 240 }) : null,
+  };
+};
+
+/**
+ * Render badges to a PDF (the document is ended; pipe it to the response)
+ * @param {Array} holders - Rows from getBadgeHolders
+ * @param {Object} options
+ * @param {String} options.layout - 'single' (one badge-sized page each) | 'a4' (four per page)
+ * @returns {Promise<PDFDocument>}
+ */
+const renderBadgesPdf = async (holders, { layout = 'a4' } = {}) => {
+  const pageOptions = layout === 'single'
+    ? { size: [BADGE_WIDTH, BADGE_HEIGHT], margin: 0 }
+    : { size: 'A4', margin: 0 };
+
+  const doc = new PDFDocument({ ...pageOptions, autoFirstPage: false });
+
+  for (const [index, holder] of holders.entries()) {
+    const slot = layout === 'single' ? 0 : index % A4_SLOTS.length;
+    if (slot === 0) {
+      doc.addPage(pageOptions);
+    }
+
+    const { photo, qrPng } = await loadBadgeAssets(holder);
+    const [x, y] = layout === 'single' ? [0, 0] : A4_SLOTS[slot];
+    drawBadge(doc, holder, photo, qrPng, x, y);
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  getBadgeHolders,
+  renderBadgesPdf,
+};
@@ -0,0 +1,106 @@
+/**
+ * Blob Storage Links
+ * Stored document/photo URLs point at the private `student-documents`
+ * container; staff screens get short-lived read-only SAS links instead.
+ * Uploads use the same flow as the registration routes: the client PUTs to a
+ * write SAS URL, then the server checks the blob when finalizing.
+ */
+const { BlobServiceClient, generateBlobSASQueryParameters, BlobSASPermissions, StorageSharedKeyCredential } = require('@azure/storage-blob');
+
+const STORAGE_ACCOUNT_NAME = process.env.AZURE_STORAGE_ACCOUNT_NAME;
+const STORAGE_ACCOUNT_KEY = process.env.AZURE_STORAGE_ACCOUNT_KEY;
+const CONTAINER_NAME = 'student-documents';
+const READ_EXPIRY_MINUTES = 10;
+
+/**
+ * Read-only SAS link for a stored blob URL
+ * @param {String} blobUrl - https://<account>.blob.core.windows.net/<container>/<blob>
+ * @returns {String|null} null when the URL is empty or storage is not configured
+ */
+const generateReadSasUrl = (blobUrl) => {
+  if (!blobUrl || !STORAGE_ACCOUNT_NAME || !STORAGE_ACCOUNT_KEY) {
+    return null;
+  }
+
+  const url = new URL(blobUrl);
+  const [containerName, ...blobParts] = url.pathname.replace(/^\/+/, '').split('/');
+
+  const sharedKeyCredential = new StorageSharedKeyCredential(
+    STORAGE_ACCOUNT_NAME,
+    STORAGE_ACCOUNT_KEY
+  );
+
+  const sasToken = generateBlobSASQueryParameters(
+    {
+      containerName,
+      blobName: decodeURIComponent(blobParts.join('/')),
+      permissions: BlobSASPermissions.parse('r'),
+      startsOn: new Date(Date.now() - 5 * 60 * 1000),
+      expiresOn: new Date(Date.now() + READ_EXPIRY_MINUTES * 60 * 1000),
+      version: '2021-08-06',
+    },
+    sharedKeyCredential
+  ).toString();
+
+  return `${url.origin}${url.pathname}?${sasToken}`;
+};
+
+/**
+ * Permanent (non-SAS) URL of a blob in the documents container
+ * @param {String} blobPath
+ */
+const getBlobUrl = (blobPath) =>
+  `https://${STORAGE_ACCOUNT_NAME}.blob.core.windows.net/${CONTAINER_NAME}/${blobPath}`;
+
+/**
+ * Create/write SAS URL for a client-side upload
+ * @param {String} blobPath - Path inside the documents container
+ * @param {Number} expiryMinutes
+ * @returns {String}
+ */
+const generateUploadSasUrl = (blobPath, expiryMinutes) => {
+  const sharedKeyCredential = new StorageSharedKeyCredential(
+    STORAGE_ACCOUNT_NAME,
+    STORAGE_ACCOUNT_KEY
+  );
+
+  const sasToken = generateBlobSASQueryParameters(
+    {
+      containerName: CONTAINER_NAME,
+      blobName: blobPath,
+      permissions: BlobSASPermissions.parse('cw'),
+      startsOn: new Date(Date.now() - 5 * 60 * 1000),
+      expiresOn: new Date(Date.now() + expiryMinutes * 60 * 1000),
+      version: '2021-08-06',
+    },
+    sharedKeyCredential
+  ).toString();
+
+  return `${getBlobUrl(blobPath)}?${sasToken}`;
+};
+
+/**
+ * Size of an uploaded blob
+ * @param {String} blobPath
+ * @returns {Promise<Number|null>} null when the blob does not exist
+ */
+const getBlobSize = async (blobPath) => {
+  const blobServiceClient = BlobServiceClient.fromConnectionString(
+    `DefaultEndpointsProtocol=https;AccountName=${STORAGE_ACCOUNT_NAME};AccountKey=${STORAGE_ACCOUNT_KEY};EndpointSuffix=core.windows.net`
+  );
+  const blobClient = blobServiceClient.getContainerClient(CONTAINER_NAME).getBlobClient(blobPath);
+
+  if (!(await blobClient.exists())) {
+    return null;
+  }
+
+  const properties = await blobClient.getProperties();
+  return properties.contentLength;
+};
+
+module.exports = {
+  generateReadSasUrl,
+  getBlobUrl,
+  generateUploadSasUrl,
+  getBlobSize,
+};
@@ -0,0 +1,311 @@
+/**
+ * Certificates
+ * Issues PARTICIPATION / MERIT certificate rows with a verification code and
+ * renders them to PDF (pdfkit) with one template per certificate type. The
+ * QR on each certificate opens the public verification page for its code.
+ */
+
+const crypto = require('crypto');
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const FEST_NAME = 'VTU Fest 2026';
+const VERIFY_URL = process.env.CERTIFICATE_VERIFY_URL || 'https://vtufest2026.acharyahabba.com/verify-certificate';
+
+// Unambiguous characters only (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const POSITION_LABELS = { 1: 'First', 2: 'Second', 3: 'Third' };
+
+const TEMPLATES = {
+  PARTICIPATION: {
+    title: 'Certificate of Participation',
+    accent: '#1f4e79',
+    body: (cert) => (cert.person_type === 'ACCOMPANIST'
+      ? `for accompanying the contingent of ${cert.college_name} at ${FEST_NAME}.`
+      : `for participating in ${FEST_NAME} representing ${cert.college_name}.`),
+  },
+  MERIT: {
+    title: 'Certificate of Merit',
+    accent: '#8a6d1f',
+    body: (cert) => `for securing ${POSITION_LABELS[cert.position]} place in ${cert.event_name} `
+      + `at ${FEST_NAME}, representing ${cert.college_name}.`,
+  },
+};
+
+/**
+ * Random verification code, e.g. VTU26-7KQ4-M2XD-9HPA (31^12 space, collisions
+ * are left to the UNIQUE constraint)
+ * @returns {String}
+ */
+const generateVerificationCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map(b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return `VTU26-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+/**
+ * Normalize a code typed by a user before lookup
+ * @param {String} code
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Create missing certificates for a college (idempotent).
+ * Merit certificates follow the currently published results: positions are
+ * updated in place (same code) and certificates for withdrawn placements removed.
+ * @param {Object} db - pg client inside a transaction
+ * @param {Number} collegeId
+ * @returns {Promise<Object>} { participation, merit }
+ */
+const issueCollegeCertificates = async (db, collegeId) => {
+  const participants = await db.query(
+    `SELECT m.id, m.full_name
+     FROM final_event_participants_master m
+     WHERE m.college_id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM certificates c
+         WHERE c.participant_id = m.id AND c.certificate_type = 'PARTICIPATION'
+       )`,
+    [collegeId]
+  );
+
+  for (const p of participants.rows) {
+    await db.query(
+      `INSERT INTO certificates (verification_code, certificate_type, participant_id, college_id, recipient_name)
+       VALUES ($1, 'PARTICIPATION', $2, $3, $4)
+       ON CONFLICT (participant_id) WHERE certificate_type = 'PARTICIPATION' DO NOTHING`,
+      [generateVerificationCode(), p.id, collegeId, p.full_name]
+    );
+  }
+
+  const placements = await db.query(
+    `SELECT er.event_id, er.position, m.id AS participant_id, m.full_name
+     FROM event_results er
+     INNER JOIN final_event_participants_master m ON m.id = er.participant_id
+     WHERE er.college_id = $1
+     UNION
+     SELECT er.event_id, er.position, m.id AS participant_id, m.full_name
+     FROM event_results er
+     INNER JOIN final_event_team_members tm
+       ON tm.final_team_id = er.final_team_id AND tm.event_type = 'PARTICIPANT'
+     INNER JOIN final_event_participants_master m ON m.id = tm.participant_id
+     WHERE er.college_id = $1`,
+    [collegeId]
+  );
+
+  await db.query(
+    `DELETE FROM certificates c
+     WHERE c.college_id = $1
+       AND c.certificate_type = 'MERIT'
+       AND NOT (c.participant_id, c.event_id) IN (
+         SELECT x.participant_id, x.event_id
+         FROM unnest($2::int[], $3::int[]) AS x(participant_id, event_id)
+       )`,
+    [
+      collegeId,
+      placements.rows.map(p => p.participant_id),
+      placements.rows.map(p => p.event_id),
+    ]
+  );
+
+  for (const p of placements.rows) {
+    await db.query(
+      `INSERT INTO certificates
+         (verification_code, certificate_type, participant_id, college_id, event_id, position, recipient_name)
+       VALUES ($1, 'MERIT', $2, $3, $4, $5, $6)
+       ON CONFLICT (participant_id, event_id) WHERE certificate_type = 'MERIT'
+       DO UPDATE SET position = EXCLUDED.position`,
+      [generateVerificationCode(), p.participant_id, collegeId, p.event_id, p.position, p.full_name]
+    );
+  }
+
+  return {
+    participation: participants.rows.length,
+    merit: placements.rows.length,
+  };
+};
+
+/**
+ * Bring an event's existing merit certificates in line with its published
+ * results: withdrawn placements lose their certificate, changed positions are
+ * updated in place (same code). New placements are issued by issueCollegeCertificates.
+ * Run in the same transaction that publishes or withdraws the results.
+ * @param {Object} db - pg client inside a transaction
+ * @param {Number} eventId
+ * @returns {Promise<Object>} { removed, updated }
+ */
+const syncEventMeritCertificates = async (db, eventId) => {
+  const removed = await db.query(
+    `DELETE FROM certificates c
+     WHERE c.event_id = $1
+       AND c.certificate_type = 'MERIT'
+       AND NOT EXISTS (
+         SELECT 1
+         FROM event_results er
+         LEFT JOIN final_event_team_members tm
+           ON tm.final_team_id = er.final_team_id AND tm.event_type = 'PARTICIPANT'
+         WHERE er.event_id = c.event_id
+           AND (er.participant_id = c.participant_id OR tm.participant_id = c.participant_id)
+       )`,
+    [eventId]
+  );
+
+  const updated = await db.query(
+    `UPDATE certificates c
+     SET position = er.position
+     FROM event_results er
+     LEFT JOIN final_event_team_members tm
+       ON tm.final_team_id = er.final_team_id AND tm.event_type = 'PARTICIPANT'
+     WHERE c.event_id = $1
+       AND c.certificate_type = 'MERIT'
+       AND er.event_id = c.event_id
+       AND (er.participant_id = c.participant_id OR tm.participant_id = c.participant_id)
+       AND c.position <> er.position`,
+    [eventId]
+  );
+
+  return { removed: removed.rowCount, updated: updated.rowCount };
+};
+
+const CERTIFICATE_SELECT = `
+  SELECT
+    c.id,
+    c.verification_code,
+    c.certificate_type,
+    c.recipient_name,
+    c.position,
+    c.issued_at,
+    m.person_type,
+    m.usn,
+    col.college_name,
+    col.college_code,
+    e.name AS event_name
+  FROM certificates c
+  INNER JOIN final_event_participants_master m ON c.participant_id = m.id
+  INNER JOIN colleges col ON c.college_id = col.id
+  LEFT JOIN events e ON c.event_id = e.id`;
+
+/**
+ * Look up one certificate by verification code
+ * @param {Object} db - pg pool or client
+ * @param {String} code
+ * @returns {Promise<Object|null>}
+ */
+const getCertificateByCode = async (db, code) => {
+  const result = await db.query(
+    `${CERTIFICATE_SELECT} WHERE c.verification_code = $1`,
+    [normalizeCode(code)]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * All certificates of a college, participation first
+ * @param {Object} db - pg pool or client
+ * @param {Number} collegeId
+ * @returns {Promise<Array>}
+ */
+const getCollegeCertificates = async (db, collegeId) => {
+  const result = await db.query(
+    `${CERTIFICATE_SELECT}
+     WHERE c.college_id = $1
+     ORDER BY c.certificate_type DESC, c.recipient_name, e.display_order`,
+    [collegeId]
+  );
+  return result.rows;
+};
+
+/**
+ * Render a certificate to a PDF stream (caller pipes it; the document is already ended)
+ * @param {Object} cert - Row from getCertificateByCode / getCollegeCertificates
+ * @returns {Promise<PDFDocument>}
+ */
+const renderCertificatePdf = async (cert) => {
+  const template = TEMPLATES[cert.certificate_type];
+  const verifyLink = `${VERIFY_URL}?code=${encodeURIComponent(cert.verification_code)}`;
+  const qrPng = await QRCode.toBuffer(verifyLink, { margin: 1, width: 160 });
+
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+  const { width, height } = doc.page;
+
+  doc.rect(20, 20, width - 40, height - 40).lineWidth(4).stroke(template.accent);
+  doc.rect(30, 30, width - 60, height - 60).lineWidth(1).stroke(template.accent);
+
+  doc.fillColor(template.accent).font('Helvetica-Bold').fontSize(16)
+    .text(FEST_NAME.toUpperCase(), 50, 70, { align: 'center', characterSpacing: 2 });
+
+  doc.fontSize(34).text(template.title, 50, 110, { align: 'center' });
+
+  doc.fillColor('#333333').font('Helvetica').fontSize(14)
+    .text('This is to certify that', 50, 190, { align: 'center' });
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(28)
+    .text(cert.recipient_name, 50, 220, { align: 'center' });
+
+  if (cert.usn) {
+    doc.font('Helvetica').fontSize(12).fillColor('#555555')
+      .text(`USN: ${cert.usn}`, 50, 258, { align: 'center' });
+  }
+
+  doc.font('Helvetica').fontSize(15).fillColor('#333333')
+    .text(template.body(cert), 120, 290, { align: 'center', width: width - 240 });
+
+  doc.image(qrPng, width - 170, height - 180, { width: 100 });
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Verification code: ${cert.verification_code}`, 60, height - 95)
+    .text(`Verify at ${VERIFY_URL}`, 60, height - 80)
+    .text(`Issued on ${new Date(cert.issued_at).toDateString()}`, 60, height - 65);
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * File name for a certificate inside a ZIP / download
+ * @param {Object} cert
+ */
+const certificateFileName = (cert) => {
+  const safeName = cert.recipient_name.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  const suffix = cert.certificate_type === 'MERIT'
+    ? `merit_${cert.event_name.replace(/[^A-Za-z0-9]+/g, '_')}`
+    : 'participation';
+  return `${safeName}_${suffix}_${cert.verification_code}.pdf`;
+};
+
+/**
+ * Stream certificates as a ZIP download
+ * @param {Object} res - Express response
+ * @param {Array} certs - Rows from getCollegeCertificates
+ * @param {String} zipName - Download file name
+ */
+const streamCertificatesZip = async (res, certs, zipName) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  archive.on('error', (err) => {
+    console.error('Certificate ZIP error:', err);
+    res.destroy(err);
+  });
+
+  res.attachment(zipName);
+  archive.pipe(res);
+
+  for (const cert of certs) {
+    archive.append(await renderCertificatePdf(cert), { name: certificateFileName(cert) });
+  }
+
+  await archive.finalize();
+};
+
+module.exports = {
+  normalizeCode,
+  issueCollegeCertificates,
+  syncEventMeritCertificates,
+  getCertificateByCode,
+  getCollegeCertificates,
+  renderCertificatePdf,
+  certificateFileName,
+  streamCertificatesZip,
+};
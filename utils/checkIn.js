@@ -0,0 +1,121 @@
+/**
+ * Gate Check-in
+ * Arrival of final_event_participants_master rows at the fest gate. A
+ * participant checks in once; later scans are reported as duplicates with
+ * the original arrival details. Every scan outcome goes to gate_scan_log.
+ */
+const { generateReadSasUrl } = require('./blobStorage');
+
+// Scan rejection reasons (from findParticipantByScan) -> status + message for the desk
+const SCAN_REJECTIONS = {
+  MALFORMED: { status: 400, message: 'Not a VTU Fest participant QR code' },
+  UNKNOWN_KEY: { status: 400, message: 'QR code was signed with an unknown key. Ask the participant to reload their QR.' },
+  BAD_SIGNATURE: { status: 400, message: 'QR code signature is invalid. The code may be forged; verify identity manually.' },
+  EXPIRED: { status: 400, message: 'QR code has expired. Ask the participant to reload their QR.' },
+  NOT_FOUND: { status: 404, message: 'No participant is registered with this QR code' },
+};
+
+const CHECK_IN_METHODS = ['QR', 'MANUAL'];
+
+/**
+ * Identity card shown to the volunteer before confirming arrival
+ * @param {Object} db - pg pool or client
+ * @param {Number} participantId
+ * @returns {Promise<Object|null>}
+ */
+const getParticipantIdentity = async (db, participantId) => {
+  const result = await db.query(
+    `SELECT
+       m.id AS participant_id,
+       m.college_id,
+       m.person_type,
+       m.full_name,
+       m.usn,
+       m.college_code,
+       m.college_name,
+       m.accompanist_type,
+       m.is_team_manager,
+       m.passport_photo_url,
+       COALESCE((
+         SELECT array_agg(DISTINCT e.name)
+         FROM event_assignments ea
+         INNER JOIN events e ON ea.event_id = e.id AND e.is_active = true
+         WHERE ea.college_id = m.college_id
+           AND (ea.student_id = m.student_id OR ea.accompanist_id = m.accompanist_id)
+       ), '{}') AS events
+     FROM final_event_participants_master m
+     WHERE m.id = $1`,
+    [participantId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { passport_photo_url, ...identity } = result.rows[0];
+  return { ...identity, photo_url: generateReadSasUrl(passport_photo_url) };
+};
+
+/**
+ * Existing check-in of a participant, with the volunteer who recorded it
+ * @param {Object} db - pg pool or client
+ * @param {Number} participantId
+ * @returns {Promise<Object|null>}
+ */
+const getCheckIn = async (db, participantId) => {
+  const result = await db.query(
+    `SELECT gc.checked_in_at, gc.desk, gc.method, gc.device_id, u.full_name AS checked_in_by
+     FROM gate_checkins gc
+     LEFT JOIN users u ON gc.volunteer_user_id = u.id
+     WHERE gc.participant_id = $1`,
+    [participantId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Record arrival (first one wins)
+ * @param {Object} db - pg pool or client
+ * @param {Object} checkIn - { participant_id, college_id, volunteer_user_id, desk, method,
+ *                             checked_in_at? (offline scan time), device_id? (offline scanner) }
+ * @returns {Promise<Object>} { created: true, check_in } or { created: false, check_in: <existing> }
+ */
+const recordCheckIn = async (db, {
+  participant_id, college_id, volunteer_user_id, desk, method, checked_in_at = null, device_id = null,
+}) => {
+  const inserted = await db.query(
+    `INSERT INTO gate_checkins (participant_id, college_id, volunteer_user_id, desk, method, checked_in_at, device_id)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamp, NOW()), $7)
+     ON CONFLICT (participant_id) DO NOTHING
+     RETURNING checked_in_at, desk, method, device_id`,
+    [participant_id, college_id, volunteer_user_id, desk, method, checked_in_at, device_id]
+  );
+
+  if (inserted.rows.length > 0) {
+    return { created: true, check_in: inserted.rows[0] };
+  }
+
+  return { created: false, check_in: await getCheckIn(db, participant_id) };
+};
+
+/**
+ * Append a scan outcome to gate_scan_log
+ * @param {Object} db - pg pool or client
+ * @param {Object} entry - { volunteer_user_id, desk, scanned_text, participant_id, result }
+ */
+const logScan = async (db, { volunteer_user_id, desk, scanned_text = null, participant_id = null, result }) => {
+  await db.query(
+    `INSERT INTO gate_scan_log (volunteer_user_id, desk, scanned_text, participant_id, result)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [volunteer_user_id, desk, scanned_text ? String(scanned_text).slice(0, 512) : null, participant_id, result]
+  );
+};
+
+module.exports = {
+  SCAN_REJECTIONS,
+  CHECK_IN_METHODS,
+  getParticipantIdentity,
+  getCheckIn,
+  recordCheckIn,
+  logScan,
+};
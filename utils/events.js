@@ -0,0 +1,349 @@
+/**
+ * Event Catalogue Helpers
+ * Events live in the `events` table; assignments of students/accompanists
+ * to events live in `event_assignments`. Per-event rules (team size,
+ * accompanist limit/types, participant genders) and the per-student event
+ * caps are checked here so that assign-events and final-approval apply the
+ * same logic.
+ */
+
+const EVENT_COLUMNS = `id, slug, name, category, min_team_size, max_team_size,
+  max_accompanists, allowed_accompanist_types, allowed_genders, is_group_event, is_active, display_order`;
+
+const ACCOMPANIST_KINDS = ['student', 'faculty', 'professional'];
+const GENDERS = ['Male', 'Female', 'Other'];
+
+/**
+ * Read a non-negative integer cap from the environment (0 = no limit)
+ * @param {String} name - Env var name
+ * @param {Number} fallback - Default cap
+ */
+const readCap = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+// Active events one student may be entered in, per role
+const STUDENT_EVENT_LIMITS = {
+  PARTICIPANT: readCap('MAX_EVENTS_PER_STUDENT', 3),
+  ACCOMPANIST: readCap('MAX_ACCOMPANYING_PER_STUDENT', 3),
+};
+
+// Legacy per-event table names that don't follow event_<slug> (see 008_event_catalogue.sql)
+const LEGACY_EVENT_TABLES = {
+  classical_instrumental_percussion: 'event_classical_instr_percussion',
+  classical_instrumental_non_percussion: 'event_classical_instr_non_percussion',
+  folk_tribal_dance: 'event_folk_dance',
+};
+
+/**
+ * Pre-catalogue event key (the old event_* table name) still returned to
+ * existing clients; events added since follow the event_<slug> pattern
+ * @param {String} slug
+ * @returns {String}
+ */
+const legacyEventKey = (slug) => LEGACY_EVENT_TABLES[slug] || `event_${slug}`;
+
+/**
+ * All events, in display order
+ * @param {Object} db - pg pool or client
+ * @param {Object} options
+ * @param {Boolean} options.includeInactive - Also return retired events (default false)
+ * @returns {Promise<Array>}
+ */
+const listEvents = async (db, { includeInactive = false } = {}) => {
+  const result = await db.query(
+    `SELECT ${EVENT_COLUMNS}
+     FROM events
+     ${includeInactive ? '' : 'WHERE is_active = true'}
+     ORDER BY display_order, name`
+  );
+  return result.rows;
+};
+
+/**
+ * Look up one event by slug (active or retired)
+ * @param {Object} db - pg pool or client
+ * @param {String} slug - e.g. 'folk_tribal_dance'
+ * @returns {Promise<Object|null>}
+ */
+const getEventBySlug = async (db, slug) => {
+  if (!slug || typeof slug !== 'string') {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT ${EVENT_COLUMNS} FROM events WHERE slug = $1`,
+    [slug]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Rule summary for clients
+ * @param {Object} event - events row
+ */
+const describeEventRules = (event) => ({
+  min_team_size: event.min_team_size,
+  max_team_size: event.max_team_size,
+  max_accompanists: event.max_accompanists,
+  allowed_accompanist_types: event.allowed_accompanist_types,
+  allowed_genders: event.allowed_genders,
+  is_group_event: event.is_group_event,
+});
+
+/**
+ * Check whether one more person may be assigned to an event.
+ * Counts are the college's current assignments for that event.
+ * @param {Object} event - events row
+ * @param {Object} counts - { participant_count, accompanist_count }
+ * @param {Object} person - { event_type, gender, accompanist_kind }
+ * @returns {String|null} Reason the assignment is not allowed, or null
+ */
+const checkAssignmentRules = (event, counts, person) => {
+  if (person.event_type === 'PARTICIPANT') {
+    if (counts.participant_count >= event.max_team_size) {
+      return `${event.name} allows at most ${event.max_team_size} participant(s)`;
+    }
+
+    if (event.allowed_genders && !event.allowed_genders.includes(person.gender)) {
+      return `${event.name} is open only to: ${event.allowed_genders.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  if (counts.accompanist_count >= event.max_accompanists) {
+    return event.max_accompanists === 0
+      ? `${event.name} does not allow accompanists`
+      : `${event.name} allows at most ${event.max_accompanists} accompanist(s)`;
+  }
+
+  if (event.allowed_accompanist_types && !event.allowed_accompanist_types.includes(person.accompanist_kind)) {
+    return `${event.name} accepts only these accompanist types: ${event.allowed_accompanist_types.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * All rule violations for one event's assignments in a college
+ * @param {Object} event - events row
+ * @param {Array} assignments - Rows with event_type, student_id, full_name, gender, accompanist_kind
+ * @param {Object} team - event_teams row for group events (null if not created yet)
+ * @returns {Array<String>}
+ */
+const evaluateEventRules = (event, assignments, team = null) => {
+  const violations = [];
+  const participants = assignments.filter(a => a.event_type === 'PARTICIPANT');
+  const accompanists = assignments.filter(a => a.event_type === 'ACCOMPANIST');
+
+  if (participants.length < event.min_team_size) {
+    violations.push(`Needs at least ${event.min_team_size} participant(s), has ${participants.length}`);
+  }
+
+  if (participants.length > event.max_team_size) {
+    violations.push(`Allows at most ${event.max_team_size} participant(s), has ${participants.length}`);
+  }
+
+  if (accompanists.length > event.max_accompanists) {
+    violations.push(`Allows at most ${event.max_accompanists} accompanist(s), has ${accompanists.length}`);
+  }
+
+  if (event.allowed_genders) {
+    for (const p of participants.filter(a => !event.allowed_genders.includes(a.gender))) {
+      violations.push(`${p.full_name}: gender not eligible (open to ${event.allowed_genders.join(', ')})`);
+    }
+  }
+
+  if (event.allowed_accompanist_types) {
+    for (const a of accompanists.filter(x => !event.allowed_accompanist_types.includes(x.accompanist_kind))) {
+      violations.push(`${a.full_name}: accompanist type "${a.accompanist_kind}" not allowed`);
+    }
+  }
+
+  if (event.is_group_event) {
+    if (!team) {
+      violations.push('Team name and captain are required for group events');
+    } else if (!participants.some(p => p.student_id && p.student_id === team.captain_student_id)) {
+      violations.push('Team captain must be one of the participants');
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Assignments of a college with the fields the rules need.
+ * accompanist_kind is 'student' for student accompanists, else accompanists.accompanist_type.
+ * @param {Object} db - pg pool or client
+ * @param {Number} collegeId
+ * @param {Number} eventId - Optional: only this event
+ * @returns {Promise<Array>}
+ */
+const getCollegeAssignments = async (db, collegeId, eventId = null) => {
+  const result = await db.query(
+    `SELECT
+       ea.event_id,
+       ea.event_type,
+       ea.person_type,
+       ea.student_id,
+       ea.accompanist_id,
+       ea.full_name,
+       s.gender,
+       CASE WHEN ea.person_type = 'student' THEN 'student' ELSE a.accompanist_type END AS accompanist_kind
+     FROM event_assignments ea
+     LEFT JOIN students s ON ea.student_id = s.id
+     LEFT JOIN accompanists a ON ea.accompanist_id = a.id
+     WHERE ea.college_id = $1
+       AND ($2::int IS NULL OR ea.event_id = $2)`,
+    [collegeId, eventId]
+  );
+  return result.rows;
+};
+
+/**
+ * Teams a college has set up for group events
+ * @param {Object} db - pg pool or client
+ * @param {Number} collegeId
+ * @param {Number} eventId - Optional: only this event
+ * @returns {Promise<Array>}
+ */
+const getCollegeTeams = async (db, collegeId, eventId = null) => {
+  const result = await db.query(
+    `SELECT id, event_id, college_id, team_name, captain_student_id, created_at, updated_at
+     FROM event_teams
+     WHERE college_id = $1
+       AND ($2::int IS NULL OR event_id = $2)`,
+    [collegeId, eventId]
+  );
+  return result.rows;
+};
+
+/**
+ * Per-event rule violations for every active event the college has entered
+ * @param {Object} db - pg pool or client
+ * @param {Number} collegeId
+ * @returns {Promise<Array>} [{ event_slug, event_name, violations: [...] }]
+ */
+const getCollegeRuleViolations = async (db, collegeId) => {
+  const events = await listEvents(db);
+  const assignments = await getCollegeAssignments(db, collegeId);
+  const teams = await getCollegeTeams(db, collegeId);
+
+  const report = [];
+  for (const event of events) {
+    const eventAssignments = assignments.filter(a => a.event_id === event.id);
+
+    // Events the college has not entered are not checked
+    if (eventAssignments.length === 0) {
+      continue;
+    }
+
+    const team = teams.find(t => t.event_id === event.id) || null;
+    const violations = evaluateEventRules(event, eventAssignments, team);
+    if (violations.length > 0) {
+      report.push({ event_slug: event.slug, event_name: event.name, violations });
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Number of active events each student of a college is entered in
+ * @param {Object} db - pg pool or client
+ * @param {Number} collegeId
+ * @param {Number} studentId - Optional: only this student
+ * @returns {Promise<Array>} [{ student_id, full_name, participant_events, accompanying_events }]
+ */
+const getStudentLoads = async (db, collegeId, studentId = null) => {
+  const result = await db.query(
+    `SELECT
+       ea.student_id,
+       MIN(ea.full_name) AS full_name,
+       COUNT(*) FILTER (WHERE ea.event_type = 'PARTICIPANT')::int AS participant_events,
+       COUNT(*) FILTER (WHERE ea.event_type = 'ACCOMPANIST')::int AS accompanying_events
+     FROM event_assignments ea
+     INNER JOIN events e ON ea.event_id = e.id AND e.is_active = true
+     WHERE ea.college_id = $1
+       AND ea.student_id IS NOT NULL
+       AND ($2::int IS NULL OR ea.student_id = $2)
+     GROUP BY ea.student_id`,
+    [collegeId, studentId]
+  );
+  return result.rows;
+};
+
+/**
+ * Check whether a student may take on one more event in the given role
+ * @param {Object} load - getStudentLoads row (or undefined when unassigned)
+ * @param {String} eventType - 'PARTICIPANT' | 'ACCOMPANIST'
+ * @returns {String|null} Reason the assignment is not allowed, or null
+ */
+const checkStudentLoad = (load, eventType) => {
+  const limit = STUDENT_EVENT_LIMITS[eventType];
+  if (!limit) {
+    return null;
+  }
+
+  const current = load
+    ? (eventType === 'PARTICIPANT' ? load.participant_events : load.accompanying_events)
+    : 0;
+
+  if (current >= limit) {
+    return eventType === 'PARTICIPANT'
+      ? `A student can participate in at most ${limit} event(s)`
+      : `A student can accompany in at most ${limit} event(s)`;
+  }
+
+  return null;
+};
+
+/**
+ * Students of a college over either per-student cap
+ * @param {Object} db - pg pool or client
+ * @param {Number} collegeId
+ * @returns {Promise<Array>} [{ student_id, full_name, violations: [...] }]
+ */
+const getStudentLoadViolations = async (db, collegeId) => {
+  const loads = await getStudentLoads(db, collegeId);
+  const { PARTICIPANT: maxParticipant, ACCOMPANIST: maxAccompanying } = STUDENT_EVENT_LIMITS;
+
+  const report = [];
+  for (const load of loads) {
+    const violations = [];
+
+    if (maxParticipant && load.participant_events > maxParticipant) {
+      violations.push(`Participates in ${load.participant_events} events, limit is ${maxParticipant}`);
+    }
+
+    if (maxAccompanying && load.accompanying_events > maxAccompanying) {
+      violations.push(`Accompanies in ${load.accompanying_events} events, limit is ${maxAccompanying}`);
+    }
+
+    if (violations.length > 0) {
+      report.push({ student_id: load.student_id, full_name: load.full_name, violations });
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  ACCOMPANIST_KINDS,
+  GENDERS,
+  STUDENT_EVENT_LIMITS,
+  legacyEventKey,
+  listEvents,
+  getEventBySlug,
+  describeEventRules,
+  checkAssignmentRules,
+  evaluateEventRules,
+  getCollegeAssignments,
+  getCollegeTeams,
+  getCollegeRuleViolations,
+  getStudentLoads,
+  checkStudentLoad,
+  getStudentLoadViolations,
+};
@@ -0,0 +1,270 @@
+/**
+ * Helpdesk Tickets
+ * Tickets are raised by students, managers and principals and worked by
+ * VOLUNTEER_HELPDESK users; escalated tickets go to ADMIN. Raisers are
+ * emailed on every visible update (staff comment, status change).
+ */
+const { sendEmailViaBrevo } = require('./mailer');
+const { generateReadSasUrl } = require('./blobStorage');
+
+const TICKET_CATEGORIES = [
+  'REGISTRATION',
+  'PAYMENT',
+  'EVENTS',
+  'ACCOMMODATION',
+  'ID_CARD_QR',
+  'TECHNICAL',
+  'OTHER',
+];
+
+const TICKET_STATUSES = ['OPEN', 'IN_PROGRESS', 'ESCALATED', 'RESOLVED'];
+
+const TICKET_URL = process.env.HELPDESK_TICKET_URL || 'https://vtufest2026.acharyahabba.com/helpdesk';
+
+/**
+ * Escape user-entered text for email HTML
+ * @param {String} text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Who is acting, from req.user (students and users-table accounts)
+ * @param {Object} user - req.user
+ * @returns {Object} { student_id, user_id, name, role }
+ */
+const ticketActor = (user) => ({
+  student_id: user.role === 'STUDENT' ? user.student_id : null,
+  user_id: user.role === 'STUDENT' ? null : user.id,
+  name: user.full_name || 'Unknown',
+  role: user.role,
+});
+
+/**
+ * Whether a ticket was raised by this account
+ * @param {Object} ticket
+ * @param {Object} user - req.user
+ */
+const isTicketRaiser = (ticket, user) => (user.role === 'STUDENT'
+  ? ticket.raised_by_student_id === user.student_id
+  : ticket.raised_by_user_id === user.id);
+
+/**
+ * Load a ticket with the assignee's name
+ * @param {Object} db - pg pool or client
+ * @param {Number} ticketId
+ * @param {Boolean} forUpdate - Lock the row (inside a transaction)
+ * @returns {Promise<Object|null>}
+ */
+const getTicket = async (db, ticketId, forUpdate = false) => {
+  if (!Number.isInteger(ticketId)) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT t.*, u.full_name AS assigned_to_name, c.college_code
+     FROM helpdesk_tickets t
+     LEFT JOIN users u ON t.assigned_to = u.id
+     LEFT JOIN colleges c ON t.college_id = c.id
+     WHERE t.id = $1
+     ${forUpdate ? 'FOR UPDATE OF t' : ''}`,
+    [ticketId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Ticket with comments, status history and attachments (read links)
+ * @param {Object} db - pg pool or client
+ * @param {Object} ticket - From getTicket
+ * @param {Boolean} includeInternal - Include internal staff notes
+ * @returns {Promise<Object>}
+ */
+const getTicketDetail = async (db, ticket, includeInternal) => {
+  const commentsResult = await db.query(
+    `SELECT id, author_name, author_role, body, is_internal, created_at
+     FROM helpdesk_ticket_comments
+     WHERE ticket_id = $1 AND ($2 OR is_internal = false)
+     ORDER BY created_at, id`,
+    [ticket.id, includeInternal]
+  );
+
+  const historyResult = await db.query(
+    `SELECT from_status, to_status, changed_by_name, changed_by_role, note, changed_at
+     FROM helpdesk_ticket_history
+     WHERE ticket_id = $1
+     ORDER BY changed_at, id`,
+    [ticket.id]
+  );
+
+  const attachmentsResult = await db.query(
+    `SELECT id, blob_url, file_name, size_bytes, uploaded_by, uploaded_at
+     FROM helpdesk_ticket_attachments
+     WHERE ticket_id = $1
+     ORDER BY uploaded_at, id`,
+    [ticket.id]
+  );
+
+  return {
+    ...ticket,
+    comments: commentsResult.rows,
+    history: historyResult.rows,
+    attachments: attachmentsResult.rows.map(({ blob_url, ...attachment }) => ({
+      ...attachment,
+      url: generateReadSasUrl(blob_url),
+    })),
+  };
+};
+
+/**
+ * Append a status change to the ticket history
+ * @param {Object} db - pg pool or client
+ * @param {Number} ticketId
+ * @param {String|null} fromStatus
+ * @param {String} toStatus
+ * @param {Object} actor - From ticketActor
+ * @param {String} note
+ */
+const recordTicketHistory = async (db, ticketId, fromStatus, toStatus, actor, note = null) => {
+  await db.query(
+    `INSERT INTO helpdesk_ticket_history (ticket_id, from_status, to_status, changed_by_name, changed_by_role, note)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [ticketId, fromStatus, toStatus, actor.name, actor.role, note]
+  );
+};
+
+/**
+ * Move a ticket to a new status and record it
+ * @param {Object} db - pg client inside a transaction
+ * @param {Object} ticket - Locked row from getTicket
+ * @param {String} toStatus
+ * @param {Object} actor - From ticketActor
+ * @param {String} note
+ */
+const changeTicketStatus = async (db, ticket, toStatus, actor, note = null) => {
+  await db.query(
+    `UPDATE helpdesk_tickets
+     SET status = $2::varchar,
+         escalated_at = CASE WHEN $2::varchar = 'ESCALATED' THEN NOW() ELSE escalated_at END,
+         resolved_at = CASE WHEN $2::varchar = 'RESOLVED' THEN NOW() ELSE NULL END,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [ticket.id, toStatus]
+  );
+
+  await recordTicketHistory(db, ticket.id, ticket.status, toStatus, actor, note);
+};
+
+/**
+ * Add a comment
+ * @param {Object} db - pg pool or client
+ * @param {Number} ticketId
+ * @param {Object} actor - From ticketActor
+ * @param {String} body
+ * @param {Boolean} isInternal - Staff-only note
+ * @returns {Promise<Object>}
+ */
+const addTicketComment = async (db, ticketId, actor, body, isInternal = false) => {
+  const result = await db.query(
+    `INSERT INTO helpdesk_ticket_comments
+       (ticket_id, author_student_id, author_user_id, author_name, author_role, body, is_internal)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, author_name, author_role, body, is_internal, created_at`,
+    [ticketId, actor.student_id, actor.user_id, actor.name, actor.role, body, isInternal]
+  );
+
+  await db.query('UPDATE helpdesk_tickets SET updated_at = NOW() WHERE id = $1', [ticketId]);
+
+  return result.rows[0];
+};
+
+/**
+ * Email without failing the request (the update is already saved)
+ * @param {String} to
+ * @param {String} subject
+ * @param {String} html
+ */
+const sendTicketEmail = async (to, subject, html) => {
+  if (!to) {
+    return;
+  }
+
+  try {
+    await sendEmailViaBrevo(to, subject, html);
+  } catch (err) {
+    console.error(`Helpdesk email to ${to} failed:`, err.message);
+  }
+};
+
+/**
+ * Tell the raiser about an update to their ticket
+ * @param {Object} ticket
+ * @param {String} update - Plain-text summary of what changed
+ */
+const notifyTicketRaiser = async (ticket, update) => {
+  await sendTicketEmail(
+    ticket.contact_email,
+    `Update on your helpdesk ticket #${ticket.id} - VTU Fest 2026`,
+    `
+      <h2>Helpdesk Ticket #${ticket.id}</h2>
+      <p>Dear ${escapeHtml(ticket.contact_name)},</p>
+      <p>There is an update on your ticket <strong>${escapeHtml(ticket.subject)}</strong>:</p>
+      <blockquote>${escapeHtml(update).replace(/\n/g, '<br>')}</blockquote>
+      <p><a href="${TICKET_URL}?ticket=${ticket.id}">View ticket</a></p>
+      <p>Best regards,<br>VTU Fest Team</p>
+    `
+  );
+};
+
+/**
+ * Tell a staff member (assignee or admins) about a ticket
+ * @param {String} to
+ * @param {Object} ticket
+ * @param {String} update
+ */
+const notifyTicketStaff = async (to, ticket, update) => {
+  await sendTicketEmail(
+    to,
+    `Helpdesk ticket #${ticket.id}: ${ticket.subject}`,
+    `
+      <h2>Helpdesk Ticket #${ticket.id}</h2>
+      <p>${escapeHtml(update).replace(/\n/g, '<br>')}</p>
+      <ul>
+        <li><strong>Category:</strong> ${ticket.category}</li>
+        <li><strong>Raised by:</strong> ${escapeHtml(ticket.contact_name)} (${ticket.raised_by_role})</li>
+        <li><strong>Subject:</strong> ${escapeHtml(ticket.subject)}</li>
+      </ul>
+      <p>VTU Fest Team</p>
+    `
+  );
+};
+
+/**
+ * Emails of active admins (for escalations)
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Array<String>>}
+ */
+const getAdminEmails = async (db) => {
+  const result = await db.query(
+    "SELECT email FROM users WHERE role = 'ADMIN' AND is_active = true AND email IS NOT NULL"
+  );
+  return result.rows.map(row => row.email);
+};
+
+module.exports = {
+  TICKET_CATEGORIES,
+  TICKET_STATUSES,
+  ticketActor,
+  isTicketRaiser,
+  getTicket,
+  getTicketDetail,
+  recordTicketHistory,
+  changeTicketStatus,
+  addTicketComment,
+  notifyTicketRaiser,
+  notifyTicketStaff,
+  getAdminEmails,
+};
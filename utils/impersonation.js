@@ -0,0 +1,115 @@
+/**
+ * Admin Impersonation ("view as") Utilities
+ * Impersonation tokens are read-only: almost every endpoint is a POST with an
+ * `action`, so HTTP method alone can't tell reads from writes. Requests are
+ * therefore checked against an explicit allowlist of read-only endpoints/actions
+ * (deny by default) and every request is written to impersonation_audit_log.
+ */
+const pool = require('../db/pool');
+
+const IMPERSONATION_TOKEN_EXPIRY = '15m';
+const IMPERSONATION_EXPIRY_MINUTES = 15;
+
+// Mount path -> allowed actions (null = whole endpoint is read-only)
+const READ_ONLY_ENDPOINTS = {
+  '/api/student/dashboard': null,
+  '/api/student/payment': ['get_payment_info'],
+  '/api/student/badge': null,
+  '/api/manager/dashboard': null,
+  '/api/manager/assign-events': ['list_events', 'fetch'],
+  '/api/manager/manage-accompanists': ['get_accompanists'],
+  '/api/manager/review-applications': ['list'],
+  '/api/manager/approved-students': ['list', undefined],
+  '/api/manager/accommodation': ['get_accommodation_status'],
+  '/api/manager/rejected-students': null,
+  '/api/manager/manager-profile': ['check_profile_status'],
+  '/api/manager/schedule': null,
+  '/api/manager/badges/batch': null,
+  '/api/principal/pending-final-approval': null,
+  '/api/principal/check-lock-status': null,
+  '/api/principal/certificates/zip': null,
+  '/api/judge/scoring': ['my_events', 'entries', 'attendance'],
+  '/api/volunteer/check-in': ['search', 'identity', 'stats'],
+  '/api/volunteer/check-in-sync': ['snapshot', 'conflicts'],
+  '/api/volunteer/attendance': ['my_events', 'expected', 'search', 'sheet'],
+  '/api/volunteer/helpdesk': ['queue', 'staff', 'get'],
+  '/api/volunteer/roster': null,
+  '/api/shared/helpdesk': ['categories', 'my_tickets', 'get'],
+};
+
+/**
+ * Path without query string or trailing slash
+ * @param {Object} req - Express request
+ */
+const getRequestPath = (req) => req.originalUrl.split('?')[0].replace(/\/+$/, '') || '/';
+
+/**
+ * Whether an impersonated request only reads data
+ * @param {Object} req - Express request
+ * @returns {Boolean}
+ */
+const isReadOnlyRequest = (req) => {
+  const path = getRequestPath(req);
+
+  if (!Object.prototype.hasOwnProperty.call(READ_ONLY_ENDPOINTS, path)) {
+    return false;
+  }
+
+  const allowedActions = READ_ONLY_ENDPOINTS[path];
+  if (allowedActions === null) {
+    return true;
+  }
+
+  return allowedActions.includes(req.body ? req.body.action : undefined);
+};
+
+/**
+ * Load an impersonation session if it is still usable
+ * @param {Number} impersonationId
+ * @returns {Promise<Object|null>}
+ */
+const getActiveImpersonation = async (impersonationId) => {
+  const result = await pool.query(
+    `SELECT id, admin_user_id
+     FROM impersonation_sessions
+     WHERE id = $1 AND ended_at IS NULL AND expires_at > NOW()`,
+    [impersonationId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Write one audit row once the response is sent (captures status code)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Number} impersonationId
+ * @param {Boolean} blocked - Whether the request was refused as mutating
+ */
+const recordImpersonatedRequest = (req, res, impersonationId, blocked) => {
+  res.on('finish', () => {
+    pool.query(
+      `INSERT INTO impersonation_audit_log
+       (impersonation_id, method, path, action, blocked, status_code)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        impersonationId,
+        req.method,
+        getRequestPath(req),
+        req.body && typeof req.body.action === 'string' ? req.body.action.substring(0, 100) : null,
+        blocked,
+        res.statusCode,
+      ]
+    ).catch((err) => {
+      console.error('Impersonation audit log error:', err.message);
+    });
+  });
+};
+
+module.exports = {
+  IMPERSONATION_TOKEN_EXPIRY,
+  IMPERSONATION_EXPIRY_MINUTES,
+  READ_ONLY_ENDPOINTS,
+  isReadOnlyRequest,
+  getActiveImpersonation,
+  recordImpersonatedRequest,
+};
@@ -0,0 +1,249 @@
+/**
+ * Judging & Score Aggregation
+ * Entries are final_event_teams rows for group events and
+ * final_event_participants_master rows (entered as PARTICIPANT) otherwise.
+ *
+ * Aggregation, per event:
+ *   sheet total  = sum(score * weight) over the criteria of one submitted sheet
+ *   entry score  = average sheet total over the judges who submitted
+ * Ties on entry score are broken by the average score of the criteria that
+ * have a tie_break_order (lowest order first), then by the best single-judge
+ * total. Entries still level after that share the rank.
+ */
+
+/**
+ * Entry type scored for an event
+ * @param {Object} event - events row
+ * @returns {String} 'team' | 'participant'
+ */
+const getEntryType = (event) => (event.is_group_event ? 'team' : 'participant');
+
+/**
+ * Score sheet column holding the entry id
+ * @param {String} entryType - 'team' | 'participant'
+ */
+const entryColumn = (entryType) => (entryType === 'team' ? 'final_team_id' : 'participant_id');
+
+/**
+ * Judging criteria of an event, in display order
+ * @param {Object} db - pg pool or client
+ * @param {Number} eventId
+ * @returns {Promise<Array>}
+ */
+const getCriteria = async (db, eventId) => {
+  const result = await db.query(
+    `SELECT id, name, max_score::float AS max_score, weight::float AS weight, tie_break_order, display_order
+     FROM judging_criteria
+     WHERE event_id = $1
+     ORDER BY display_order, id`,
+    [eventId]
+  );
+  return result.rows;
+};
+
+/**
+ * Entries of an event (only colleges that completed final approval have any)
+ * @param {Object} db - pg pool or client
+ * @param {Object} event - events row
+ * @param {Number} entryId - Optional: only this entry
+ * @returns {Promise<Array>} [{ entry_type, entry_id, entry_name, college_id, college_code, college_name }]
+ */
+const getEventEntries = async (db, event, entryId = null) => {
+  if (getEntryType(event) === 'team') {
+    const result = await db.query(
+      `SELECT
+         'team' AS entry_type,
+         ft.id AS entry_id,
+         ft.team_name AS entry_name,
+         c.id AS college_id,
+         c.college_code,
+         c.college_name
+       FROM final_event_teams ft
+       INNER JOIN colleges c ON ft.college_id = c.id
+       WHERE ft.event_id = $1
+         AND ($2::int IS NULL OR ft.id = $2)
+       ORDER BY c.college_code, ft.id`,
+      [event.id, entryId]
+    );
+    return result.rows;
+  }
+
+  const result = await db.query(
+    `SELECT
+       'participant' AS entry_type,
+       m.id AS entry_id,
+       m.full_name AS entry_name,
+       m.college_id,
+       m.college_code,
+       m.college_name
+     FROM final_event_participants_master m
+     INNER JOIN event_assignments ea
+       ON ea.student_id = m.student_id
+      AND ea.college_id = m.college_id
+      AND ea.event_id = $1
+      AND ea.event_type = 'PARTICIPANT'
+     WHERE m.person_type = 'STUDENT'
+       AND ($2::int IS NULL OR m.id = $2)
+     ORDER BY m.college_code, m.full_name`,
+    [event.id, entryId]
+  );
+  return result.rows;
+};
+
+/**
+ * Whether a judge is assigned to an event
+ * @param {Object} db - pg pool or client
+ * @param {Number} eventId
+ * @param {Number} judgeUserId
+ * @returns {Promise<Boolean>}
+ */
+const isJudgeAssigned = async (db, eventId, judgeUserId) => {
+  const result = await db.query(
+    'SELECT 1 FROM event_judges WHERE event_id = $1 AND judge_user_id = $2',
+    [eventId, judgeUserId]
+  );
+  return result.rows.length > 0;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Compare two aggregated entries (higher is better); 0 means a true tie
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Array} tieBreakCriteria - Criteria with tie_break_order, in order
+ */
+const compareEntries = (a, b, tieBreakCriteria) => {
+  if (b.score !== a.score) {
+    return b.score - a.score;
+  }
+
+  for (const criterion of tieBreakCriteria) {
+    const diff = (b.criteria_averages[criterion.id] || 0) - (a.criteria_averages[criterion.id] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return b.best_judge_total - a.best_judge_total;
+};
+
+/**
+ * Aggregate submitted score sheets into a ranked result list
+ * @param {Object} db - pg pool or client
+ * @param {Object} event - events row
+ * @returns {Promise<Object>} { entry_type, criteria, judges_assigned, is_complete, results: [...] }
+ */
+const computeEventResults = async (db, event) => {
+  const entryType = getEntryType(event);
+  const column = entryColumn(entryType);
+
+  const criteria = await getCriteria(db, event.id);
+  const entries = await getEventEntries(db, event);
+
+  const judgesResult = await db.query(
+    'SELECT COUNT(*)::int AS count FROM event_judges WHERE event_id = $1',
+    [event.id]
+  );
+  const judgesAssigned = judgesResult.rows[0].count;
+
+  const scoresResult = await db.query(
+    `SELECT
+       jss.id AS sheet_id,
+       jss.${column} AS entry_id,
+       js.criterion_id,
+       js.score::float AS score
+     FROM judge_score_sheets jss
+     INNER JOIN judge_scores js ON js.sheet_id = jss.id
+     WHERE jss.event_id = $1
+       AND jss.submitted_at IS NOT NULL
+       AND jss.${column} IS NOT NULL`,
+    [event.id]
+  );
+
+  // entry_id -> sheet_id -> [{ criterion_id, score }]
+  const sheetsByEntry = new Map();
+  for (const row of scoresResult.rows) {
+    if (!sheetsByEntry.has(row.entry_id)) {
+      sheetsByEntry.set(row.entry_id, new Map());
+    }
+    const sheets = sheetsByEntry.get(row.entry_id);
+    if (!sheets.has(row.sheet_id)) {
+      sheets.set(row.sheet_id, []);
+    }
+    sheets.get(row.sheet_id).push(row);
+  }
+
+  const weightById = new Map(criteria.map(c => [c.id, c.weight]));
+
+  const scored = [];
+  const unscored = [];
+
+  for (const entry of entries) {
+    const sheets = sheetsByEntry.get(entry.entry_id);
+
+    if (!sheets || sheets.size === 0) {
+      unscored.push({ ...entry, rank: null, score: null, judges_submitted: 0 });
+      continue;
+    }
+
+    const sheetTotals = [];
+    const criterionSums = {};
+
+    for (const scores of sheets.values()) {
+      let total = 0;
+      for (const { criterion_id, score } of scores) {
+        total += score * (weightById.get(criterion_id) || 0);
+        criterionSums[criterion_id] = (criterionSums[criterion_id] || 0) + score;
+      }
+      sheetTotals.push(total);
+    }
+
+    const criteria_averages = {};
+    for (const [criterionId, sum] of Object.entries(criterionSums)) {
+      criteria_averages[criterionId] = round(sum / sheets.size);
+    }
+
+    scored.push({
+      ...entry,
+      score: round(sheetTotals.reduce((sum, total) => sum + total, 0) / sheets.size),
+      best_judge_total: round(Math.max(...sheetTotals)),
+      criteria_averages,
+      judges_submitted: sheets.size,
+    });
+  }
+
+  const tieBreakCriteria = criteria
+    .filter(c => c.tie_break_order !== null)
+    .sort((a, b) => a.tie_break_order - b.tie_break_order);
+
+  scored.sort((a, b) => compareEntries(a, b, tieBreakCriteria));
+
+  // Competition ranking: true ties share a rank, the next rank is skipped
+  scored.forEach((entry, index) => {
+    const previous = scored[index - 1];
+    entry.rank = previous && compareEntries(previous, entry, tieBreakCriteria) === 0
+      ? previous.rank
+      : index + 1;
+  });
+
+  return {
+    entry_type: entryType,
+    criteria,
+    judges_assigned: judgesAssigned,
+    is_complete: entries.length > 0
+      && judgesAssigned > 0
+      && unscored.length === 0
+      && scored.every(entry => entry.judges_submitted >= judgesAssigned),
+    results: [...scored, ...unscored],
+  };
+};
+
+module.exports = {
+  getEntryType,
+  entryColumn,
+  getCriteria,
+  getEventEntries,
+  isJudgeAssigned,
+  computeEventResults,
+};
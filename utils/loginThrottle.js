@@ -0,0 +1,203 @@
+/**
+ * Login Throttle Utilities
+ * Postgres-backed brute-force protection for login and forgot-password.
+ * State lives in auth_throttle / password_reset_requests so it holds
+ * across restarts and multiple API instances.
+ */
+
+// Per-account: progressive delay from the 3rd failure, lockout on the 5th
+const ACCOUNT_MAX_FAILURES = 5;
+const ACCOUNT_DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 30;
+
+// Per-IP: whole colleges log in from one NAT address, so the bar is high
+const IP_MAX_FAILURES = 50;
+
+const LOCKOUT_MINUTES = 15;
+const FAILURE_WINDOW_MINUTES = 15;
+
+// Forgot-password email caps (rolling hour)
+const RESET_EMAILS_PER_ACCOUNT_PER_HOUR = 3;
+const RESET_REQUESTS_PER_IP_PER_HOUR = 20;
+
+/**
+ * Throttle key for an account: role plus normalized email
+ * @param {String} role - Backend role (e.g. 'STUDENT', 'MANAGER')
+ * @param {String} email - Email as typed
+ */
+const getAccountKey = (role, email) => `${role}:${String(email).trim().toLowerCase()}`;
+
+/**
+ * Seconds a client must wait after `failedCount` consecutive failures
+ * @param {Number} failedCount
+ */
+const getProgressiveDelaySeconds = (failedCount) => {
+  if (failedCount < ACCOUNT_DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failedCount - ACCOUNT_DELAY_AFTER_FAILURES + 1), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} db - pg pool or client
+ * @param {Object} keys - { accountKey, ip }
+ * @returns {Promise<Object|null>} null if allowed, otherwise { message, retry_after_seconds }
+ */
+const checkLoginAllowed = async (db, { accountKey, ip }) => {
+  const result = await db.query(
+    `SELECT
+       scope,
+       failed_count,
+       CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS lock_remaining_seconds,
+       FLOOR(EXTRACT(EPOCH FROM (NOW() - last_failed_at)))::int AS seconds_since_failure
+     FROM auth_throttle
+     WHERE (scope = 'ACCOUNT' AND identifier = $1)
+        OR (scope = 'IP' AND identifier = $2)`,
+    [accountKey, ip || '']
+  );
+
+  for (const row of result.rows) {
+    if (row.lock_remaining_seconds > 0) {
+      return {
+        message: row.scope === 'IP'
+          ? 'Too many failed login attempts from this network. Try again later.'
+          : 'Account temporarily locked due to repeated failed logins. Try again later.',
+        retry_after_seconds: row.lock_remaining_seconds,
+      };
+    }
+  }
+
+  const account = result.rows.find(row => row.scope === 'ACCOUNT');
+  if (account && account.seconds_since_failure !== null
+    && account.seconds_since_failure < FAILURE_WINDOW_MINUTES * 60) {
+    const wait = getProgressiveDelaySeconds(account.failed_count) - account.seconds_since_failure;
+    if (wait > 0) {
+      return {
+        message: 'Too many failed attempts. Please wait before trying again.',
+        retry_after_seconds: wait,
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Increment a failure counter, locking once the threshold is reached.
+ * Failures older than the window do not count towards the next lockout.
+ */
+const bumpFailure = async (db, scope, identifier, maxFailures) => {
+  const result = await db.query(
+    `INSERT INTO auth_throttle (scope, identifier, failed_count, last_failed_at, updated_at)
+     VALUES ($1, $2, 1, NOW(), NOW())
+     ON CONFLICT (scope, identifier) DO UPDATE
+     SET failed_count = CASE
+           WHEN auth_throttle.last_failed_at IS NULL
+             OR auth_throttle.last_failed_at < NOW() - ($3 * INTERVAL '1 minute')
+           THEN 1
+           ELSE auth_throttle.failed_count + 1
+         END,
+         last_failed_at = NOW(),
+         updated_at = NOW()
+     RETURNING failed_count`,
+    [scope, identifier, FAILURE_WINDOW_MINUTES]
+  );
+
+  if (result.rows[0].failed_count >= maxFailures) {
+    await db.query(
+      `UPDATE auth_throttle
+       SET locked_until = NOW() + ($3 * INTERVAL '1 minute'),
+           failed_count = 0,
+           updated_at = NOW()
+       WHERE scope = $1 AND identifier = $2`,
+      [scope, identifier, LOCKOUT_MINUTES]
+    );
+  }
+};
+
+/**
+ * Record a failed login against both the account and the client IP
+ * @param {Object} db - pg pool or client
+ * @param {Object} keys - { accountKey, ip }
+ */
+const recordLoginFailure = async (db, { accountKey, ip }) => {
+  await bumpFailure(db, 'ACCOUNT', accountKey, ACCOUNT_MAX_FAILURES);
+  if (ip) {
+    await bumpFailure(db, 'IP', ip, IP_MAX_FAILURES);
+  }
+};
+
+/**
+ * Clear the account's failure state after a successful login
+ * @param {Object} db - pg pool or client
+ * @param {Object} keys - { accountKey }
+ */
+const recordLoginSuccess = async (db, { accountKey }) => {
+  await db.query(
+    `DELETE FROM auth_throttle WHERE scope = 'ACCOUNT' AND identifier = $1`,
+    [accountKey]
+  );
+};
+
+/**
+ * Lift a lockout (admin action)
+ * @param {Object} db - pg pool or client
+ * @param {String} scope - 'ACCOUNT' or 'IP'
+ * @param {String} identifier - Account key or IP
+ * @returns {Promise<Boolean>} Whether a row was cleared
+ */
+const unlock = async (db, scope, identifier) => {
+  const result = await db.query(
+    'DELETE FROM auth_throttle WHERE scope = $1 AND identifier = $2',
+    [scope, identifier]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Check forgot-password quotas for the rolling hour
+ * @param {Object} db - pg pool or client
+ * @param {Object} keys - { accountKey, ip }
+ * @returns {Promise<{ ip_limited: Boolean, account_limited: Boolean }>}
+ */
+const checkResetQuota = async (db, { accountKey, ip }) => {
+  const result = await db.query(
+    `SELECT
+       (SELECT COUNT(*) FROM password_reset_requests
+        WHERE account_key = $1 AND email_sent = true
+          AND requested_at > NOW() - INTERVAL '1 hour') AS account_emails,
+       (SELECT COUNT(*) FROM password_reset_requests
+        WHERE ip_address = $2
+          AND requested_at > NOW() - INTERVAL '1 hour') AS ip_requests`,
+    [accountKey, ip || '']
+  );
+
+  const row = result.rows[0];
+  return {
+    account_limited: parseInt(row.account_emails) >= RESET_EMAILS_PER_ACCOUNT_PER_HOUR,
+    ip_limited: parseInt(row.ip_requests) >= RESET_REQUESTS_PER_IP_PER_HOUR,
+  };
+};
+
+/**
+ * Log a forgot-password request
+ * @param {Object} db - pg pool or client
+ * @param {Object} entry - { accountKey, ip, emailSent }
+ */
+const recordResetRequest = async (db, { accountKey, ip, emailSent }) => {
+  await db.query(
+    `INSERT INTO password_reset_requests (account_key, ip_address, email_sent)
+     VALUES ($1, $2, $3)`,
+    [accountKey, ip || null, emailSent === true]
+  );
+};
+
+module.exports = {
+  LOCKOUT_MINUTES,
+  getAccountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlock,
+  checkResetQuota,
+  recordResetRequest,
+};
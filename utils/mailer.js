@@ -0,0 +1,100 @@
+/**
+ * Transactional Email Utility
+ * Sends HTML email through the Brevo HTTP API (SMTP ports are blocked on the host)
+ */
+const https = require('https');
+
+/**
+ * Send an email via Brevo
+ * @param {String} to - Recipient address
+ * @param {String} subject - Subject line
+ * @param {String} html - HTML body
+ * @returns {Promise<{ success: Boolean, status: Number }>}
+ */
+async function sendEmailViaBrevo(to, subject, html) {
+  const payload = JSON.stringify({
+    sender: { email: process.env.FROM_EMAIL, name: 'VTU Fest Team' },
+    to: [{ email: to }],
+    subject,
+    htmlContent: html,
+  });
+
+  const options = {
+    hostname: 'api.brevo.com',
+    port: 443,
+    path: '/v3/smtp/email',
+    method: 'POST',
+    headers: {
+      'api-key': process.env.BREVO_API_KEY,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+    },
+    timeout: 15000,
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = https.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve({ success: true, status: res.statusCode });
+        } else {
+          reject(new Error(`Brevo API failed: ${res.statusCode} - ${data}`));
+        }
+      });
+    });
+
+    req.on('error', (err) => {
+      reject(new Error(`Brevo request failed: ${err.message}`));
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Brevo request timeout'));
+    });
+
+    req.write(payload);
+    req.end();
+  });
+}
+
+const LOGIN_URL = 'https://vtufest2026.acharyahabba.com/';
+
+/**
+ * Email login credentials to a newly created account (manager, judge, volunteer).
+ * The account must reset the password on first login.
+ * @param {String} to - Recipient address (also the login email)
+ * @param {Object} details
+ * @param {String} details.subject - Subject line
+ * @param {String} details.fullName - Recipient name
+ * @param {String} details.roleLine - e.g. 'You have been added as a <strong>Judge</strong>.'
+ * @param {String} details.password - Temporary password
+ * @param {String} details.extraHtml - Optional paragraph(s) before the sign-off
+ * @returns {Promise<{ success: Boolean, status: Number }>}
+ */
+async function sendCredentialsEmail(to, { subject, fullName, roleLine, password, extraHtml = '' }) {
+  return sendEmailViaBrevo(
+    to,
+    subject,
+    `
+      <h2>Welcome to VTU Fest 2026!</h2>
+      <p>Dear ${fullName},</p>
+      <p>${roleLine}</p>
+      <h3>Your Login Credentials:</h3>
+      <ul>
+        <li><strong>Email:</strong> ${to}</li>
+        <li><strong>Password:</strong> ${password}</li>
+      </ul>
+      <p><a href="${LOGIN_URL}">Login here</a></p>
+      <p><strong>IMPORTANT:</strong> You must change your password on first login.</p>
+      ${extraHtml}
+      <p>Best regards,<br>VTU Fest Team</p>
+    `
+  );
+}
+
+module.exports = {
+  sendEmailViaBrevo,
+  sendCredentialsEmail,
+};
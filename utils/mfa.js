@@ -0,0 +1,193 @@
+/**
+ * Two-Factor Authentication Helpers (users table roles only)
+ * Secret encryption at rest, short-lived MFA challenge tokens, backup codes
+ * and the per-role enforcement switch
+ */
+const crypto = require('crypto');
+const { verifyTotp } = require('./totp');
+const { signToken, verifyToken } = require('./jwtKeys');
+
+const MFA_TOKEN_EXPIRY = '5m';
+const BACKUP_CODE_COUNT = 10;
+
+// Comma-separated roles that must enrol before they can log in, e.g. "PRINCIPAL,ADMIN".
+// Empty (default) = 2FA is optional for everyone.
+const MFA_ENFORCED_ROLES = (process.env.MFA_ENFORCED_ROLES || '')
+  .split(',')
+  .map(role => role.trim().toUpperCase())
+  .filter(Boolean);
+
+// TOTP secrets are encrypted with their own key, so JWT keys can be rotated
+// freely. Deployments that enrolled users under the old JWT_SECRET fallback
+// must set MFA_SECRET_KEY to that secret to keep existing enrolments readable.
+const MFA_SECRET_KEY = process.env.MFA_SECRET_KEY;
+
+// Misconfiguration fails at startup rather than on the first login
+if (!MFA_SECRET_KEY && MFA_ENFORCED_ROLES.length > 0) {
+  throw new Error('MFA_SECRET_KEY is required when MFA_ENFORCED_ROLES is set');
+}
+
+/**
+ * Whether 2FA can be used (secrets can be encrypted)
+ * @returns {Boolean}
+ */
+const isMfaConfigured = () => Boolean(MFA_SECRET_KEY);
+
+const getEncryptionKey = () => {
+  if (!MFA_SECRET_KEY) {
+    throw new Error('MFA_SECRET_KEY is not configured');
+  }
+
+  return crypto.createHash('sha256').update(MFA_SECRET_KEY).digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM, "iv.tag.ciphertext" base64)
+ * @param {String} secret - Base32 secret
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {String} stored - Value from encryptSecret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Whether a role must have 2FA enabled
+ * @param {String} role - Backend role
+ */
+const isMfaEnforced = (role) => MFA_ENFORCED_ROLES.includes(role);
+
+/**
+ * Sign a challenge token proving the password step passed.
+ * Carries no `sid`, so authenticate() never accepts it as an access token.
+ * @param {Object} user - users row
+ * @param {String} purpose - 'MFA_CHALLENGE' (verify) or 'MFA_ENROLL' (forced enrolment)
+ */
+const signMfaToken = (user, purpose) => {
+  return signToken({ purpose, user_id: user.id, role: user.role }, { expiresIn: MFA_TOKEN_EXPIRY });
+};
+
+/**
+ * Verify a challenge token for the expected purpose
+ * @param {String} token
+ * @param {String} purpose
+ * @returns {Object|null} Decoded payload or null
+ */
+const verifyMfaToken = (token, purpose) => {
+  try {
+    const decoded = verifyToken(token);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Normalize a backup code as typed ("abcd-efgh" / "ABCDEFGH")
+ * @param {String} code
+ */
+const normalizeBackupCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * SHA-256 of a normalized backup code
+ * @param {String} code
+ */
+const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+};
+
+/**
+ * Generate a fresh set of backup codes
+ * @returns {String[]} Codes formatted "XXXX-XXXX" (shown to the user once)
+ */
+const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase().substring(0, 8);
+    codes.push(`${raw.substring(0, 4)}-${raw.substring(4)}`);
+  }
+  return codes;
+};
+
+/**
+ * Replace a user's backup codes (inside the caller's transaction)
+ * @param {Object} client - pg client
+ * @param {Number} userId
+ * @returns {Promise<String[]>} Plain codes to return to the user
+ */
+const replaceBackupCodes = async (client, userId) => {
+  const codes = generateBackupCodes();
+
+  await client.query('DELETE FROM user_mfa_backup_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await client.query(
+      'INSERT INTO user_mfa_backup_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashBackupCode(code)]
+    );
+  }
+
+  return codes;
+};
+
+/**
+ * Consume a backup code
+ * @param {Object} db - pg pool or client
+ * @param {Number} userId
+ * @param {String} code
+ * @returns {Promise<Boolean>} Whether an unused code matched
+ */
+const consumeBackupCode = async (db, userId, code) => {
+  const result = await db.query(
+    `UPDATE user_mfa_backup_codes
+     SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [userId, hashBackupCode(code)]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Verify a TOTP code and record its step so the same code cannot be replayed
+ * @param {Object} db - pg pool or client
+ * @param {Object} user - users row with mfa_secret_encrypted, mfa_last_used_step
+ * @param {String} code
+ * @returns {Promise<Boolean>}
+ */
+const consumeTotpCode = async (db, user, code) => {
+  const step = verifyTotp(decryptSecret(user.mfa_secret_encrypted), code);
+  if (step === null) return false;
+
+  const result = await db.query(
+    `UPDATE users
+     SET mfa_last_used_step = $1
+     WHERE id = $2 AND (mfa_last_used_step IS NULL OR mfa_last_used_step < $1)`,
+    [step, user.id]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  MFA_ENFORCED_ROLES,
+  isMfaConfigured,
+  encryptSecret,
+  decryptSecret,
+  isMfaEnforced,
+  signMfaToken,
+  verifyMfaToken,
+  replaceBackupCodes,
+  consumeBackupCode,
+  consumeTotpCode,
+};
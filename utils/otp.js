@@ -0,0 +1,43 @@
+/**
+ * One-Time Code Utilities
+ * Numeric codes for email/phone verification, stored only as hashes
+ */
+const crypto = require('crypto');
+
+const OTP_LENGTH = 6;
+
+/**
+ * Generate a zero-padded numeric code
+ * @returns {String} e.g. '042917'
+ */
+const generateOtp = () => {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+/**
+ * SHA-256 hex digest of a code (codes are short-lived and attempt-limited)
+ * @param {String} code
+ */
+const hashOtp = (code) => {
+  return crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+};
+
+/**
+ * Constant-time check of a submitted code against its stored hash
+ * @param {String} code - Code entered by the user
+ * @param {String} storedHash - Hex digest from the database
+ * @returns {Boolean}
+ */
+const otpMatches = (code, storedHash) => {
+  if (!code || !storedHash) return false;
+  const candidate = Buffer.from(hashOtp(code), 'hex');
+  const stored = Buffer.from(storedHash, 'hex');
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+module.exports = {
+  OTP_LENGTH,
+  generateOtp,
+  hashOtp,
+  otpMatches,
+};
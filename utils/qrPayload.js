@@ -0,0 +1,238 @@
+/**
+ * Signed QR Payloads
+ * Participant QR codes are generated on demand and signed, so there is no
+ * pool to exhaust and a scanner can reject forged codes without a network
+ * connection.
+ *
+ * Format:  VQ1.<kid>.<payload>.<signature>
+ *   payload   = base64url(JSON { p: participant id, c: college id, x: expiry (unix seconds) })
+ *   signature = base64url(sign("VQ1.<kid>.<payload>"))
+ *
+ * Keys (first one configured wins):
+ *   QR_SIGNING_PRIVATE_KEY - Ed25519 private key (PEM). Scanners verify with the
+ *                            public key from GET /api/shared/qr-keys.
+ *   QR_HMAC_SECRET         - HMAC-SHA256 secret. Scanners need the same secret.
+ *   QR_SIGNING_KID         - Key id embedded in payloads (default "1")
+ * Expiry: QR_PAYLOAD_EXPIRES_AT (ISO date, e.g. the last fest day), otherwise
+ * QR_PAYLOAD_TTL_DAYS after generation (default 30).
+ *
+ * Without a key, legacy qr_code_pool codes are used unchanged.
+ *
+ * The Ed25519 key also signs offline check-in snapshots:
+ *   VS1.<kid>.<payload>.<signature>
+ *   payload   = base64url(JSON { ...claims, iat, exp (unix seconds) })
+ * The prefix is part of the signed input, so a snapshot signature can never
+ * pass as a QR payload (or the reverse). HMAC keys cannot sign snapshots:
+ * every scanner would then hold a secret that also mints QR codes.
+ */
+const crypto = require('crypto');
+
+const PREFIX = 'VQ1';
+const SNAPSHOT_PREFIX = 'VS1';
+const KID = process.env.QR_SIGNING_KID || '1';
+const TTL_DAYS = parseInt(process.env.QR_PAYLOAD_TTL_DAYS, 10) || 30;
+
+const buildSigner = () => {
+  if (process.env.QR_SIGNING_PRIVATE_KEY) {
+    const privateKey = crypto.createPrivateKey(process.env.QR_SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('QR_SIGNING_PRIVATE_KEY must be an Ed25519 key');
+    }
+    const publicKey = crypto.createPublicKey(privateKey);
+
+    return {
+      alg: 'Ed25519',
+      sign: (data) => crypto.sign(null, Buffer.from(data), privateKey),
+      verify: (data, signature) => crypto.verify(null, Buffer.from(data), publicKey, signature),
+      publicKey,
+    };
+  }
+
+  if (process.env.QR_HMAC_SECRET) {
+    const secret = process.env.QR_HMAC_SECRET;
+    const mac = (data) => crypto.createHmac('sha256', secret).update(data).digest();
+
+    return {
+      alg: 'HS256',
+      sign: mac,
+      verify: (data, signature) => {
+        const expected = mac(data);
+        return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+      },
+      publicKey: null,
+    };
+  }
+
+  return null;
+};
+
+const signer = buildSigner();
+
+/**
+ * Whether signed payloads are configured (otherwise the qr_code_pool is used)
+ * @returns {Boolean}
+ */
+const isQrSigningEnabled = () => signer !== null;
+
+/**
+ * Expiry for a payload generated now
+ * @returns {Number} Unix seconds
+ */
+const payloadExpiry = () => {
+  const fixed = process.env.QR_PAYLOAD_EXPIRES_AT && Date.parse(process.env.QR_PAYLOAD_EXPIRES_AT);
+  const expiresAt = fixed || Date.now() + TTL_DAYS * 24 * 60 * 60 * 1000;
+  return Math.floor(expiresAt / 1000);
+};
+
+/**
+ * Signed payload for a participant
+ * @param {Object} participant - { id, college_id } of a final_event_participants_master row
+ * @returns {String|null} null when signing is not configured
+ */
+const signQrPayload = ({ id, college_id }) => {
+  if (!signer) {
+    return null;
+  }
+
+  const payload = Buffer.from(JSON.stringify({ p: id, c: college_id, x: payloadExpiry() })).toString('base64url');
+  const signingInput = `${PREFIX}.${KID}.${payload}`;
+
+  return `${signingInput}.${signer.sign(signingInput).toString('base64url')}`;
+};
+
+/**
+ * Whether scanned text is a signed payload (vs a legacy pool code)
+ * @param {String} text
+ */
+const isSignedPayload = (text) => typeof text === 'string' && text.startsWith(`${PREFIX}.`);
+
+/**
+ * Verify a scanned payload
+ * @param {String} text
+ * @returns {Object} { valid: true, participant_id, college_id, expires_at }
+ *                   or { valid: false, reason: 'MALFORMED' | 'UNKNOWN_KEY' | 'BAD_SIGNATURE' | 'EXPIRED' }
+ */
+const verifyQrPayload = (text) => {
+  const parts = typeof text === 'string' ? text.trim().split('.') : [];
+  if (parts.length !== 4 || parts[0] !== PREFIX) {
+    return { valid: false, reason: 'MALFORMED' };
+  }
+
+  const [, kid, payload, signature] = parts;
+
+  if (!signer || kid !== KID) {
+    return { valid: false, reason: 'UNKNOWN_KEY' };
+  }
+
+  if (!signer.verify(`${PREFIX}.${kid}.${payload}`, Buffer.from(signature, 'base64url'))) {
+    return { valid: false, reason: 'BAD_SIGNATURE' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return { valid: false, reason: 'MALFORMED' };
+  }
+
+  if (!Number.isInteger(claims.p) || !Number.isInteger(claims.c) || !Number.isInteger(claims.x)) {
+    return { valid: false, reason: 'MALFORMED' };
+  }
+
+  if (claims.x * 1000 < Date.now()) {
+    return { valid: false, reason: 'EXPIRED' };
+  }
+
+  return {
+    valid: true,
+    participant_id: claims.p,
+    college_id: claims.c,
+    expires_at: new Date(claims.x * 1000).toISOString(),
+  };
+};
+
+/**
+ * Whether offline snapshots can be signed (needs the Ed25519 key)
+ * @returns {Boolean}
+ */
+const isSnapshotSigningEnabled = () => Boolean(signer && signer.publicKey);
+
+/**
+ * Signed offline snapshot, verifiable with the public key from /api/shared/qr-keys
+ * @param {Object} claims - Snapshot contents
+ * @param {Number} ttlSeconds - Validity from now
+ * @returns {String|null} null when no Ed25519 key is configured
+ */
+const signSnapshot = (claims, ttlSeconds) => {
+  if (!isSnapshotSigningEnabled()) {
+    return null;
+  }
+
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({ ...claims, iat, exp: iat + ttlSeconds })).toString('base64url');
+  const signingInput = `${SNAPSHOT_PREFIX}.${KID}.${payload}`;
+
+  return `${signingInput}.${signer.sign(signingInput).toString('base64url')}`;
+};
+
+/**
+ * Verification key info for scanners (public key only for Ed25519)
+ * @returns {Object|null}
+ */
+const getQrVerificationKey = () => {
+  if (!signer) {
+    return null;
+  }
+
+  return {
+    format: PREFIX,
+    snapshot_format: signer.publicKey ? SNAPSHOT_PREFIX : null,
+    kid: KID,
+    alg: signer.alg,
+    public_key: signer.publicKey ? signer.publicKey.export({ type: 'spki', format: 'pem' }) : null,
+  };
+};
+
+/**
+ * Resolve a scanned QR (signed payload or legacy pool code) to its participant
+ * @param {Object} db - pg pool or client
+ * @param {String} scanned - Raw text from the scanner
+ * @returns {Promise<Object>} { participant } or { reason }
+ */
+const findParticipantByScan = async (db, scanned) => {
+  if (!scanned || typeof scanned !== 'string') {
+    return { reason: 'MALFORMED' };
+  }
+
+  let result;
+
+  if (isSignedPayload(scanned)) {
+    const verified = verifyQrPayload(scanned);
+    if (!verified.valid) {
+      return { reason: verified.reason };
+    }
+
+    result = await db.query(
+      'SELECT * FROM final_event_participants_master WHERE id = $1 AND college_id = $2',
+      [verified.participant_id, verified.college_id]
+    );
+  } else {
+    result = await db.query(
+      'SELECT * FROM final_event_participants_master WHERE qr_code = $1',
+      [scanned.trim()]
+    );
+  }
+
+  return result.rows.length > 0 ? { participant: result.rows[0] } : { reason: 'NOT_FOUND' };
+};
+
+module.exports = {
+  isQrSigningEnabled,
+  signQrPayload,
+  isSignedPayload,
+  verifyQrPayload,
+  isSnapshotSigningEnabled,
+  signSnapshot,
+  getQrVerificationKey,
+  findParticipantByScan,
+};
@@ -0,0 +1,179 @@
+/**
+ * Published Results & Championship Standings
+ * Placements live in event_results; placement_points maps a position to
+ * championship points. Standings are ordered by points, then by number of
+ * first, second and third places. Public reads are cached in memory and the
+ * cache is cleared whenever results or points change.
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * Serve a value from the in-memory cache, loading it on a miss
+ * @param {String} key
+ * @param {Function} loader - async () => value
+ */
+const cached = async (key, loader) => {
+  const hit = cache.get(key);
+  if (hit && hit.expires_at > Date.now()) {
+    return hit.value;
+  }
+
+  const value = await loader();
+  cache.set(key, { value, expires_at: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+/**
+ * Drop cached results after a publish / unpublish / point change
+ */
+const invalidateResultsCache = () => cache.clear();
+
+/**
+ * Championship points per position
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Array>} [{ position, points }]
+ */
+const getPointTable = async (db) => {
+  const result = await db.query('SELECT position, points FROM placement_points ORDER BY position');
+  return result.rows;
+};
+
+/**
+ * Placements of every event that has published results
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Array>} [{ event_slug, event_name, category, published_at, placements: [...] }]
+ */
+const getPublishedResults = async (db) => {
+  const result = await db.query(
+    `SELECT
+       e.slug AS event_slug,
+       e.name AS event_name,
+       e.category,
+       er.position,
+       er.entry_name,
+       er.score::float AS score,
+       c.college_code,
+       c.college_name,
+       er.published_at
+     FROM event_results er
+     INNER JOIN events e ON er.event_id = e.id AND e.is_active = true
+     INNER JOIN colleges c ON er.college_id = c.id
+     ORDER BY e.display_order, er.position, er.entry_name`
+  );
+
+  const byEvent = new Map();
+  for (const row of result.rows) {
+    if (!byEvent.has(row.event_slug)) {
+      byEvent.set(row.event_slug, {
+        event_slug: row.event_slug,
+        event_name: row.event_name,
+        category: row.category,
+        published_at: row.published_at,
+        placements: [],
+      });
+    }
+    byEvent.get(row.event_slug).placements.push({
+      position: row.position,
+      entry_name: row.entry_name,
+      score: row.score,
+      college_code: row.college_code,
+      college_name: row.college_name,
+    });
+  }
+
+  return [...byEvent.values()];
+};
+
+/**
+ * Rank a standings table (points, then 1st/2nd/3rd counts); exact ties share a rank
+ * @param {Array} rows - [{ points, first_places, second_places, third_places, ... }]
+ */
+const rankStandings = (rows) => {
+  const compare = (a, b) => (b.points - a.points)
+    || (b.first_places - a.first_places)
+    || (b.second_places - a.second_places)
+    || (b.third_places - a.third_places);
+
+  const sorted = [...rows].sort((a, b) => compare(a, b) || a.college_name.localeCompare(b.college_name));
+
+  sorted.forEach((row, index) => {
+    const previous = sorted[index - 1];
+    row.rank = previous && compare(previous, row) === 0 ? previous.rank : index + 1;
+  });
+
+  return sorted;
+};
+
+/**
+ * Overall and category-wise college championship standings
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Object>} { overall: [...], categories: { MUSIC: [...], ... } }
+ */
+const getLeaderboard = async (db) => {
+  // Each college counts once per event and position, even with several tied entries
+  const result = await db.query(
+    `SELECT
+       c.id AS college_id,
+       c.college_code,
+       c.college_name,
+       e.category,
+       SUM(pp.points)::int AS points,
+       COUNT(*) FILTER (WHERE p.position = 1)::int AS first_places,
+       COUNT(*) FILTER (WHERE p.position = 2)::int AS second_places,
+       COUNT(*) FILTER (WHERE p.position = 3)::int AS third_places
+     FROM (
+       SELECT DISTINCT event_id, college_id, position FROM event_results
+     ) p
+     INNER JOIN events e ON p.event_id = e.id AND e.is_active = true
+     INNER JOIN colleges c ON p.college_id = c.id
+     INNER JOIN placement_points pp ON pp.position = p.position
+     GROUP BY c.id, c.college_code, c.college_name, e.category`
+  );
+
+  const overallByCollege = new Map();
+  const categories = {};
+
+  for (const row of result.rows) {
+    const { category, ...standing } = row;
+
+    if (!categories[category]) {
+      categories[category] = [];
+    }
+    categories[category].push(standing);
+
+    const total = overallByCollege.get(row.college_id) || {
+      college_id: row.college_id,
+      college_code: row.college_code,
+      college_name: row.college_name,
+      points: 0,
+      first_places: 0,
+      second_places: 0,
+      third_places: 0,
+    };
+    total.points += row.points;
+    total.first_places += row.first_places;
+    total.second_places += row.second_places;
+    total.third_places += row.third_places;
+    overallByCollege.set(row.college_id, total);
+  }
+
+  for (const category of Object.keys(categories)) {
+    categories[category] = rankStandings(categories[category]);
+  }
+
+  return {
+    overall: rankStandings([...overallByCollege.values()]),
+    categories,
+  };
+};
+
+module.exports = {
+  cached,
+  invalidateResultsCache,
+  getPointTable,
+  getPublishedResults,
+  getLeaderboard,
+};
@@ -0,0 +1,142 @@
+/**
+ * Event Schedule & Clash Detection
+ * A person is busy for an event slot from reporting_at (or starts_at) until
+ * ends_at. Two assignments of the same student/accompanist clash when any
+ * slots of their events overlap.
+ */
+
+// 'warn' (default): assignment succeeds and the clash is returned as a warning
+// 'block': assignment is refused
+const CLASH_POLICY = process.env.EVENT_CLASH_POLICY === 'block' ? 'block' : 'warn';
+
+// Overlap of the busy windows of slot aliases a and b
+const slotsOverlap = (a, b) =>
+  `COALESCE(${a}.reporting_at, ${a}.starts_at) < ${b}.ends_at
+   AND COALESCE(${b}.reporting_at, ${b}.starts_at) < ${a}.ends_at`;
+
+/**
+ * Schedule of one event or all active events, with venue names
+ * @param {Object} db - pg pool or client
+ * @param {Number} eventId - Optional: only this event
+ * @returns {Promise<Array>}
+ */
+const getEventSlots = async (db, eventId = null) => {
+  const result = await db.query(
+    `SELECT
+       es.id AS slot_id,
+       e.slug AS event_slug,
+       e.name AS event_name,
+       es.slot_label,
+       es.reporting_at,
+       es.starts_at,
+       es.ends_at,
+       v.id AS venue_id,
+       v.name AS venue_name,
+       v.location AS venue_location
+     FROM event_slots es
+     INNER JOIN events e ON es.event_id = e.id
+     INNER JOIN venues v ON es.venue_id = v.id
+     WHERE e.is_active = true
+       AND ($1::int IS NULL OR es.event_id = $1)
+     ORDER BY es.starts_at, e.display_order`,
+    [eventId]
+  );
+  return result.rows;
+};
+
+/**
+ * Events a person is already assigned to whose slots overlap the given event
+ * @param {Object} db - pg pool or client
+ * @param {Number} eventId - Event being assigned
+ * @param {Object} person - { person_type: 'student'|'accompanist', person_id }
+ * @returns {Promise<Array>} [{ event_slug, event_name, slot_label, starts_at, ends_at, conflicts_with_slot }]
+ */
+const findPersonClashes = async (db, eventId, { person_type, person_id }) => {
+  const idColumn = person_type === 'student' ? 'student_id' : 'accompanist_id';
+
+  const result = await db.query(
+    `SELECT DISTINCT
+       e2.slug AS event_slug,
+       e2.name AS event_name,
+       s2.slot_label,
+       s2.starts_at,
+       s2.ends_at,
+       s1.slot_label AS conflicts_with_slot
+     FROM event_slots s1
+     INNER JOIN event_slots s2 ON s2.event_id <> s1.event_id AND ${slotsOverlap('s1', 's2')}
+     INNER JOIN event_assignments ea ON ea.event_id = s2.event_id
+     INNER JOIN events e2 ON e2.id = s2.event_id
+     WHERE s1.event_id = $1
+       AND ea.${idColumn} = $2
+       AND e2.is_active = true
+     ORDER BY s2.starts_at`,
+    [eventId, person_id]
+  );
+  return result.rows;
+};
+
+/**
+ * Every schedule clash among a college's assignments
+ * @param {Object} db - pg pool or client
+ * @param {Number} collegeId
+ * @returns {Promise<Array>} One row per person + pair of overlapping slots
+ */
+const getCollegeClashes = async (db, collegeId) => {
+  const result = await db.query(
+    `SELECT DISTINCT
+       ea1.person_type,
+       COALESCE(ea1.student_id, ea1.accompanist_id) AS person_id,
+       ea1.full_name,
+       e1.slug AS event_slug,
+       e1.name AS event_name,
+       s1.slot_label,
+       s1.starts_at,
+       s1.ends_at,
+       e2.slug AS clashing_event_slug,
+       e2.name AS clashing_event_name,
+       s2.slot_label AS clashing_slot_label,
+       s2.starts_at AS clashing_starts_at,
+       s2.ends_at AS clashing_ends_at
+     FROM event_assignments ea1
+     INNER JOIN event_assignments ea2
+       ON ea2.college_id = ea1.college_id
+      AND ea2.event_id > ea1.event_id
+      AND (ea2.student_id = ea1.student_id OR ea2.accompanist_id = ea1.accompanist_id)
+     INNER JOIN events e1 ON e1.id = ea1.event_id AND e1.is_active = true
+     INNER JOIN events e2 ON e2.id = ea2.event_id AND e2.is_active = true
+     INNER JOIN event_slots s1 ON s1.event_id = ea1.event_id
+     INNER JOIN event_slots s2 ON s2.event_id = ea2.event_id AND ${slotsOverlap('s1', 's2')}
+     WHERE ea1.college_id = $1
+     ORDER BY ea1.full_name, s1.starts_at`,
+    [collegeId]
+  );
+  return result.rows;
+};
+
+/**
+ * Slots at the same venue overlapping a proposed slot (venue double-booking)
+ * @param {Object} db - pg pool or client
+ * @param {Object} slot - { venue_id, starts_at, ends_at, exclude_slot_id }
+ * @returns {Promise<Array>}
+ */
+const findVenueConflicts = async (db, { venue_id, starts_at, ends_at, exclude_slot_id = null }) => {
+  const result = await db.query(
+    `SELECT es.id AS slot_id, e.slug AS event_slug, es.slot_label, es.starts_at, es.ends_at
+     FROM event_slots es
+     INNER JOIN events e ON es.event_id = e.id
+     WHERE es.venue_id = $1
+       AND es.starts_at < $3
+       AND $2 < es.ends_at
+       AND ($4::int IS NULL OR es.id <> $4)`,
+    [venue_id, starts_at, ends_at, exclude_slot_id]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  CLASH_POLICY,
+  getEventSlots,
+  findPersonClashes,
+  getCollegeClashes,
+  findVenueConflicts,
+};
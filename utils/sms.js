@@ -0,0 +1,50 @@
+/**
+ * SMS Provider Interface
+ * A provider is any object with `async send(to, message)`.
+ * Select one with SMS_PROVIDER; only the console stub ships today, so
+ * plugging in a real gateway means adding an entry to PROVIDERS.
+ */
+
+/**
+ * Local/dev provider: prints the message instead of sending it
+ */
+const consoleProvider = {
+  name: 'console',
+  async send(to, message) {
+    console.log(`📱 [SMS:console] to ${to}: ${message}`);
+    return { success: true, provider: 'console' };
+  },
+};
+
+const PROVIDERS = {
+  console: consoleProvider,
+};
+
+/**
+ * Resolve the configured provider (defaults to console)
+ * @returns {{ name: String, send: Function }}
+ */
+const getSmsProvider = () => {
+  const name = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  }
+
+  return provider;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {String} to - Phone number
+ * @param {String} message - Message body
+ */
+const sendSms = async (to, message) => {
+  return getSmsProvider().send(to, message);
+};
+
+module.exports = {
+  getSmsProvider,
+  sendSms,
+};
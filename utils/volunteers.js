@@ -0,0 +1,77 @@
+/**
+ * Volunteers & Shift Roster
+ * Volunteer accounts live in users with one of the VOLUNTEER_* roles. Shifts
+ * place a volunteer at a venue / event / desk for a time window.
+ */
+
+const VOLUNTEER_ROLES = ['VOLUNTEER_REGISTRATION', 'VOLUNTEER_HELPDESK', 'VOLUNTEER_EVENT'];
+
+/**
+ * Shifts with venue and event names, earliest first
+ * @param {Object} db - pg pool or client
+ * @param {Object} filter
+ * @param {Number} filter.volunteer_id - Optional: one volunteer
+ * @param {Number} filter.venue_id - Optional: one venue
+ * @param {Date} filter.from - Optional: shifts ending after this time
+ * @param {Date} filter.to - Optional: shifts starting before this time
+ * @returns {Promise<Array>}
+ */
+const getShifts = async (db, { volunteer_id = null, venue_id = null, from = null, to = null } = {}) => {
+  const result = await db.query(
+    `SELECT
+       vs.id AS shift_id,
+       vs.volunteer_user_id,
+       u.full_name AS volunteer_name,
+       u.role AS volunteer_role,
+       vs.starts_at,
+       vs.ends_at,
+       vs.venue_id,
+       v.name AS venue_name,
+       v.location AS venue_location,
+       e.slug AS event_slug,
+       e.name AS event_name,
+       vs.desk,
+       vs.duty
+     FROM volunteer_shifts vs
+     INNER JOIN users u ON vs.volunteer_user_id = u.id
+     LEFT JOIN venues v ON vs.venue_id = v.id
+     LEFT JOIN events e ON vs.event_id = e.id
+     WHERE ($1::int IS NULL OR vs.volunteer_user_id = $1)
+       AND ($2::int IS NULL OR vs.venue_id = $2)
+       AND ($3::timestamp IS NULL OR vs.ends_at > $3)
+       AND ($4::timestamp IS NULL OR vs.starts_at < $4)
+     ORDER BY vs.starts_at, u.full_name`,
+    [volunteer_id, venue_id, from, to]
+  );
+  return result.rows;
+};
+
+/**
+ * Existing shifts of the given volunteers that overlap a time window
+ * @param {Object} db - pg pool or client
+ * @param {Array<Number>} volunteerIds
+ * @param {Date} startsAt
+ * @param {Date} endsAt
+ * @param {Number} excludeShiftId - Shift being edited
+ * @returns {Promise<Array>} [{ shift_id, volunteer_user_id, full_name, starts_at, ends_at }]
+ */
+const findShiftOverlaps = async (db, volunteerIds, startsAt, endsAt, excludeShiftId = null) => {
+  const result = await db.query(
+    `SELECT vs.id AS shift_id, vs.volunteer_user_id, u.full_name, vs.starts_at, vs.ends_at
+     FROM volunteer_shifts vs
+     INNER JOIN users u ON vs.volunteer_user_id = u.id
+     WHERE vs.volunteer_user_id = ANY($1::int[])
+       AND vs.starts_at < $3
+       AND $2 < vs.ends_at
+       AND ($4::int IS NULL OR vs.id <> $4)
+     ORDER BY u.full_name, vs.starts_at`,
+    [volunteerIds, startsAt, endsAt, excludeShiftId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  VOLUNTEER_ROLES,
+  getShifts,
+  findShiftOverlaps,
+};